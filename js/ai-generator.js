@@ -1,12 +1,26 @@
 /**
  * AI Generator Module
- * Handles webhook communication for AI-powered text and image generation
+ * Handles AI-powered text and image generation and publishing through the
+ * providers configured in ProviderModule
  */
 
 const AIGeneratorModule = (function() {
     'use strict';
 
     const CONFIG_KEY = 'gf_carousel_config_v3';
+    const DEFAULT_CONFIG = {
+        webhookTextUrl: '',
+        webhookImageUrl: '',
+        webhookScheduleUrl: '',
+        providers: { text: 'n8n', image: 'n8n', publish: 'n8n' },
+        openai: { baseUrl: 'https://api.openai.com/v1', apiKey: '', textModel: 'gpt-4o-mini', imageModel: 'dall-e-3' }
+    };
+    // One card per option in the text results
+    const MAX_TEXT_OPTIONS = 3;
+    const REWRITE_MODES = ['regenerate', 'shorter', 'punchier', 'stat'];
+    const IMAGES_PER_BATCH = 3;
+    // Older image batches are dropped beyond this many per slide, so saved projects stay small
+    const MAX_IMAGE_BATCHES = 6;
     
     let state = {
         sourceFiles: [],
@@ -16,16 +30,18 @@ const AIGeneratorModule = (function() {
         isGeneratingImages: false
     };
 
+    // Configurations saved before providers existed only hold the webhook URLs
     function getConfig() {
         try {
-            const stored = localStorage.getItem(CONFIG_KEY);
-            return stored ? JSON.parse(stored) : {
-                webhookTextUrl: '',
-                webhookImageUrl: '',
-                webhookScheduleUrl: ''
+            const stored = JSON.parse(localStorage.getItem(CONFIG_KEY)) || {};
+            return {
+                ...DEFAULT_CONFIG,
+                ...stored,
+                providers: { ...DEFAULT_CONFIG.providers, ...stored.providers },
+                openai: { ...DEFAULT_CONFIG.openai, ...stored.openai }
             };
         } catch (e) {
-            return { webhookTextUrl: '', webhookImageUrl: '', webhookScheduleUrl: '' };
+            return structuredClone(DEFAULT_CONFIG);
         }
     }
 
@@ -55,23 +71,24 @@ const AIGeneratorModule = (function() {
         return saveConfig(config);
     }
 
+    // Sources are read and limited by SourceModule; files keep their text instead of their bytes when they have one
     async function addSourceFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const fileData = {
-                    id: Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-                    name: file.name,
-                    type: file.type,
-                    size: file.size,
-                    data: e.target.result
-                };
-                state.sourceFiles.push(fileData);
-                resolve(fileData);
-            };
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsDataURL(file);
-        });
+        const source = await SourceModule.readFile(file);
+        state.sourceFiles.push(source);
+        return source;
+    }
+
+    function addSourceText(text, title = '') {
+        const source = SourceModule.createTextSource(text, title);
+        state.sourceFiles.push(source);
+        return source;
+    }
+
+    function addSourceUrl(url) {
+        const source = SourceModule.createUrlSource(url);
+        if (state.sourceFiles.some(f => f.kind === 'url' && f.url === source.url)) throw new Error('That URL is already a source.');
+        state.sourceFiles.push(source);
+        return source;
     }
 
     function removeSourceFile(fileId) {
@@ -86,10 +103,45 @@ const AIGeneratorModule = (function() {
         state.sourceFiles = [];
     }
 
-    async function generateTextOptions(slideCount) {
-        const urls = getWebhookUrls();
-        if (!urls.text) throw new Error('Text generation webhook URL not configured.');
-        if (state.sourceFiles.length === 0) throw new Error('Please upload at least one source file.');
+    function getSourcePayload() {
+        return state.sourceFiles.map(SourceModule.toPayload);
+    }
+
+    /**
+     * Merge one streamed text event into the options received so far and
+     * return the indexes of the options it changed. Events either patch one
+     * option or carry complete options:
+     *
+     *   { index, option: { tone, label, description, caption, hashtags } }
+     *   { index, slide: { slideNumber, text, altText } }
+     *   { options: [...] }
+     */
+    function applyTextEvent(options, event) {
+        if (Array.isArray(event?.options)) {
+            const complete = event.options.slice(0, MAX_TEXT_OPTIONS);
+            complete.forEach((opt, i) => { options[i] = { ...opt, slides: Array.isArray(opt?.slides) ? [...opt.slides] : [] }; });
+            return complete.map((_, i) => i);
+        }
+        const index = parseInt(event?.index);
+        if (!(index >= 0 && index < MAX_TEXT_OPTIONS)) return [];
+        const option = options[index] || (options[index] = { slides: [] });
+        if (event.option) Object.assign(option, event.option, { slides: Array.isArray(event.option.slides) ? [...event.option.slides] : option.slides });
+        if (event.slide) {
+            const slideNumber = parseInt(event.slide.slideNumber) || option.slides.length + 1;
+            option.slides[slideNumber - 1] = { ...event.slide, slideNumber };
+        }
+        return [index];
+    }
+
+    /**
+     * Generate one text option per tone from the sources. `settings` are
+     * GenerationModule settings; `provider` overrides the configured text
+     * provider, e.g. 'mock' for sample text.
+     * When the provider streams, `onProgress(index, option)` is called with
+     * the partial option after every event; slides may still be missing.
+     */
+    async function generateTextOptions(slideCount, { settings = {}, signal = null, provider = null, onProgress = null } = {}) {
+        if (state.sourceFiles.length === 0) throw new Error('Please add at least one source: a file, a URL or pasted text.');
         if (state.isGeneratingText) throw new Error('Text generation already in progress.');
         
         state.isGeneratingText = true;
@@ -97,25 +149,24 @@ const AIGeneratorModule = (function() {
         try {
             const payload = {
                 slideCount,
-                sources: state.sourceFiles.map(file => ({
-                    name: file.name,
-                    type: file.type,
-                    data: file.data
-                })),
-                options: { language: 'en', tones: ['professional', 'engaging', 'concise'] }
+                sources: getSourcePayload(),
+                options: GenerationModule.toRequestOptions(settings)
             };
             
-            const response = await fetch(urls.text, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-            
-            if (!response.ok) throw new Error(`Webhook returned status ${response.status}`);
-            
-            const result = await response.json();
-            if (!result.options || result.options.length !== 3) throw new Error('Invalid response format.');
+            const config = getConfig();
+            const streamed = [];
+            const onEvent = event => applyTextEvent(streamed, event).forEach(i => onProgress?.(i, streamed[i]));
+            const result = await ProviderModule.getProvider('text', config, provider).generateText(payload, config, { signal, onEvent }) || { options: streamed.filter(Boolean) };
+            if (!Array.isArray(result?.options) || !result.options.length) throw WebhookModule.invalidResponse('text', 'expected at least one text option.');
+            if (result.options.some(opt => !Array.isArray(opt?.slides) || !opt.slides.some(Boolean))) throw WebhookModule.invalidResponse('text', 'an option has no slides.');
             
+            // Older workflows send no caption; hashtags may arrive as a string or without the #
+            result.options = result.options.slice(0, MAX_TEXT_OPTIONS).map(opt => ({
+                ...opt,
+                slides: opt.slides.filter(Boolean),
+                caption: String(opt.caption || ''),
+                hashtags: CaptionModule.normalizeHashtags(opt.hashtags || [])
+            }));
             state.generatedTextOptions = result.options;
             return result;
         } finally {
@@ -123,62 +174,125 @@ const AIGeneratorModule = (function() {
         }
     }
 
-    async function generateImagesForSlide(slideIndex, slideText, context = '') {
-        const urls = getWebhookUrls();
-        if (!urls.image) throw new Error('Image generation webhook URL not configured.');
-        
+    /**
+     * Rewrite one slide with the whole carousel as context. `texts` are the
+     * slide texts in order, `mode` one of REWRITE_MODES and `tone` the tone the
+     * carousel was written in, if known. The language, audience and custom
+     * instructions come from `settings`. Resolves with `{ text, altText }`.
+     */
+    async function rewriteSlide(texts, slideIndex, mode, { tone = null, settings = {}, signal = null, provider = null } = {}) {
+        if (!REWRITE_MODES.includes(mode)) throw new Error(`Unknown rewrite "${mode}".`);
+        if (mode !== 'regenerate' && !String(texts[slideIndex] || '').trim()) throw new Error(`Slide ${slideIndex + 1} has no text to rewrite yet. Use Regenerate to write it.`);
+        const { language, audience, cta, instructions } = GenerationModule.toRequestOptions(settings);
+        const payload = {
+            action: 'rewrite-slide',
+            mode,
+            slideIndex,
+            slides: texts.map((text, i) => ({ slideNumber: i + 1, text })),
+            sources: getSourcePayload(),
+            options: { language, tone, audience, cta, instructions }
+        };
+
+        const config = getConfig();
+        const result = await ProviderModule.getProvider('text', config, provider).rewriteSlide(payload, config, { signal });
+        const text = typeof result?.slide?.text === 'string' ? result.slide.text.trim() : '';
+        if (!text) throw WebhookModule.invalidResponse('text', 'the rewritten slide has no text.');
+        return { text, altText: typeof result.slide.altText === 'string' ? result.slide.altText.trim() : '' };
+    }
+
+    /**
+     * The image batches made for a slide, oldest first:
+     * `{ id, prompt, style, styleIndex, variationOf, images, createdAt }`.
+     * Variations have `variationOf: { batchId, index }` and one `styleIndex`
+     * for all their images; other batches use the style's prompts in turn.
+     */
+    function getImageHistory(slideId) {
+        const stored = state.generatedImages[slideId];
+        if (!Array.isArray(stored) || stored.length === 0) return [];
+        // Projects saved before the history kept a single batch of image URLs per slide
+        if (typeof stored[0] === 'string') {
+            return [{ id: `${slideId}_1`, prompt: '', style: GenerationModule.DEFAULT_IMAGE_STYLE, styleIndex: null, variationOf: null, images: stored, createdAt: null }];
+        }
+        return stored;
+    }
+
+    /**
+     * Generate a batch of images for a slide and add it to the slide's history.
+     * Batches are kept by slide id so they stay with their slide when slides
+     * are reordered. `context` is the carousel's other slide texts, for a
+     * consistent look. `prompt` replaces the default prompt for the slide
+     * text; `variationOf: { batchId, index }` asks for variations of an image
+     * in the history instead. The image itself goes to the provider's
+     * createVariations with that image's prompt and style.
+     */
+    async function generateImagesForSlide(slideId, slideIndex, slideText, context = '', dimensions = { width: 1080, height: 1350 }, { prompt = '', style = null, variationOf = null, signal = null, provider = null } = {}) {
+        const history = getImageHistory(slideId);
+        let reference = null;
+        let styleIndex = null;
+        if (variationOf) {
+            const batch = history.find(b => b.id === variationOf.batchId);
+            reference = batch?.images[variationOf.index];
+            if (!reference) throw new Error('That image is no longer in the history.');
+            prompt = batch.prompt;
+            style = batch.style;
+            styleIndex = batch.styleIndex ?? variationOf.index;
+        }
+
         const payload = {
             slideIndex,
             slideText,
+            prompt: String(prompt || '').trim() || GenerationModule.getImagePrompt(slideText),
+            style: GenerationModule.IMAGE_STYLES[style] ? style : GenerationModule.DEFAULT_IMAGE_STYLE,
             context,
+            variationOf: reference ? { image: reference, styleIndex } : null,
             sourceInfo: state.sourceFiles.map(f => ({ name: f.name, type: f.type })),
-            imageCount: 3,
-            dimensions: { width: 1080, height: 1350 }
+            imageCount: IMAGES_PER_BATCH,
+            dimensions: { width: dimensions.width, height: dimensions.height }
         };
-        
-        const response = await fetch(urls.image, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-        
-        if (!response.ok) throw new Error(`Image webhook returned status ${response.status}`);
-        
-        const result = await response.json();
-        if (!result.images || result.images.length !== 3) throw new Error('Invalid image response.');
-        
-        state.generatedImages[slideIndex] = result.images;
-        return result;
-    }
 
-    function getGeneratedImages(slideIndex) {
-        return state.generatedImages[slideIndex] || null;
+        const config = getConfig();
+        const adapter = ProviderModule.getProvider('image', config, provider);
+        const result = await (reference ? adapter.createVariations(payload, config, { signal }) : adapter.generateImages(payload, config, { signal }));
+        if (!Array.isArray(result?.images) || result.images.length !== IMAGES_PER_BATCH) throw WebhookModule.invalidResponse('image', 'expected three images.');
+
+        const batch = {
+            id: ProjectModule.generateId(),
+            prompt: payload.prompt,
+            style: payload.style,
+            styleIndex,
+            variationOf: reference ? { batchId: variationOf.batchId, index: variationOf.index } : null,
+            images: result.images,
+            createdAt: new Date().toISOString()
+        };
+        state.generatedImages[slideId] = [...history, batch].slice(-MAX_IMAGE_BATCHES);
+        return batch;
     }
 
-    async function schedulePost(postData) {
-        const urls = getWebhookUrls();
-        if (!urls.schedule) throw new Error('Schedule webhook URL not configured.');
-        
+    /**
+     * Hand the post to the publish provider: a JSON `payload` with the post
+     * details plus one file per slide (`slide_01`, `slide_02`, ...). `images`
+     * are Blobs in the rendered file type; `altTexts` line up with them and
+     * travel in `payload.slides` next to the field name of their file.
+     * Aborting `signal` cancels the request.
+     */
+    async function schedulePost(postData, { signal = null } = {}) {
+        const fields = postData.images.map((_, i) => `slide_${String(i + 1).padStart(2, '0')}`);
         const payload = {
-            images: postData.images,
             caption: postData.caption || '',
+            firstComment: postData.firstComment || '',
             scheduledTime: postData.scheduledTime,
             postNow: postData.postNow || false,
+            slides: fields.map((field, i) => ({ field, altText: postData.altTexts?.[i] || '' })),
             metadata: { slideCount: postData.images.length, createdAt: new Date().toISOString() }
         };
         
-        const response = await fetch(urls.schedule, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-        
-        if (!response.ok) throw new Error(`Schedule webhook returned status ${response.status}`);
-        return await response.json();
+        const files = postData.images.map((blob, i) => ({ field: fields[i], blob, name: `${fields[i].replace('_', '-')}.${ExportModule.getExtension(blob.type)}` }));
+        const config = getConfig();
+        return await ProviderModule.getProvider('publish', config).publish({ payload, files }, config, { signal });
     }
 
-    async function postNow(postData) {
-        return schedulePost({ ...postData, postNow: true });
+    async function postNow(postData, options = {}) {
+        return schedulePost({ ...postData, postNow: true }, options);
     }
 
     function getGeneratedTextOptions() {
@@ -194,6 +308,20 @@ const AIGeneratorModule = (function() {
         return state.isGeneratingText || state.isGeneratingImages;
     }
 
+    function getSnapshot() {
+        return {
+            sourceFiles: [...state.sourceFiles],
+            generatedTextOptions: state.generatedTextOptions,
+            generatedImages: { ...state.generatedImages }
+        };
+    }
+
+    function restoreSnapshot(snapshot = {}) {
+        state.sourceFiles = Array.isArray(snapshot.sourceFiles) ? [...snapshot.sourceFiles] : [];
+        state.generatedTextOptions = snapshot.generatedTextOptions || null;
+        state.generatedImages = { ...snapshot.generatedImages };
+    }
+
     function reset() {
         state.sourceFiles = [];
         state.generatedTextOptions = null;
@@ -202,45 +330,11 @@ const AIGeneratorModule = (function() {
         state.isGeneratingImages = false;
     }
 
-    function createMockTextResponse(slideCount) {
-        return {
-            options: [
-                {
-                    tone: 'professional', label: 'Professional', description: 'Formal and authoritative tone',
-                    slides: Array.from({ length: slideCount }, (_, i) => ({
-                        slideNumber: i + 1,
-                        text: `Professional slide ${i + 1}: Strategic insights driving innovation and sustainable growth.`
-                    }))
-                },
-                {
-                    tone: 'engaging', label: 'Engaging', description: 'Dynamic and captivating tone',
-                    slides: Array.from({ length: slideCount }, (_, i) => ({
-                        slideNumber: i + 1,
-                        text: `🚀 Slide ${i + 1}: Discover how technology is transforming businesses worldwide!`
-                    }))
-                },
-                {
-                    tone: 'concise', label: 'Concise', description: 'Short and punchy tone',
-                    slides: Array.from({ length: slideCount }, (_, i) => ({
-                        slideNumber: i + 1,
-                        text: `Slide ${i + 1}: Innovation. Impact. Results.`
-                    }))
-                }
-            ]
-        };
-    }
-
-    function createMockImageResponse(slideIndex) {
-        const placeholderBase = 'data:image/svg+xml;base64,';
-        const svgTemplate = (color, num) => btoa(`<svg xmlns="http://www.w3.org/2000/svg" width="1080" height="1350"><rect fill="${color}" width="1080" height="1350"/><text x="540" y="675" font-family="Arial" font-size="48" fill="white" text-anchor="middle">AI Image ${num}</text></svg>`);
-        return { images: [placeholderBase + svgTemplate('#211D58', 1), placeholderBase + svgTemplate('#2d4a3e', 2), placeholderBase + svgTemplate('#4a2d4a', 3)] };
-    }
-
     return {
-        getConfig, saveConfig, getWebhookUrls, setWebhookUrl,
-        addSourceFile, removeSourceFile, getSourceFiles, clearSourceFiles,
-        generateTextOptions, generateImagesForSlide, getGeneratedImages,
+        REWRITE_MODES, getConfig, saveConfig, getWebhookUrls, setWebhookUrl,
+        addSourceFile, addSourceText, addSourceUrl, removeSourceFile, getSourceFiles, clearSourceFiles,
+        generateTextOptions, rewriteSlide, generateImagesForSlide, getImageHistory,
         schedulePost, postNow, getGeneratedTextOptions, getTextOption,
-        isGenerating, reset, createMockTextResponse, createMockImageResponse
+        isGenerating, getSnapshot, restoreSnapshot, reset
     };
 })();
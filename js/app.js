@@ -3,118 +3,472 @@
  */
 const App = (function() {
     'use strict';
-    let state = { generatedImages: [], isGenerating: false, currentAiImageSlide: null };
+    const AUTOSAVE_DELAY = 800;
+    const LIVE_PREVIEW_DELAY = 300;
+    const MAX_IMAGE_IDS = 64;
+    // Follows a webhook error message, keyed by WebhookModule.CODES
+    const WEBHOOK_ERROR_HINTS = {
+        'not-configured': 'Add the URL under Configuration.',
+        network: 'Check your connection and that n8n is running.',
+        timeout: 'The workflow may still be running; check its executions in n8n.',
+        http: 'Check the workflow executions in n8n.',
+        'invalid-response': 'Check that the workflow returns the format this app expects.'
+    };
+    let state = { generatedImages: [], renderedSlideIds: [], renderedHashes: [], currentAiImageSlide: null, renderController: null, previewController: null, textController: null, imageController: null, rewriteControllers: {}, isEditingLayout: false, project: null, selectedTextOption: null, editorSnapshot: null };
+    let autosaveTimer = null;
+    let saveQueue = Promise.resolve();
+    let thumbnailCache = { key: null, image: null };
+    let livePreviewTimer = null;
+    let layoutEditorToken = 0;
+    const imageIds = new Map();
+    let nextImageId = 0;
 
     async function handleSourceFileAdded(file) {
         try {
-            await AIGeneratorModule.addSourceFile(file);
+            UIModule.setAiStatus(`Reading ${file.name}...`, true);
+            const source = await AIGeneratorModule.addSourceFile(file);
             UIModule.renderUploadedFiles(AIGeneratorModule.getSourceFiles());
+            UIModule.setAiStatus(source.text ? `Added ${file.name}: ${source.text.length.toLocaleString('en-US')} characters of text` : `Added ${file.name}`, false);
+            scheduleAutosave();
         } catch (e) {
+            UIModule.setAiStatus('Ready to generate', false);
             UIModule.showToast('Failed to add file: ' + e.message, 'error');
         }
     }
 
+    function handleSourceTextAdded(text, title) {
+        try {
+            AIGeneratorModule.addSourceText(text, title);
+            UIModule.renderUploadedFiles(AIGeneratorModule.getSourceFiles());
+            UIModule.clearSourceInput('text');
+            scheduleAutosave();
+        } catch (e) {
+            UIModule.showToast('Failed to add text: ' + e.message, 'error');
+        }
+    }
+
+    // The page itself is fetched by the text webhook when generating
+    function handleSourceUrlAdded(url) {
+        try {
+            AIGeneratorModule.addSourceUrl(url);
+            UIModule.renderUploadedFiles(AIGeneratorModule.getSourceFiles());
+            UIModule.clearSourceInput('url');
+            scheduleAutosave();
+        } catch (e) {
+            UIModule.showToast('Failed to add URL: ' + e.message, 'error');
+        }
+    }
+
     function handleSourceFileRemoved(fileId) {
         AIGeneratorModule.removeSourceFile(fileId);
         UIModule.renderUploadedFiles(AIGeneratorModule.getSourceFiles());
+        scheduleAutosave();
+    }
+
+    // Webhook failures carry a code; anything else is shown as it is
+    function describeWebhookError(e) {
+        if (!WebhookModule.isWebhookError(e)) return e.message;
+        if (e.code === WebhookModule.CODES.HTTP && e.status >= 400 && e.status < 500) return `${e.message} Check the webhook URL and that the workflow is active.`;
+        return `${e.message} ${WEBHOOK_ERROR_HINTS[e.code] || ''}`.trim();
     }
 
     async function handleGenerateText() {
         const btn = document.getElementById('generateTextBtn');
         const settings = UIModule.getGlobalSettings();
+        const controller = new AbortController();
+        state.textController = controller;
         try {
             UIModule.setButtonLoading(btn, true);
             UIModule.setAiStatus('Generating text options...', true);
-            UIModule.hideTextOptions();
-            const result = await AIGeneratorModule.generateTextOptions(settings.slideCount);
+            UIModule.startTextOptions();
+            const result = await AIGeneratorModule.generateTextOptions(settings.slideCount, { settings: UIModule.getGenerationSettings(), signal: controller.signal, onProgress: UIModule.updateTextOption });
             UIModule.renderTextOptions(result.options);
+            UIModule.renderCaptionSuggestions(result.options);
             UIModule.setAiStatus('Choose a style below', false);
+            scheduleAutosave();
         } catch (e) {
-            UIModule.setAiStatus(e.message, false);
-            if (e.message.includes('not configured') || e.message.includes('fetch')) {
-                if (confirm('Webhook unavailable. Use sample text for testing?')) {
-                    const mock = AIGeneratorModule.createMockTextResponse(settings.slideCount);
-                    UIModule.renderTextOptions(mock.options);
-                    UIModule.setAiStatus('Using sample text', false);
-                }
+            showPreviousTextOptions();
+            if (e.name === 'AbortError') {
+                UIModule.setAiStatus('Generation cancelled', false);
+                return;
             }
+            UIModule.setAiStatus(describeWebhookError(e), false);
+            const unavailable = [WebhookModule.CODES.NOT_CONFIGURED, WebhookModule.CODES.NETWORK].includes(e.code);
+            if (unavailable && confirm('Webhook unavailable. Use sample text for testing?')) await showSampleText(settings.slideCount, controller.signal);
         } finally {
+            if (state.textController === controller) state.textController = null;
             UIModule.setButtonLoading(btn, false);
         }
     }
 
+    // The offline mock provider stands in while the real one is unavailable
+    async function showSampleText(slideCount, signal) {
+        try {
+            UIModule.setAiStatus('Generating sample text...', true);
+            UIModule.startTextOptions();
+            const result = await AIGeneratorModule.generateTextOptions(slideCount, { settings: UIModule.getGenerationSettings(), provider: 'mock', signal, onProgress: UIModule.updateTextOption });
+            UIModule.renderTextOptions(result.options);
+            UIModule.renderCaptionSuggestions(result.options);
+            UIModule.setAiStatus('Using sample text', false);
+            scheduleAutosave();
+        } catch (e) {
+            showPreviousTextOptions();
+            UIModule.setAiStatus(e.name === 'AbortError' ? 'Generation cancelled' : e.message, false);
+        }
+    }
+
+    // A failed or cancelled run leaves half-written cards; the last complete options come back instead
+    function showPreviousTextOptions() {
+        const options = AIGeneratorModule.getGeneratedTextOptions();
+        if (options) UIModule.renderTextOptions(options);
+        else UIModule.hideTextOptions();
+    }
+
+    function handleCancelGenerateText() {
+        if (state.textController) state.textController.abort();
+    }
+
     function handleUseTextOption(index) {
         const option = AIGeneratorModule.getTextOption(index);
-        if (option) UIModule.applyTextToSlides(option);
+        if (option) {
+            state.selectedTextOption = index;
+            UIModule.applyTextToSlides(option);
+        }
+    }
+
+    // Slides rewrite independently; the tone of the applied option keeps the rewrite in voice
+    async function handleRewriteSlide(slideIndex, mode) {
+        const slides = UIModule.getSlidesData();
+        const slide = slides[slideIndex];
+        if (!slide || state.rewriteControllers[slide.id]) return;
+        const controller = new AbortController();
+        state.rewriteControllers[slide.id] = controller;
+        UIModule.setSlideRewriting(slide.id, true);
+        try {
+            const tone = AIGeneratorModule.getTextOption(state.selectedTextOption)?.tone || null;
+            const result = await AIGeneratorModule.rewriteSlide(slides.map(s => s.text), slideIndex, mode, { tone, settings: UIModule.getGenerationSettings(), signal: controller.signal });
+            delete state.rewriteControllers[slide.id];
+            UIModule.setSlideRewriting(slide.id, false);
+            UIModule.replaceSlideText(slide.id, result, mode);
+        } catch (e) {
+            if (e.name !== 'AbortError') UIModule.showToast('Rewrite failed: ' + describeWebhookError(e), 'error');
+        } finally {
+            if (state.rewriteControllers[slide.id] === controller) {
+                delete state.rewriteControllers[slide.id];
+                UIModule.setSlideRewriting(slide.id, false);
+            }
+        }
     }
 
+    function handleCancelRewriteSlide(slideId) {
+        if (state.rewriteControllers[slideId]) state.rewriteControllers[slideId].abort();
+    }
+
+    // The other slides' text goes with every image request, so the backgrounds share one look
+    function getImageContextSlides(slides, slideIndex) {
+        return slides
+            .filter((_, i) => i !== slideIndex)
+            .map(s => ({ number: s.index + 1, text: TextLayoutModule.toPlainText(s.text).replace(/\s+/g, ' ').trim() }))
+            .filter(s => s.text);
+    }
+
+    // Opening the modal shows the slide's earlier batches; only a slide without any gets one right away
     async function handleGenerateAiImage(slideIndex) {
-        state.currentAiImageSlide = slideIndex;
-        UIModule.showAiImageModal(slideIndex);
+        const slide = UIModule.getSlidesData()[slideIndex];
+        if (!slide) return;
+        if (state.imageController) state.imageController.abort();
+        state.currentAiImageSlide = slide.id;
+        const history = AIGeneratorModule.getImageHistory(slide.id);
+        const last = history[history.length - 1];
+        const defaultPrompt = GenerationModule.getImagePrompt(TextLayoutModule.toPlainText(slide.text));
+        const contextSlides = getImageContextSlides(UIModule.getSlidesData(), slideIndex).map(s => s.number);
+        UIModule.showAiImageModal(slideIndex, { prompt: last?.prompt || defaultPrompt, defaultPrompt, style: last?.style, contextSlides });
+        UIModule.renderAiImageHistory(history);
+        if (history.length === 0) await generateAiImageBatch({ prompt: defaultPrompt });
+    }
+
+    function handleGenerateMoreAiImages({ prompt, style }) {
+        return generateAiImageBatch({ prompt, style });
+    }
+
+    function handleAiImageVariation(batchId, index) {
+        return generateAiImageBatch({ variationOf: { batchId, index } });
+    }
+
+    // One more batch for the slide in the image modal; `options` are generateImagesForSlide's prompt, style or variationOf
+    async function generateAiImageBatch(options) {
         const slides = UIModule.getSlidesData();
-        const slideText = slides[slideIndex]?.text || '';
+        const slideIndex = slides.findIndex(s => s.id === state.currentAiImageSlide);
+        const slide = slides[slideIndex];
+        if (!slide) return;
+        const { width, height } = UIModule.getGlobalSettings();
+        if (state.imageController) state.imageController.abort();
+        const controller = new AbortController();
+        state.imageController = controller;
+        const getHistory = () => AIGeneratorModule.getImageHistory(slide.id);
+        const context = getImageContextSlides(slides, slideIndex)
+            .map(s => `Slide ${s.number}: ${s.text.length > 160 ? `${s.text.slice(0, 157)}...` : s.text}`)
+            .join('\n');
+        const generate = provider => AIGeneratorModule.generateImagesForSlide(slide.id, slideIndex, TextLayoutModule.toPlainText(slide.text), context, { width, height }, { ...options, signal: controller.signal, provider });
+        UIModule.setAiImageGenerating(true);
+        UIModule.renderAiImageHistory(getHistory(), { pending: options.variationOf ? 'Generating variations...' : 'Generating 3 images...' });
         try {
-            const result = await AIGeneratorModule.generateImagesForSlide(slideIndex, slideText);
-            UIModule.setAiImageOptions(result.images);
+            try {
+                await generate(null);
+            } catch (e) {
+                // Without a configured service the offline mock fills the modal with sample images
+                if (e.code !== WebhookModule.CODES.NOT_CONFIGURED) throw e;
+                await generate('mock');
+            }
+            scheduleAutosave();
         } catch (e) {
-            if (e.message.includes('not configured')) {
-                const mock = AIGeneratorModule.createMockImageResponse(slideIndex);
-                UIModule.setAiImageOptions(mock.images);
-            } else {
-                UIModule.showToast('Image generation failed: ' + e.message, 'error');
-                UIModule.hideAiImageModal();
+            // A cancelled request was closed by the user, who needs no message about it
+            if (e.name === 'AbortError') return;
+            UIModule.showToast('Image generation failed: ' + describeWebhookError(e), 'error');
+            // With nothing to choose from the modal is of no use
+            if (getHistory().length === 0) UIModule.hideAiImageModal();
+        } finally {
+            if (state.imageController === controller) {
+                state.imageController = null;
+                UIModule.setAiImageGenerating(false);
+                UIModule.renderAiImageHistory(getHistory());
             }
         }
     }
 
-    function handleSelectAiImage(imageData) {
-        if (state.currentAiImageSlide !== null) {
-            UIModule.setSlideImage(state.currentAiImageSlide, imageData);
+    function handleCancelAiImage() {
+        if (state.imageController) state.imageController.abort();
+    }
+
+    // The offline mock draws SVG; slides keep PNG so every renderer and export can read them
+    async function handleSelectAiImage(imageData) {
+        const slideId = state.currentAiImageSlide;
+        const image = await CanvasModule.rasterizeImage(imageData);
+        const slideIndex = UIModule.getSlidesData().findIndex(s => s.id === slideId);
+        if (slideIndex !== -1) {
+            UIModule.setSlideImage(slideIndex, image);
             UIModule.showToast('Image applied to slide!', 'success');
         }
     }
 
+    // Slides stream into the preview as they finish; pressing the button again cancels
     async function handleGenerateCarousel() {
-        if (state.isGenerating) return;
-        const btn = document.getElementById('generateCarouselBtn');
+        if (state.renderController) {
+            state.renderController.abort();
+            return;
+        }
+        const controller = new AbortController();
+        if (state.previewController) state.previewController.abort();
         try {
-            state.isGenerating = true;
-            UIModule.setButtonLoading(btn, true);
+            state.renderController = controller;
             const settings = UIModule.getGlobalSettings();
             const slides = UIModule.getSlidesData();
             const logoSettings = UIModule.getLogoSettings();
-            state.generatedImages = await CanvasModule.generateAllSlides(slides, settings, logoSettings);
-            UIModule.renderCarouselSlides(state.generatedImages);
-            UIModule.renderCarouselDots(state.generatedImages.length, 0);
-            UIModule.renderDownloadButtons(state.generatedImages);
-            CarouselModule.setTotalSlides(state.generatedImages.length);
-            UIModule.showToast('Carousel generated!', 'success');
-        } catch (e) {
-            UIModule.showToast('Generation failed: ' + e.message, 'error');
+            CarouselModule.setTotalSlides(slides.length, { keepPosition: true });
+            UIModule.renderCarouselSlides(slides.map(() => null));
+            UIModule.renderCarouselDots(slides.length, CarouselModule.getCurrentIndex());
+            UIModule.setRenderProgress(0, slides.length);
+            const images = await RenderPoolModule.renderSlides(slides, settings, logoSettings, {
+                signal: controller.signal,
+                onSlide: (index, image, done) => {
+                    UIModule.setCarouselSlide(index, image);
+                    UIModule.setRenderProgress(done, slides.length);
+                }
+            });
+            state.generatedImages = images;
+            state.renderedSlideIds = slides.map(s => s.id);
+            state.renderedHashes = slides.map(slide => getSlideHash(slide, settings, logoSettings));
+            renderPreview({ keepPosition: true });
+            scheduleAutosave();
+            const oversized = getOversizedSlides(state.generatedImages, settings);
+            if (oversized.length) {
+                const subject = oversized.length > 1 ? `Slides ${oversized.join(', ')} exceed` : `Slide ${oversized[0]} exceeds`;
+                const hint = settings.imageType === 'png' ? 'PNG is lossless; switch to JPEG or WebP to compress' : 'even at the lowest quality';
+                UIModule.showToast(`${subject} ${settings.maxSlideKB} KB (${hint}).`, 'error');
+            } else {
+                UIModule.showToast('Carousel generated!', 'success');
+            }
+        } catch (e) {
+            // The previous render stays in place when generation is cancelled or fails
+            renderPreview({ keepPosition: true });
+            if (e.name === 'AbortError') UIModule.showToast('Generation cancelled');
+            else UIModule.showToast('Generation failed: ' + e.message, 'error');
         } finally {
-            state.isGenerating = false;
-            UIModule.setButtonLoading(btn, false);
+            state.renderController = null;
+            UIModule.setRenderProgress(null);
         }
     }
 
     function handleCarouselPrev() { CarouselModule.prevSlide(); }
     function handleCarouselNext() { CarouselModule.nextSlide(); }
     function handleCarouselDotClick(index) { CarouselModule.goToSlide(index); }
-    function handleSlideChange(index) { UIModule.updateCarouselDots(index); }
+    function handleSlideChange(index) {
+        UIModule.updateCarouselDots(index);
+        refreshLayoutEditor();
+    }
+
+    // The slide on screen; renders can lag behind edits, so it is looked up by the rendered id
+    function getPreviewSlide() {
+        const id = state.renderedSlideIds[CarouselModule.getCurrentIndex()];
+        const slides = UIModule.getSlidesData();
+        const index = slides.findIndex(s => s.id === id);
+        return index === -1 ? null : { index, slide: slides[index] };
+    }
+
+    function handleToggleLayoutEditor() {
+        state.isEditingLayout = !state.isEditingLayout;
+        UIModule.setLayoutEditing(state.isEditingLayout);
+        if (state.isEditingLayout) refreshLayoutEditor();
+        else LayoutEditorModule.hide();
+    }
+
+    async function refreshLayoutEditor() {
+        if (!state.isEditingLayout) return;
+        const token = ++layoutEditorToken;
+        const current = getPreviewSlide();
+        if (!current) {
+            LayoutEditorModule.hide();
+            return;
+        }
+        const editable = await CanvasModule.getEditableLayout(current.slide, UIModule.getGlobalSettings(), UIModule.getLogoSettings());
+        if (token === layoutEditorToken && state.isEditingLayout) LayoutEditorModule.show(editable);
+    }
+
+    function handleLayoutChange(key, box) {
+        const current = getPreviewSlide();
+        if (current) UIModule.setSlidePosition(current.index, key, box);
+    }
+
+    function handleResetSlideLayout() {
+        const current = getPreviewSlide();
+        if (!current || !UIModule.resetSlidePositions(current.index)) UIModule.showToast('This slide already uses its template layout');
+    }
 
     function handleDownloadSingle(index) {
         if (index >= 0 && index < state.generatedImages.length) {
-            CanvasModule.downloadImage(state.generatedImages[index], `gf-carousel-slide-${index + 1}.png`);
+            const image = state.generatedImages[index];
+            CanvasModule.downloadImage(image, `gf-carousel-slide-${index + 1}.${ExportModule.getExtension(image)}`);
         }
     }
 
+    // 1-based numbers of slides the encoder could not bring under the byte budget
+    function getOversizedSlides(images, settings) {
+        if (!settings.maxSlideKB) return [];
+        return images.map((image, i) => ExportModule.getByteSize(image) > settings.maxSlideKB * 1024 ? i + 1 : 0).filter(Boolean);
+    }
+
+    function getPostImages() {
+        return state.generatedImages.map(ExportModule.dataUrlToBlob);
+    }
+
+    function getPostAltTexts() {
+        return getRenderedSlides().map(TemplateModule.getAltText);
+    }
+
+    // Slides whose text overflows or is too small get one last chance before leaving the app
+    function confirmTextIssues() {
+        const slides = UIModule.getTextIssues().filter(i => i.overflow || i.tooSmall).map(i => i.index + 1);
+        if (!slides.length) return true;
+        const subject = slides.length > 1 ? `Slides ${slides.join(', ')} have` : `Slide ${slides[0]} has`;
+        return confirm(`${subject} text that overflows or is too small to read. Continue anyway?`);
+    }
+
+    function getExportTitle() {
+        return state.project ? state.project.title : ProjectModule.DEFAULT_TITLE;
+    }
+
+    // Slides in the order they were rendered, so exports match state.generatedImages
+    function getRenderedSlides() {
+        const slides = UIModule.getSlidesData();
+        return state.renderedSlideIds.map(id => slides.find(s => s.id === id)).filter(Boolean);
+    }
+
+    // The caption composer wins; while it is empty the slide text and brand kit hashtags stand in
+    function buildCaption(slides) {
+        const caption = UIModule.getCaption();
+        if (caption.text.trim() || caption.hashtags.trim()) return CaptionModule.compose(caption);
+        const hashtags = UIModule.getBrandKitHashtags();
+        const body = slides.map(s => TextLayoutModule.toPlainText(s.text)).filter(Boolean).join('\n\n');
+        return hashtags ? `${body}\n\n${hashtags}` : body;
+    }
+
     function handleDownloadAll() {
         if (state.generatedImages.length === 0) {
             UIModule.showToast('Generate carousel first', 'error');
             return;
         }
-        CanvasModule.downloadAllIndividually(state.generatedImages, 500);
-        UIModule.showToast('Downloading all slides...', 'success');
+        if (!confirmTextIssues()) return;
+        const slides = getRenderedSlides();
+        const zip = ExportModule.createCarouselZip({
+            title: getExportTitle(),
+            settings: UIModule.getGlobalSettings(),
+            slides,
+            images: state.generatedImages,
+            caption: buildCaption(slides)
+        });
+        ExportModule.downloadBlob(zip, `${ExportModule.slugify(getExportTitle())}.zip`);
+        UIModule.showToast('ZIP downloaded!', 'success');
+    }
+
+    async function handleExportPdf() {
+        if (state.generatedImages.length === 0) {
+            UIModule.showToast('Generate carousel first', 'error');
+            return;
+        }
+        if (!confirmTextIssues()) return;
+        const btn = document.getElementById('exportPdfBtn');
+        try {
+            UIModule.setButtonLoading(btn, true);
+            const pages = [];
+            for (const image of state.generatedImages) {
+                const { dataUrl, width, height } = await CanvasModule.encodeImage(image, 'image/jpeg', 0.92);
+                // JPEG renders go in as is so the PDF keeps their quality and byte budget
+                pages.push({ jpeg: ExportModule.dataUrlToBytes(ExportModule.getExtension(image) === 'jpg' ? image : dataUrl), width, height });
+            }
+            ExportModule.downloadBlob(ExportModule.createPdf(pages, getExportTitle()), `${ExportModule.slugify(getExportTitle())}.pdf`);
+            UIModule.showToast('PDF downloaded!', 'success');
+        } catch (e) {
+            UIModule.showToast('PDF export failed: ' + e.message, 'error');
+        } finally {
+            UIModule.setButtonLoading(btn, false);
+        }
+    }
+
+    async function handleExportAllFormats() {
+        const btn = document.getElementById('exportAllFormatsBtn');
+        const settings = UIModule.getGlobalSettings();
+        const slides = UIModule.getSlidesData();
+        const logoSettings = UIModule.getLogoSettings();
+        const formats = Object.entries(CanvasModule.FORMAT_PRESETS).map(([format, size]) => ({ format, ...size }));
+        if (!confirmTextIssues()) return;
+        if (settings.format === 'custom') formats.push({ format: `custom-${settings.width}x${settings.height}`, width: settings.width, height: settings.height });
+        try {
+            UIModule.setButtonLoading(btn, true);
+            const files = [];
+            for (const { format, width, height } of formats) {
+                const images = await RenderPoolModule.renderSlides(slides, { ...settings, format, width, height }, logoSettings);
+                images.forEach((dataUrl, i) => files.push({ name: `${format}/${ExportModule.getSlideFileName(i, ExportModule.getExtension(dataUrl))}`, data: ExportModule.dataUrlToBytes(dataUrl) }));
+            }
+            files.push({ name: 'caption.txt', data: buildCaption(slides) });
+            ExportModule.downloadBlob(ExportModule.createZip(files), `${ExportModule.slugify(getExportTitle())}-all-formats.zip`);
+            UIModule.showToast(`Exported ${formats.length} formats`, 'success');
+        } catch (e) {
+            UIModule.showToast('Export failed: ' + e.message, 'error');
+        } finally {
+            UIModule.setButtonLoading(btn, false);
+        }
+    }
+
+    // The caption and first comment to publish, or null after telling the user which Instagram limit they break
+    function getPostCaption() {
+        const caption = buildCaption(getRenderedSlides());
+        const firstComment = UIModule.getCaption().firstComment.trim();
+        const errors = [...CaptionModule.validate(caption).errors, ...CaptionModule.validate(firstComment, 'First comment').errors];
+        if (errors.length) {
+            UIModule.showToast(errors[0], 'error');
+            return null;
+        }
+        return { caption, firstComment };
     }
 
     async function handlePostNow() {
@@ -122,11 +476,15 @@ const App = (function() {
             UIModule.showToast('Generate carousel first', 'error');
             return;
         }
+        if (!confirmTextIssues()) return;
+        const post = getPostCaption();
+        if (!post) return;
         try {
-            await AIGeneratorModule.postNow({ images: state.generatedImages });
+            await AIGeneratorModule.postNow({ images: getPostImages(), altTexts: getPostAltTexts(), ...post });
             UIModule.showToast('Posted successfully!', 'success');
+            await setProjectStatus('posted');
         } catch (e) {
-            UIModule.showToast(e.message, 'error');
+            UIModule.showToast(describeWebhookError(e), 'error');
         }
     }
 
@@ -135,32 +493,515 @@ const App = (function() {
             UIModule.showToast('Generate carousel first', 'error');
             return;
         }
-        UIModule.showScheduleModal();
+        if (!confirmTextIssues()) return;
+        const post = getPostCaption();
+        if (post) UIModule.showScheduleModal(post.caption);
     }
 
     async function handleConfirmSchedule(data) {
+        const post = getPostCaption();
+        if (!post) return;
         try {
-            await AIGeneratorModule.schedulePost({ images: state.generatedImages, scheduledTime: data.scheduledTime, caption: data.caption });
+            await AIGeneratorModule.schedulePost({ images: getPostImages(), altTexts: getPostAltTexts(), scheduledTime: data.scheduledTime, ...post });
             UIModule.showToast('Post scheduled!', 'success');
+            await setProjectStatus('scheduled');
+        } catch (e) {
+            UIModule.showToast(describeWebhookError(e), 'error');
+        }
+    }
+
+    function getProjectMeta(project) {
+        const { id, title, status, createdAt, updatedAt } = project;
+        return { id, title, status, createdAt, updatedAt };
+    }
+
+    function buildProject() {
+        const ui = UIModule.getSnapshot();
+        const ai = AIGeneratorModule.getSnapshot();
+        // Batches of deleted slides stay in memory for undo but aren't worth persisting
+        const slideIds = new Set(ui.slides.map(s => s.id));
+        const slideImages = Object.fromEntries(Object.entries(ai.generatedImages).filter(([id]) => slideIds.has(id)));
+        return ProjectModule.createProject({
+            ...state.project,
+            settings: ui.settings,
+            slides: ui.slides,
+            logo: ui.logo,
+            caption: ui.caption,
+            generation: ui.generation,
+            sources: ai.sourceFiles,
+            ai: { textOptions: ai.generatedTextOptions, selectedOption: state.selectedTextOption, slideImages },
+            renders: state.generatedImages.map((image, i) => ({ slideId: state.renderedSlideIds[i], image, hash: state.renderedHashes[i] || null }))
+        });
+    }
+
+    function restoreProject(project) {
+        clearTimeout(autosaveTimer);
+        autosaveTimer = null;
+        // Renders still running belong to the previous project
+        clearTimeout(livePreviewTimer);
+        if (state.previewController) state.previewController.abort();
+        if (state.renderController) state.renderController.abort();
+        state.project = getProjectMeta(project);
+        state.selectedTextOption = project.ai.selectedOption;
+        state.generatedImages = project.renders.map(r => r.image);
+        state.renderedSlideIds = project.renders.map(r => r.slideId);
+        state.renderedHashes = project.renders.map(r => r.hash || null);
+        UIModule.restoreSnapshot({ settings: project.settings, slides: project.slides, logo: project.logo, caption: project.caption, generation: project.generation });
+        state.editorSnapshot = UIModule.getSnapshot();
+        HistoryModule.clear();
+        AIGeneratorModule.restoreSnapshot({ sourceFiles: project.sources, generatedTextOptions: project.ai.textOptions, generatedImages: project.ai.slideImages });
+        UIModule.renderUploadedFiles(project.sources);
+        if (project.ai.textOptions) UIModule.renderTextOptions(project.ai.textOptions);
+        else UIModule.hideTextOptions();
+        UIModule.renderCaptionSuggestions(project.ai.textOptions || []);
+        renderPreview();
+        scheduleLivePreview();
+        ProjectModule.setCurrentProjectId(project.id);
+        UIModule.setProjectTitle(project.title);
+        UIModule.setProjectStatus('All changes saved');
+    }
+
+    async function restoreLastProject() {
+        try {
+            const project = await ProjectModule.loadProject(ProjectModule.getCurrentProjectId());
+            if (project) {
+                restoreProject(project);
+                await refreshLibrary();
+                return;
+            }
+        } catch (e) {
+            console.error('Failed to restore project:', e);
+        }
+        restoreProject(ProjectModule.createProject());
+        await saveProjectNow();
+    }
+
+    async function refreshLibrary() {
+        try {
+            UIModule.renderProjectLibrary(await ProjectModule.listProjects(), state.project?.id);
+        } catch (e) {
+            console.error('Failed to list projects:', e);
+        }
+    }
+
+    async function renderThumbnail(project) {
+        const firstSlide = project.slides[0];
+        if (!firstSlide) return null;
+        const key = JSON.stringify([firstSlide, project.settings, project.logo]);
+        if (thumbnailCache.key !== key) {
+            const slideImage = await RenderPoolModule.renderSlide(firstSlide, project.settings, project.logo);
+            thumbnailCache = { key, image: await CanvasModule.createThumbnail(slideImage) };
+        }
+        return thumbnailCache.image;
+    }
+
+    function handleStateChange(change) {
+        const snapshot = UIModule.getSnapshot();
+        HistoryModule.record({ label: change.label, key: change.key, before: state.editorSnapshot, after: snapshot });
+        state.editorSnapshot = snapshot;
+        scheduleLivePreview();
+        scheduleAutosave();
+        refreshLayoutEditor();
+    }
+
+    function applyEditorSnapshot(snapshot) {
+        UIModule.restoreSnapshot(snapshot);
+        state.editorSnapshot = snapshot;
+        scheduleLivePreview();
+        scheduleAutosave();
+        refreshLayoutEditor();
+    }
+
+    // Image data URLs are swapped for short ids so hashing a slide never walks megabytes of base64
+    function getImageId(src) {
+        if (!imageIds.has(src)) {
+            if (imageIds.size >= MAX_IMAGE_IDS) imageIds.clear();
+            imageIds.set(src, `image:${++nextImageId}`);
+        }
+        return imageIds.get(src);
+    }
+
+    // FNV-1a over everything that affects a slide's pixels
+    function getSlideHash(slide, settings, logoSettings) {
+        const { slideCount, brandKitId, ...renderSettings } = settings;
+        // Alt text is never drawn, so editing it should not re-render the slide
+        const { altText, index, ...drawnSlide } = slide;
+        // Panorama slices and page counters depend on how many slides there are
+        if (CanvasModule.usesSlideCount(settings)) renderSettings.slideCount = slideCount;
+        // Otherwise the position only matters to numbered templates, so moving slides keeps their renders
+        if (CanvasModule.usesSlideIndex(slide, settings)) drawnSlide.index = index;
+        const json = JSON.stringify({ slide: drawnSlide, renderSettings, logoSettings }, (key, value) => typeof value === 'string' && value.startsWith('data:') ? getImageId(value) : value);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < json.length; i++) hash = Math.imul(hash ^ json.charCodeAt(i), 0x01000193);
+        return (hash >>> 0).toString(16);
+    }
+
+    function scheduleLivePreview() {
+        clearTimeout(livePreviewTimer);
+        livePreviewTimer = setTimeout(refreshPreview, LIVE_PREVIEW_DELAY);
+    }
+
+    // Re-render only slides whose hash changed; the carousel stays on the slide being looked at
+    async function refreshPreview() {
+        if (state.renderController) {
+            scheduleLivePreview();
+            return;
+        }
+        if (state.previewController) state.previewController.abort();
+        const controller = new AbortController();
+        state.previewController = controller;
+        const slides = UIModule.getSlidesData();
+        const settings = UIModule.getGlobalSettings();
+        const logoSettings = UIModule.getLogoSettings();
+        const slideIds = slides.map(s => s.id);
+        const hashes = slides.map(slide => getSlideHash(slide, settings, logoSettings));
+        const rendered = new Map(state.renderedSlideIds.map((id, i) => [id, { image: state.generatedImages[i], hash: state.renderedHashes[i] }]));
+        const images = slides.map(slide => rendered.get(slide.id)?.image || null);
+        const changed = [...hashes.keys()].filter(i => rendered.get(slideIds[i])?.hash !== hashes[i]);
+        const reordered = slideIds.join() !== state.renderedSlideIds.join();
+        if (!changed.length && !reordered) return;
+
+        // Changed slides keep their last render on screen until the new one arrives
+        if (reordered) {
+            CarouselModule.setTotalSlides(images.length, { keepPosition: true });
+            UIModule.renderCarouselSlides(images);
+            UIModule.renderCarouselDots(images.length, CarouselModule.getCurrentIndex());
+        }
+        try {
+            await Promise.all(changed.map(async i => {
+                images[i] = await RenderPoolModule.renderSlide(slides[i], settings, logoSettings, controller.signal);
+                UIModule.setCarouselSlide(i, images[i]);
+            }));
+        } catch (e) {
+            if (e.name !== 'AbortError') console.error('Live preview failed:', e);
+            return;
+        } finally {
+            if (state.previewController === controller) state.previewController = null;
+        }
+        state.generatedImages = images;
+        state.renderedSlideIds = slideIds;
+        state.renderedHashes = hashes;
+        UIModule.renderDownloadButtons(images);
+        if (changed.length) scheduleAutosave();
+        if (reordered) refreshLayoutEditor();
+    }
+
+    function scheduleAutosave() {
+        clearTimeout(autosaveTimer);
+        autosaveTimer = setTimeout(saveProjectNow, AUTOSAVE_DELAY);
+        UIModule.setProjectStatus('Unsaved changes');
+    }
+
+    function saveProjectNow() {
+        clearTimeout(autosaveTimer);
+        autosaveTimer = null;
+        // Chain saves so a slow thumbnail render never lets an older draft overwrite a newer one
+        saveQueue = saveQueue.then(persistProject);
+        return saveQueue;
+    }
+
+    async function persistProject() {
+        if (!state.project) return;
+        try {
+            const project = buildProject();
+            try {
+                project.thumbnail = await renderThumbnail(project);
+            } catch (e) {
+                console.error('Failed to render thumbnail:', e);
+            }
+            const saved = await ProjectModule.saveProject(project);
+            if (state.project?.id === saved.id) state.project = getProjectMeta(saved);
+            ProjectModule.setCurrentProjectId(state.project.id);
+            UIModule.setProjectStatus('All changes saved');
+            await refreshLibrary();
+        } catch (e) {
+            console.error('Autosave failed:', e);
+            UIModule.setProjectStatus('Autosave failed');
+        }
+    }
+
+    function flushAutosave() {
+        if (autosaveTimer) saveProjectNow();
+    }
+
+    async function switchProject(project) {
+        await saveProjectNow();
+        restoreProject(project);
+        await saveProjectNow();
+        document.getElementById('settings')?.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async function handleCreateProject() {
+        await switchProject(ProjectModule.createProject());
+        UIModule.showToast('New carousel created', 'success');
+    }
+
+    async function handleOpenProject(id) {
+        if (id === state.project?.id) {
+            document.getElementById('settings')?.scrollIntoView({ behavior: 'smooth' });
+            return;
+        }
+        try {
+            const project = await ProjectModule.loadProject(id);
+            if (!project) throw new Error('Project not found.');
+            await switchProject(project);
+        } catch (e) {
+            UIModule.showToast('Failed to open project: ' + e.message, 'error');
+        }
+    }
+
+    async function handleRenameProject(id) {
+        const current = id === state.project?.id;
+        // The library on screen already has every title, so there is no storage read before the prompt
+        const title = prompt('Rename carousel', current ? state.project.title : UIModule.getLibraryProject(id)?.title || '');
+        if (title === null) return;
+        try {
+            if (current) {
+                state.project.title = title.trim() || ProjectModule.DEFAULT_TITLE;
+                UIModule.setProjectTitle(state.project.title);
+                await saveProjectNow();
+            } else {
+                await ProjectModule.renameProject(id, title);
+                await refreshLibrary();
+            }
+        } catch (e) {
+            UIModule.showToast('Rename failed: ' + e.message, 'error');
+        }
+    }
+
+    async function handleDuplicateProject(id) {
+        try {
+            if (id === state.project?.id) await saveProjectNow();
+            await ProjectModule.duplicateProject(id);
+            await refreshLibrary();
+            UIModule.showToast('Carousel duplicated', 'success');
+        } catch (e) {
+            UIModule.showToast('Duplicate failed: ' + e.message, 'error');
+        }
+    }
+
+    async function handleDeleteProject(id) {
+        if (!confirm('Delete this carousel? This cannot be undone.')) return;
+        const current = id === state.project?.id;
+        try {
+            if (current) {
+                // Let in-flight saves land first so they can't recreate the deleted draft
+                clearTimeout(autosaveTimer);
+                autosaveTimer = null;
+                await saveQueue;
+            }
+            await ProjectModule.deleteProject(id);
+            if (current) {
+                const [next] = await ProjectModule.listProjects();
+                const project = next ? await ProjectModule.loadProject(next.id) : ProjectModule.createProject();
+                restoreProject(project);
+                await saveProjectNow();
+            } else {
+                await refreshLibrary();
+            }
+            UIModule.showToast('Carousel deleted', 'success');
+        } catch (e) {
+            UIModule.showToast('Delete failed: ' + e.message, 'error');
+        }
+    }
+
+    async function setProjectStatus(status) {
+        if (!state.project) return;
+        state.project.status = status;
+        await saveProjectNow();
+    }
+
+    async function handleExportProject() {
+        await saveProjectNow();
+        ProjectModule.exportToFile(buildProject());
+        UIModule.showToast('Project exported!', 'success');
+    }
+
+    async function handleImportProject(file) {
+        try {
+            await switchProject(await ProjectModule.importFromFile(file));
+            UIModule.showToast('Project imported!', 'success');
+        } catch (e) {
+            UIModule.showToast('Import failed: ' + e.message, 'error');
+        }
+    }
+
+    function refreshBrandKits(selectedId = UIModule.getGlobalSettings().brandKitId) {
+        UIModule.renderBrandKits(BrandKitModule.listKits(), selectedId);
+    }
+
+    function handleApplyBrandKit(id) {
+        const kit = BrandKitModule.getKit(id);
+        if (!kit) return;
+        UIModule.applyBrandKit(kit);
+        UIModule.showToast(`Applied "${kit.name}"`, 'success');
+    }
+
+    function handleSaveBrandKit() {
+        const name = prompt('Brand kit name:', state.project ? state.project.title : '');
+        if (name === null) return;
+        try {
+            const kit = BrandKitModule.saveKit(BrandKitModule.fromEditor(UIModule.getGlobalSettings(), UIModule.getLogoSettings(), { name, hashtags: UIModule.getBrandKitHashtags() }));
+            // The kit was captured from the editor, so selecting it is enough
+            refreshBrandKits(kit.id);
+            handleStateChange({ label: `Save brand kit "${kit.name}"` });
+            UIModule.showToast('Brand kit saved', 'success');
         } catch (e) {
             UIModule.showToast(e.message, 'error');
         }
     }
 
+    function handleUpdateBrandKit(id) {
+        const kit = BrandKitModule.getKit(id);
+        if (!kit) return;
+        try {
+            BrandKitModule.saveKit(BrandKitModule.fromEditor(UIModule.getGlobalSettings(), UIModule.getLogoSettings(), { id, name: kit.name, hashtags: UIModule.getBrandKitHashtags() }));
+            refreshBrandKits(id);
+            UIModule.showToast(`"${kit.name}" updated`, 'success');
+        } catch (e) {
+            UIModule.showToast(e.message, 'error');
+        }
+    }
+
+    function handleDeleteBrandKit(id) {
+        const kit = BrandKitModule.getKit(id);
+        if (!kit || !confirm(`Delete brand kit "${kit.name}"?`)) return;
+        try {
+            BrandKitModule.deleteKit(id);
+            refreshBrandKits(null);
+            UIModule.showToast('Brand kit deleted', 'success');
+        } catch (e) {
+            UIModule.showToast(e.message, 'error');
+        }
+    }
+
+    function handleSaveHashtagGroup() {
+        const { hashtags } = UIModule.getCaption();
+        if (!CaptionModule.normalizeHashtags(hashtags).length) {
+            UIModule.showToast('Add some hashtags before saving a group.', 'error');
+            return;
+        }
+        const name = prompt('Hashtag group name:');
+        if (name === null) return;
+        try {
+            const group = CaptionModule.saveGroup(name, hashtags);
+            UIModule.renderHashtagGroups(CaptionModule.listGroups(), group.id);
+            UIModule.showToast(`Hashtag group "${group.name}" saved`, 'success');
+        } catch (e) {
+            UIModule.showToast(e.message, 'error');
+        }
+    }
+
+    function handleDeleteHashtagGroup(id) {
+        const group = CaptionModule.listGroups().find(g => g.id === id);
+        if (!group || !confirm(`Delete hashtag group "${group.name}"?`)) return;
+        try {
+            CaptionModule.deleteGroup(id);
+            UIModule.renderHashtagGroups(CaptionModule.listGroups());
+        } catch (e) {
+            UIModule.showToast(e.message, 'error');
+        }
+    }
+
+    function handleSavePromptPreset() {
+        const name = prompt('Preset name:');
+        if (name === null) return;
+        try {
+            const preset = GenerationModule.savePreset(name, UIModule.getGenerationSettings());
+            UIModule.renderPromptPresets(GenerationModule.listPresets(), preset.id);
+            UIModule.showToast(`Preset "${preset.name}" saved`, 'success');
+        } catch (e) {
+            UIModule.showToast(e.message, 'error');
+        }
+    }
+
+    function handleDeletePromptPreset(id) {
+        const preset = GenerationModule.listPresets().find(p => p.id === id);
+        if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return;
+        try {
+            GenerationModule.deletePreset(id);
+            UIModule.renderPromptPresets(GenerationModule.listPresets());
+        } catch (e) {
+            UIModule.showToast(e.message, 'error');
+        }
+    }
+
+    function handleExportBrandKit(id) {
+        const kit = BrandKitModule.getKit(id);
+        if (kit) BrandKitModule.exportToFile(kit);
+    }
+
+    async function handleImportBrandKit(file) {
+        try {
+            const kit = await BrandKitModule.importFromFile(file);
+            refreshBrandKits(kit.id);
+            UIModule.applyBrandKit(kit);
+            UIModule.showToast(`Brand kit "${kit.name}" imported`, 'success');
+        } catch (e) {
+            UIModule.showToast('Import failed: ' + e.message, 'error');
+        }
+    }
+
+    function renderPreview({ keepPosition = false } = {}) {
+        const count = state.generatedImages.length;
+        CarouselModule.setTotalSlides(count, { keepPosition });
+        UIModule.renderCarouselSlides(state.generatedImages);
+        UIModule.renderCarouselDots(count, CarouselModule.getCurrentIndex());
+        UIModule.renderDownloadButtons(state.generatedImages);
+        refreshLayoutEditor();
+    }
+
     function init() {
+        HistoryModule.init({
+            apply: applyEditorSnapshot,
+            onChange: () => UIModule.renderHistory(HistoryModule.getEntries())
+        });
         UIModule.init({
+            onStateChange: handleStateChange,
+            onUndo: () => HistoryModule.undo(),
+            onRedo: () => HistoryModule.redo(),
+            onHistoryJump: position => HistoryModule.goTo(position),
+            onExportProject: handleExportProject,
+            onImportProject: handleImportProject,
+            onCreateProject: handleCreateProject,
+            onOpenProject: handleOpenProject,
+            onRenameProject: handleRenameProject,
+            onDuplicateProject: handleDuplicateProject,
+            onDeleteProject: handleDeleteProject,
+            onApplyBrandKit: handleApplyBrandKit,
+            onSaveBrandKit: handleSaveBrandKit,
+            onUpdateBrandKit: handleUpdateBrandKit,
+            onDeleteBrandKit: handleDeleteBrandKit,
+            onExportBrandKit: handleExportBrandKit,
+            onImportBrandKit: handleImportBrandKit,
+            onSaveHashtagGroup: handleSaveHashtagGroup,
+            onDeleteHashtagGroup: handleDeleteHashtagGroup,
+            onSavePromptPreset: handleSavePromptPreset,
+            onDeletePromptPreset: handleDeletePromptPreset,
             onSourceFileAdded: handleSourceFileAdded,
+            onSourceTextAdded: handleSourceTextAdded,
+            onSourceUrlAdded: handleSourceUrlAdded,
             onSourceFileRemoved: handleSourceFileRemoved,
             onGenerateText: handleGenerateText,
+            onCancelGenerateText: handleCancelGenerateText,
             onUseTextOption: handleUseTextOption,
+            onRewriteSlide: handleRewriteSlide,
+            onCancelRewriteSlide: handleCancelRewriteSlide,
             onGenerateAiImage: handleGenerateAiImage,
             onSelectAiImage: handleSelectAiImage,
+            onGenerateMoreAiImages: handleGenerateMoreAiImages,
+            onAiImageVariation: handleAiImageVariation,
+            onCancelAiImage: handleCancelAiImage,
             onGenerateCarousel: handleGenerateCarousel,
+            onToggleLayoutEditor: handleToggleLayoutEditor,
+            onResetSlideLayout: handleResetSlideLayout,
             onCarouselPrev: handleCarouselPrev,
             onCarouselNext: handleCarouselNext,
             onCarouselDotClick: handleCarouselDotClick,
             onDownloadSingle: handleDownloadSingle,
             onDownloadAll: handleDownloadAll,
+            onExportAllFormats: handleExportAllFormats,
+            onExportPdf: handleExportPdf,
             onPostNow: handlePostNow,
             onSchedulePost: handleSchedulePost,
             onConfirmSchedule: handleConfirmSchedule
@@ -172,7 +1013,14 @@ const App = (function() {
             nextBtn: document.getElementById('carouselNext'),
             onSlideChange: handleSlideChange
         });
+        LayoutEditorModule.init({ container: document.getElementById('carouselContainer'), onChange: handleLayoutChange });
         UIModule.renderCarouselSlides([]);
+        refreshBrandKits(null);
+        UIModule.renderHashtagGroups(CaptionModule.listGroups());
+        UIModule.renderPromptPresets(GenerationModule.listPresets());
+        document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') flushAutosave(); });
+        window.addEventListener('pagehide', flushAutosave);
+        restoreLastProject();
         console.log('GF Carousel Studio v4 initialized');
     }
 
@@ -0,0 +1,125 @@
+/**
+ * Brand Kit Module - Named client palettes, fonts, logos and hashtags saved locally
+ */
+const BrandKitModule = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'gf_carousel_brand_kits';
+    const SCHEMA = 'gf-carousel-brand-kit';
+    const SCHEMA_VERSION = 1;
+    const FILE_EXTENSION = '.brandkit.json';
+
+    const DEFAULTS = {
+        name: 'Default',
+        palette: { background: '#211D58', text: '#ffffff', highlight: '#8BC07C' },
+        fonts: { heading: 'Montserrat', body: 'Montserrat' },
+        // onDark is drawn over dark and image backgrounds, onLight over light slide colors
+        logo: { onDark: null, onLight: null, position: 'bottom-left', size: 80 },
+        hashtags: ''
+    };
+
+    function createKit(overrides = {}) {
+        return {
+            id: ProjectModule.generateId(),
+            ...DEFAULTS,
+            updatedAt: new Date().toISOString(),
+            ...overrides,
+            palette: { ...DEFAULTS.palette, ...overrides.palette },
+            fonts: { ...DEFAULTS.fonts, ...overrides.fonts },
+            logo: { ...DEFAULTS.logo, ...overrides.logo }
+        };
+    }
+
+    function readKits() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored ? JSON.parse(stored).map(k => createKit(k)) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function writeKits(kits) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(kits));
+        } catch (e) {
+            throw new Error('Brand kit storage is full. Use smaller logo files or delete unused kits.');
+        }
+    }
+
+    // The first visit seeds a kit with the studio's own colors so the picker is never empty
+    function listKits() {
+        const kits = readKits();
+        if (kits.length) return kits;
+        const seeded = [createKit()];
+        try {
+            writeKits(seeded);
+        } catch (e) {
+            // Storage unavailable - the seeded kit still works for this session
+        }
+        return seeded;
+    }
+
+    function getKit(id) {
+        return listKits().find(k => k.id === id) || null;
+    }
+
+    function saveKit(kit) {
+        const record = createKit({ ...kit, name: (kit.name || '').trim() || 'Untitled kit', updatedAt: new Date().toISOString() });
+        const kits = listKits();
+        const index = kits.findIndex(k => k.id === record.id);
+        if (index === -1) kits.push(record);
+        else kits[index] = record;
+        writeKits(kits);
+        return record;
+    }
+
+    function deleteKit(id) {
+        writeKits(listKits().filter(k => k.id !== id));
+    }
+
+    /**
+     * Capture the editor's current look as a kit. `logo` is UIModule.getLogoSettings();
+     * keeps `id` and `name` from `base` so this can both create and update kits.
+     */
+    function fromEditor(settings, logo, base = {}) {
+        return createKit({
+            ...base,
+            palette: { background: settings.backgroundColor, text: settings.textColor, highlight: settings.highlightColor },
+            fonts: { heading: settings.headingFontFamily || settings.fontFamily, body: settings.fontFamily },
+            logo: { onDark: logo.image || null, onLight: logo.imageOnLight || null, position: logo.position, size: logo.size }
+        });
+    }
+
+    function getFileName(kit) {
+        const slug = kit.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return (slug || 'brand') + FILE_EXTENSION;
+    }
+
+    function exportToFile(kit) {
+        const blob = new Blob([JSON.stringify({ schema: SCHEMA, version: SCHEMA_VERSION, kit }, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getFileName(kit);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async function importFromFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            throw new Error('File is not valid JSON.');
+        }
+        if (!data || data.schema !== SCHEMA || !data.kit) throw new Error('Not a brand kit file.');
+        if (data.version > SCHEMA_VERSION) throw new Error(`Brand kit was saved by a newer version of the app (v${data.version}).`);
+        // Imported kits get a fresh id so they never overwrite a local kit
+        return saveKit({ ...data.kit, id: ProjectModule.generateId() });
+    }
+
+    return { FILE_EXTENSION, createKit, listKits, getKit, saveKit, deleteKit, fromEditor, exportToFile, importFromFile };
+})();
@@ -1,5 +1,8 @@
 /**
  * Canvas Module - Image generation with logo overlay support
+ *
+ * Runs on the page and inside render workers (js/render-worker.js), where it
+ * draws on an OffscreenCanvas and decodes images with createImageBitmap.
  */
 const CanvasModule = (function() {
     'use strict';
@@ -7,15 +10,83 @@ const CanvasModule = (function() {
     const CANVAS_HEIGHT = 1350;
     const PADDING = 80;
     const LOGO_PADDING = 40;
+    // Padding, logo and font sizes are authored for a 1080px short edge and scaled from there
+    const BASE_SIZE = 1080;
+    // Auto-fit searches whole font sizes between these limits (1080px units, like fontSize)
+    const AUTO_FIT_MIN_SIZE = 24;
+    const AUTO_FIT_MAX_SIZE = 120;
+    // Text smaller than this is hard to read once the slide is shrunk to a phone screen
+    const MIN_READABLE_SIZE = 32;
+    const IMAGE_TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+    // Byte budgets step lossy quality down by this much, but never below the floor
+    const QUALITY_STEP = 0.1;
+    const MIN_QUALITY = 0.4;
+    // Decoded images kept per thread; a carousel rarely uses more than a logo and a few backgrounds
+    const IMAGE_CACHE_SIZE = 12;
+    // Long edge of vector artwork turned into PNG for the render workers; covers the tallest format
+    const RASTER_SIZE = 2048;
+    // Per-slide photo treatment; `overlayOpacity: null` keeps the template's scrim
+    const DEFAULT_BACKGROUND_STYLE = {
+        fit: 'cover',
+        focusX: 0.5,
+        focusY: 0.5,
+        zoom: 1,
+        overlayColor: '#000000',
+        overlayOpacity: null,
+        overlayDirection: 'flat',
+        brightness: 100,
+        contrast: 100,
+        saturation: 100,
+        blur: 0,
+        grayscale: 0,
+        duotone: false
+    };
+    // Contain mode fills the bars with the same photo blurred this much (1080px units)
+    const FILL_BLUR = 40;
+    // `stops: null` runs from the slide color to the highlight color; angles follow CSS (0 = to top, 90 = to right)
+    const DEFAULT_GRADIENT = { type: 'linear', angle: 135, stops: null };
+    const MAX_GRADIENT_STOPS = 5;
+    // Patterns are drawn over the slide color; `size` is the cell size in 1080px units
+    const DEFAULT_PATTERN = { type: 'dots', color: '#ffffff', opacity: 0.15, size: 40 };
+    // One background spread across every slide; each slide draws its own slice of the strip
+    const DEFAULT_PANORAMA = { enabled: false, type: 'gradient', image: null, focusY: 0.5, gradient: null };
+    const NOISE_TILE = 128;
+    // Page counter, progress bar, swipe hint and footer drawn over every slide from its index and the slide count
+    const DEFAULT_CHROME = { counter: 'none', counterPosition: 'top-right', progress: 'none', swipe: false, swipeText: 'Swipe', footer: '' };
+    const CHROME_FONT_SIZE = 30;
+    const PROGRESS_HEIGHT = 8;
+    const FORMAT_PRESETS = {
+        portrait: { label: 'Portrait 4:5', width: 1080, height: 1350 },
+        square: { label: 'Square 1:1', width: 1080, height: 1080 },
+        story: { label: 'Story 9:16', width: 1080, height: 1920 },
+        landscape: { label: 'Landscape 1.91:1', width: 1200, height: 628 }
+    };
 
-    function createCanvas() {
+    function getFormatSize(settings = {}) {
+        const preset = FORMAT_PRESETS[settings.format];
+        if (preset) return { width: preset.width, height: preset.height };
+        return { width: settings.width || CANVAS_WIDTH, height: settings.height || CANVAS_HEIGHT };
+    }
+
+    function getLayout(width, height) {
+        const scale = Math.min(width, height) / BASE_SIZE;
+        return { width, height, scale, padding: PADDING * scale, logoPadding: LOGO_PADDING * scale };
+    }
+
+    function createCanvas(width = CANVAS_WIDTH, height = CANVAS_HEIGHT) {
+        if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
         const canvas = document.createElement('canvas');
-        canvas.width = CANVAS_WIDTH;
-        canvas.height = CANVAS_HEIGHT;
+        canvas.width = width;
+        canvas.height = height;
         return canvas;
     }
 
-    function loadImage(src) {
+    function decodeImage(src) {
+        if (typeof Image === 'undefined') {
+            return fetch(src).then(response => response.blob()).then(blob => createImageBitmap(blob)).catch(() => {
+                throw new Error('Failed to load image');
+            });
+        }
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.onload = () => resolve(img);
@@ -24,69 +95,468 @@ const CanvasModule = (function() {
         });
     }
 
+    const imageCache = new Map();
+
+    // Slide artwork is decoded once and reused across slides and re-renders (least recently used goes first)
+    function loadImage(src) {
+        let image = imageCache.get(src);
+        if (image) {
+            imageCache.delete(src);
+        } else {
+            image = decodeImage(src);
+            image.catch(() => { if (imageCache.get(src) === image) imageCache.delete(src); });
+        }
+        imageCache.set(src, image);
+        if (imageCache.size > IMAGE_CACHE_SIZE) imageCache.delete(imageCache.keys().next().value);
+        return image;
+    }
+
+    function isVectorImage(src) {
+        return /^data:image\/svg\+xml[;,]/i.test(src) || /^[^?#]+\.svg([?#]|$)/i.test(src);
+    }
+
+    const rasterCache = new Map();
+
+    // Redraw an SVG as PNG on the page; other images and sources the page cannot read back stay as they are
+    function rasterizeImage(src) {
+        if (!src || !isVectorImage(src)) return Promise.resolve(src);
+        if (!rasterCache.has(src)) {
+            rasterCache.set(src, decodeImage(src).then(img => {
+                const width = img.naturalWidth || img.width || CANVAS_WIDTH;
+                const height = img.naturalHeight || img.height || CANVAS_HEIGHT;
+                const scale = RASTER_SIZE / Math.max(width, height);
+                const canvas = createCanvas(Math.round(width * scale), Math.round(height * scale));
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                return canvas.toDataURL('image/png');
+            }).catch(() => src));
+            if (rasterCache.size > IMAGE_CACHE_SIZE) rasterCache.delete(rasterCache.keys().next().value);
+        }
+        return rasterCache.get(src);
+    }
+
+    /**
+     * Copies of a render job with every SVG it draws (background, image slots,
+     * panorama, logos) replaced by PNG. Render workers decode images with
+     * createImageBitmap, which rejects SVG, so jobs pass through here on the
+     * page before they are posted.
+     */
+    async function rasterizeSources(slideData, globalSettings, logoSettings = null) {
+        const slots = slideData.slots ? Object.fromEntries(await Promise.all(Object.entries(slideData.slots).map(async ([key, value]) => [key, await rasterizeImage(value)]))) : slideData.slots;
+        const slide = { ...slideData, backgroundImage: await rasterizeImage(slideData.backgroundImage), slots };
+        const settings = globalSettings.panorama?.image ? { ...globalSettings, panorama: { ...globalSettings.panorama, image: await rasterizeImage(globalSettings.panorama.image) } } : globalSettings;
+        const logo = logoSettings ? { ...logoSettings, image: await rasterizeImage(logoSettings.image), imageOnLight: await rasterizeImage(logoSettings.imageOnLight) } : logoSettings;
+        return { slide, settings, logoSettings: logo };
+    }
+
     function drawColorBackground(ctx, color) {
         ctx.fillStyle = color;
-        ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
     }
 
-    function drawImageBackground(ctx, img) {
+    // Scale an image into a box: `cover` fills it and crops, `contain` fits it whole
+    function drawImageFit(ctx, img, box, fit = 'cover') {
         const imgRatio = img.width / img.height;
-        const canvasRatio = CANVAS_WIDTH / CANVAS_HEIGHT;
-        let drawWidth, drawHeight, drawX, drawY;
-        if (imgRatio > canvasRatio) {
-            drawHeight = CANVAS_HEIGHT;
-            drawWidth = img.width * (CANVAS_HEIGHT / img.height);
-            drawX = (CANVAS_WIDTH - drawWidth) / 2;
-            drawY = 0;
+        const boxRatio = box.width / box.height;
+        const fillWidth = fit === 'contain' ? imgRatio > boxRatio : imgRatio <= boxRatio;
+        const drawWidth = fillWidth ? box.width : box.height * imgRatio;
+        const drawHeight = fillWidth ? box.width / imgRatio : box.height;
+        ctx.drawImage(img, box.x + (box.width - drawWidth) / 2, box.y + (box.height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    // Cover crop that keeps the focal point (0-1 of the photo) as central as the edges allow
+    function drawImageFocused(ctx, img, box, focusX = 0.5, focusY = 0.5, zoom = 1) {
+        const scale = Math.max(box.width / img.width, box.height / img.height) * Math.max(zoom, 1);
+        const drawWidth = img.width * scale;
+        const drawHeight = img.height * scale;
+        const x = Math.min(0, Math.max(box.width - drawWidth, (box.width / 2) - (focusX * drawWidth)));
+        const y = Math.min(0, Math.max(box.height - drawHeight, (box.height / 2) - (focusY * drawHeight)));
+        ctx.drawImage(img, box.x + x, box.y + y, drawWidth, drawHeight);
+    }
+
+    function parseHex(hex) {
+        const value = String(hex || '#000000').replace('#', '');
+        return [0, 2, 4].map(i => parseInt(value.substr(i, 2), 16) || 0);
+    }
+
+    function getImageFilter(style, scale) {
+        const filters = [];
+        if (style.brightness !== 100) filters.push(`brightness(${style.brightness}%)`);
+        if (style.contrast !== 100) filters.push(`contrast(${style.contrast}%)`);
+        if (style.saturation !== 100) filters.push(`saturate(${style.saturation}%)`);
+        if (style.grayscale) filters.push(`grayscale(${style.grayscale}%)`);
+        if (style.blur) filters.push(`blur(${style.blur * scale}px)`);
+        return filters.join(' ') || 'none';
+    }
+
+    // Map each pixel's luminance onto a ramp from the dark to the light brand color
+    function applyDuotone(ctx, dark, light) {
+        const { width, height } = ctx.canvas;
+        const image = ctx.getImageData(0, 0, width, height);
+        const data = image.data;
+        const [dr, dg, db] = parseHex(dark);
+        const [lr, lg, lb] = parseHex(light);
+        for (let i = 0; i < data.length; i += 4) {
+            const t = ((0.2126 * data[i]) + (0.7152 * data[i + 1]) + (0.0722 * data[i + 2])) / 255;
+            data[i] = dr + ((lr - dr) * t);
+            data[i + 1] = dg + ((lg - dg) * t);
+            data[i + 2] = db + ((lb - db) * t);
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    function drawOverlay(ctx, style, opacity, layout) {
+        const [r, g, b] = parseHex(style.overlayColor);
+        const solid = `rgba(${r}, ${g}, ${b}, ${opacity})`;
+        const ends = { top: [0, layout.height, 0, 0], bottom: [0, 0, 0, layout.height], left: [layout.width, 0, 0, 0], right: [0, 0, layout.width, 0] }[style.overlayDirection];
+        if (ends) {
+            // The overlay is strongest on the named side and fades out across the slide
+            const gradient = ctx.createLinearGradient(...ends);
+            gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0)`);
+            gradient.addColorStop(1, solid);
+            ctx.fillStyle = gradient;
         } else {
-            drawWidth = CANVAS_WIDTH;
-            drawHeight = img.height * (CANVAS_WIDTH / img.width);
-            drawX = 0;
-            drawY = (CANVAS_HEIGHT - drawHeight) / 2;
+            ctx.fillStyle = solid;
         }
-        ctx.drawImage(img, drawX, drawY, drawWidth, drawHeight);
+        ctx.fillRect(0, 0, layout.width, layout.height);
     }
 
-    function getWrappedLines(ctx, text, maxWidth) {
-        const words = text.split(' ');
-        const lines = [];
-        let currentLine = '';
-        for (const word of words) {
-            const testLine = currentLine ? `${currentLine} ${word}` : word;
-            if (ctx.measureText(testLine).width > maxWidth && currentLine) {
-                lines.push(currentLine);
-                currentLine = word;
+    function resolveGradient(gradient, baseColor, settings = {}) {
+        const resolved = { ...DEFAULT_GRADIENT, ...gradient };
+        const stops = Array.isArray(resolved.stops) && resolved.stops.length >= 2 ? resolved.stops : [
+            { color: baseColor || settings.backgroundColor || '#211D58', offset: 0 },
+            { color: settings.highlightColor || '#8BC07C', offset: 1 }
+        ];
+        // Stops keep their stored order so editors can address them by index; canvas gradients sort them anyway
+        return { ...resolved, stops: stops.map(s => ({ color: s.color, offset: Math.min(1, Math.max(0, s.offset)) })) };
+    }
+
+    // A linear gradient spans the box corner to corner along its angle, like CSS; radial spreads from the center
+    function fillGradient(ctx, gradient, box) {
+        const cx = box.x + (box.width / 2);
+        const cy = box.y + (box.height / 2);
+        let fill;
+        if (gradient.type === 'radial') {
+            fill = ctx.createRadialGradient(cx, cy, 0, cx, cy, Math.hypot(box.width, box.height) / 2);
+        } else {
+            const angle = (gradient.angle || 0) * Math.PI / 180;
+            const dx = Math.sin(angle);
+            const dy = -Math.cos(angle);
+            const half = ((Math.abs(box.width * dx)) + Math.abs(box.height * dy)) / 2;
+            fill = ctx.createLinearGradient(cx - (dx * half), cy - (dy * half), cx + (dx * half), cy + (dy * half));
+        }
+        gradient.stops.forEach(stop => fill.addColorStop(stop.offset, stop.color));
+        ctx.fillStyle = fill;
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    }
+
+    // Seeded so every render of a slide, on the page or in a worker, gets the same grain
+    function createNoiseTile(color) {
+        const tile = createCanvas(NOISE_TILE, NOISE_TILE);
+        const tileCtx = tile.getContext('2d');
+        const image = tileCtx.createImageData(NOISE_TILE, NOISE_TILE);
+        const [r, g, b] = parseHex(color);
+        let seed = 0x2545f491;
+        for (let i = 0; i < image.data.length; i += 4) {
+            seed ^= seed << 13;
+            seed ^= seed >>> 17;
+            seed ^= seed << 5;
+            image.data[i] = r;
+            image.data[i + 1] = g;
+            image.data[i + 2] = b;
+            image.data[i + 3] = (seed >>> 0) % 256;
+        }
+        tileCtx.putImageData(image, 0, 0);
+        return tile;
+    }
+
+    function drawPattern(ctx, pattern, layout) {
+        const size = Math.max(4, pattern.size) * layout.scale;
+        ctx.save();
+        ctx.globalAlpha = pattern.opacity;
+        ctx.fillStyle = pattern.color;
+        ctx.strokeStyle = pattern.color;
+        if (pattern.type === 'noise') {
+            ctx.fillStyle = ctx.createPattern(createNoiseTile(pattern.color), 'repeat');
+            ctx.fillRect(0, 0, layout.width, layout.height);
+        } else if (pattern.type === 'grid') {
+            ctx.lineWidth = Math.max(1, 2 * layout.scale);
+            ctx.beginPath();
+            for (let x = size; x < layout.width; x += size) {
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, layout.height);
+            }
+            for (let y = size; y < layout.height; y += size) {
+                ctx.moveTo(0, y);
+                ctx.lineTo(layout.width, y);
+            }
+            ctx.stroke();
+        } else {
+            const radius = size * 0.12;
+            ctx.beginPath();
+            for (let y = size / 2; y < layout.height; y += size) {
+                for (let x = size / 2; x < layout.width; x += size) {
+                    ctx.moveTo(x + radius, y);
+                    ctx.arc(x, y, radius, 0, Math.PI * 2);
+                }
+            }
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    function drawImageBackground(ctx, img, style, settings, layout) {
+        const box = { x: 0, y: 0, width: layout.width, height: layout.height };
+        const filter = getImageFilter(style, layout.scale);
+        ctx.save();
+        if (style.fit === 'contain') {
+            ctx.filter = `${filter === 'none' ? '' : filter + ' '}blur(${FILL_BLUR * layout.scale}px)`;
+            drawImageFocused(ctx, img, box, style.focusX, style.focusY);
+            ctx.filter = filter;
+            drawImageFit(ctx, img, box, 'contain');
+        } else {
+            ctx.filter = filter;
+            drawImageFocused(ctx, img, box, style.focusX, style.focusY, style.zoom);
+        }
+        ctx.restore();
+        if (style.duotone) applyDuotone(ctx, settings.backgroundColor || '#211D58', settings.highlightColor || '#8BC07C');
+    }
+
+    function roundedRectPath(ctx, box, radius) {
+        const r = Math.min(radius, box.width / 2, box.height / 2);
+        ctx.beginPath();
+        ctx.moveTo(box.x + r, box.y);
+        ctx.arcTo(box.x + box.width, box.y, box.x + box.width, box.y + box.height, r);
+        ctx.arcTo(box.x + box.width, box.y + box.height, box.x, box.y + box.height, r);
+        ctx.arcTo(box.x, box.y + box.height, box.x, box.y, r);
+        ctx.arcTo(box.x, box.y, box.x + box.width, box.y, r);
+        ctx.closePath();
+    }
+
+    function toPixels(box, layout) {
+        return { x: box.x * layout.width, y: box.y * layout.height, width: box.width * layout.width, height: box.height * layout.height };
+    }
+
+    function toFractions(box, layout) {
+        return { x: box.x / layout.width, y: box.y / layout.height, width: box.width / layout.width, height: box.height / layout.height };
+    }
+
+    function getSafeArea(layout) {
+        return { x: layout.padding, y: layout.padding, width: layout.width - (layout.padding * 2), height: layout.height - (layout.padding * 2) };
+    }
+
+    // Layers without a box fill the padded safe area
+    function getTemplateBox(layer, layout) {
+        return layer.x === undefined ? getSafeArea(layout) : toPixels(layer, layout);
+    }
+
+    /**
+     * A layer's box on this slide. Text moved in the layout editor is stored in
+     * `slideData.positions` by slot; a layer that `follows` a slot is moved and
+     * scaled along with that slot's text, e.g. a button shape with its label.
+     */
+    function getBox(layer, layout, slideData = {}) {
+        const box = getTemplateBox(layer, layout);
+        const slot = layer.type === 'text' ? layer.slot : layer.follows;
+        const override = slot && slideData.positions?.[slot];
+        if (!override) return box;
+        const moved = toPixels(override, layout);
+        if (layer.type === 'text') return moved;
+        const anchorLayer = TemplateModule.getTemplate(slideData.template).layers.find(l => l.type === 'text' && l.slot === slot);
+        if (!anchorLayer) return box;
+        const anchor = getTemplateBox(anchorLayer, layout);
+        const scaleX = moved.width / anchor.width;
+        const scaleY = moved.height / anchor.height;
+        return { x: moved.x + ((box.x - anchor.x) * scaleX), y: moved.y + ((box.y - anchor.y) * scaleY), width: box.width * scaleX, height: box.height * scaleY };
+    }
+
+    function resolveColor(color, slideData, settings) {
+        if (color === 'text') return settings.textColor || '#ffffff';
+        if (color === 'highlight') return settings.highlightColor || '#8BC07C';
+        if (color === 'background') return slideData.backgroundColor || settings.backgroundColor || '#211D58';
+        return color;
+    }
+
+    function getLayerText(layer, slideData) {
+        const value = layer.slot ? TemplateModule.getSlotValue(slideData, layer.slot) : '';
+        if (layer.slot && !value.trim()) return '';
+        const number = String((slideData.index || 0) + 1).padStart(2, '0');
+        return (layer.content || '{{value}}').replace(/\{\{value\}\}/g, value).replace(/\{\{number\}\}/g, number);
+    }
+
+    /**
+     * Wrap text into `box` at the configured size, or with `autoFit` at the largest
+     * size (up to `maxFontSize`) that fits the box. Returns `{ block, fontSize, fits }`.
+     */
+    function layoutText(ctx, text, options, box, scale) {
+        const { fontFamily = 'Montserrat', headingFontFamily = fontFamily, fontWeight = null, fontSize = 64, autoFit = false, maxFontSize = AUTO_FIT_MAX_SIZE } = options;
+        const measureAt = size => TextLayoutModule.layout(ctx, text, { fontFamily, headingFontFamily, fontWeight, fontSize: size * scale, maxWidth: box.width });
+        const fits = block => block.height <= box.height && block.width <= box.width;
+
+        if (!autoFit) {
+            const block = measureAt(fontSize);
+            return { block, fontSize, fits: fits(block) };
+        }
+        let low = AUTO_FIT_MIN_SIZE, high = Math.floor(maxFontSize), best = null;
+        while (low <= high) {
+            const size = Math.floor((low + high) / 2);
+            const block = measureAt(size);
+            if (fits(block)) {
+                best = { block, fontSize: size, fits: true };
+                low = size + 1;
             } else {
-                currentLine = testLine;
+                high = size - 1;
             }
         }
-        if (currentLine) lines.push(currentLine);
-        return lines.length ? lines : [''];
+        return best || { block: measureAt(AUTO_FIT_MIN_SIZE), fontSize: AUTO_FIT_MIN_SIZE, fits: false };
     }
 
-    function drawText(ctx, text, options) {
-        const { fontFamily = 'Montserrat', fontSize = 64, color = '#ffffff', align = 'center' } = options;
-        ctx.font = `bold ${fontSize}px "${fontFamily}", sans-serif`;
-        ctx.fillStyle = color;
-        ctx.textAlign = align;
-        ctx.textBaseline = 'middle';
-        const maxWidth = CANVAS_WIDTH - (PADDING * 2);
-        const lines = getWrappedLines(ctx, text, maxWidth);
-        const lineHeight = fontSize * 1.3;
-        const totalHeight = lines.length * lineHeight;
-        const startY = (CANVAS_HEIGHT - totalHeight) / 2 + (lineHeight / 2);
-        let x = align === 'left' ? PADDING : align === 'right' ? CANVAS_WIDTH - PADDING : CANVAS_WIDTH / 2;
-        ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-        ctx.shadowBlur = 10;
-        ctx.shadowOffsetX = 2;
-        ctx.shadowOffsetY = 2;
-        lines.forEach((line, i) => ctx.fillText(line, x, startY + (i * lineHeight)));
+    // A layer's own `fontSize` wins over `fontScale` times the global size
+    function getLayerFontSize(layer, settings) {
+        return layer?.fontSize || (settings.fontSize || 64) * (layer?.fontScale || 1);
+    }
+
+    // The slide's own auto-fit toggle drives the main text; other layers opt in and only ever shrink
+    function layoutTextLayer(ctx, layer, text, slideData, settings, layout) {
+        const fontSize = getLayerFontSize(layer, settings);
+        const isMain = layer.slot === 'text';
+        const headingFontFamily = layer.fontFamily || settings.headingFontFamily || settings.fontFamily;
+        const options = {
+            fontFamily: layer.fontFamily || (layer.font === 'heading' ? headingFontFamily : settings.fontFamily),
+            headingFontFamily,
+            fontWeight: layer.fontWeight || null,
+            fontSize,
+            autoFit: isMain ? !!slideData.autoFit : !!layer.autoFit,
+            // Auto-fit may grow scaled text as far as the scale allows; a fixed size is a floor for the limit
+            maxFontSize: isMain ? (layer.fontSize ? Math.max(layer.fontSize, AUTO_FIT_MAX_SIZE) : AUTO_FIT_MAX_SIZE * (layer.fontScale || 1)) : fontSize
+        };
+        return layoutText(ctx, text, options, getBox(layer, layout, slideData), layout.scale);
+    }
+
+    function drawTextLayer(ctx, layer, slideData, settings, layout) {
+        const text = getLayerText(layer, slideData);
+        if (!text.trim()) return;
+        const box = getBox(layer, layout, slideData);
+        const { block } = layoutTextLayer(ctx, layer, text, slideData, settings, layout);
+        const valign = layer.valign || 'middle';
+        const top = valign === 'top' ? box.y : valign === 'bottom' ? box.y + box.height - block.height : box.y + (box.height - block.height) / 2;
+        if (layer.shadow !== false) {
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+            ctx.shadowBlur = 10 * layout.scale;
+            ctx.shadowOffsetX = 2 * layout.scale;
+            ctx.shadowOffsetY = 2 * layout.scale;
+        }
+        TextLayoutModule.draw(ctx, block, {
+            left: box.x,
+            right: box.x + box.width,
+            top,
+            align: layer.align || settings.textAlign || 'center',
+            color: resolveColor(layer.color || 'text', slideData, settings),
+            highlightColor: resolveColor('highlight', slideData, settings)
+        });
         ctx.shadowColor = 'transparent';
     }
 
-    function drawLogo(ctx, logoImg, options) {
-        const { position = 'bottom-left', size = 80 } = options;
-        
+    function drawRectLayer(ctx, layer, slideData, settings, layout) {
+        const box = getBox(layer, layout, slideData);
+        if (layer.gradient) {
+            const gradient = ctx.createLinearGradient(0, box.y, 0, box.y + box.height);
+            gradient.addColorStop(0, resolveColor(layer.gradient[0], slideData, settings));
+            gradient.addColorStop(1, resolveColor(layer.gradient[1], slideData, settings));
+            ctx.fillStyle = gradient;
+        } else {
+            ctx.fillStyle = resolveColor(layer.fill || 'text', slideData, settings);
+        }
+        ctx.globalAlpha = layer.opacity ?? 1;
+        if (layer.radius) {
+            roundedRectPath(ctx, box, layer.radius * layout.scale);
+            ctx.fill();
+        } else {
+            ctx.fillRect(box.x, box.y, box.width, box.height);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    async function drawImageLayer(ctx, layer, slideData, layout) {
+        const src = TemplateModule.getSlotValue(slideData, layer.slot);
+        if (!src) return;
+        const box = getBox(layer, layout, slideData);
+        try {
+            const img = await loadImage(src);
+            ctx.save();
+            roundedRectPath(ctx, box, (layer.radius || 0) * layout.scale);
+            ctx.clip();
+            drawImageFit(ctx, img, box, layer.fit);
+            ctx.restore();
+        } catch (e) {
+            console.error('Failed to draw image layer:', e);
+        }
+    }
+
+    function getBackgroundStyle(slideData) {
+        return { ...DEFAULT_BACKGROUND_STYLE, ...slideData.backgroundStyle };
+    }
+
+    function getPanorama(settings) {
+        const panorama = { ...DEFAULT_PANORAMA, ...settings.panorama };
+        return panorama.enabled && (panorama.type !== 'image' || panorama.image) ? panorama : null;
+    }
+
+    // The panorama is laid out across `slideCount` slides side by side and this slide is shifted to its own slice
+    async function drawPanorama(ctx, layer, panorama, slideData, settings, layout) {
+        const count = Math.max(1, settings.slideCount || 1);
+        const strip = { x: -(slideData.index || 0) * layout.width, y: 0, width: layout.width * count, height: layout.height };
+        drawColorBackground(ctx, settings.backgroundColor || '#211D58');
+        if (panorama.type === 'image') {
+            try {
+                const img = await loadImage(panorama.image);
+                drawImageFocused(ctx, img, strip, 0.5, panorama.focusY);
+                if (layer.scrim) drawOverlay(ctx, DEFAULT_BACKGROUND_STYLE, layer.scrim, layout);
+            } catch (e) {
+                // Keep the default background color
+            }
+            return;
+        }
+        fillGradient(ctx, resolveGradient(panorama.gradient, settings.backgroundColor, settings), strip);
+    }
+
+    async function drawBackgroundLayer(ctx, layer, slideData, settings, layout) {
+        const { backgroundType = 'color', backgroundColor = '#211D58', backgroundImage = null } = slideData;
+        const panorama = getPanorama(settings);
+        if (panorama) {
+            await drawPanorama(ctx, layer, panorama, slideData, settings, layout);
+            return;
+        }
+        if (backgroundType === 'gradient') {
+            fillGradient(ctx, resolveGradient(slideData.gradient, backgroundColor, settings), { x: 0, y: 0, width: layout.width, height: layout.height });
+            return;
+        }
+        if (backgroundType === 'pattern') {
+            drawColorBackground(ctx, backgroundColor);
+            drawPattern(ctx, { ...DEFAULT_PATTERN, ...slideData.pattern }, layout);
+            return;
+        }
+        if (backgroundType === 'image' && backgroundImage) {
+            try {
+                const img = await loadImage(backgroundImage);
+                const style = getBackgroundStyle(slideData);
+                // Blurred and contained photos can leave soft or empty edges, so the slide color goes underneath
+                drawColorBackground(ctx, backgroundColor);
+                drawImageBackground(ctx, img, style, settings, layout);
+                const opacity = style.overlayOpacity ?? layer.scrim ?? 0;
+                if (opacity > 0) drawOverlay(ctx, style, opacity, layout);
+                return;
+            } catch (e) {
+                // Fall through to the slide color
+            }
+        }
+        drawColorBackground(ctx, backgroundColor);
+    }
+
+    function getLogoBox(logoImg, options, layout) {
+        const { position = 'bottom-left' } = options;
+        const { width, height, logoPadding } = layout;
+        const size = (options.size || 80) * layout.scale;
+
         // Calculate logo dimensions maintaining aspect ratio
         const aspectRatio = logoImg.width / logoImg.height;
         let logoWidth, logoHeight;
@@ -102,73 +572,308 @@ const CanvasModule = (function() {
         let x, y;
         switch (position) {
             case 'top-left':
-                x = LOGO_PADDING;
-                y = LOGO_PADDING;
+                x = logoPadding;
+                y = logoPadding;
                 break;
             case 'top-right':
-                x = CANVAS_WIDTH - logoWidth - LOGO_PADDING;
-                y = LOGO_PADDING;
+                x = width - logoWidth - logoPadding;
+                y = logoPadding;
                 break;
             case 'bottom-left':
-                x = LOGO_PADDING;
-                y = CANVAS_HEIGHT - logoHeight - LOGO_PADDING;
+                x = logoPadding;
+                y = height - logoHeight - logoPadding;
                 break;
             case 'bottom-right':
-                x = CANVAS_WIDTH - logoWidth - LOGO_PADDING;
-                y = CANVAS_HEIGHT - logoHeight - LOGO_PADDING;
+                x = width - logoWidth - logoPadding;
+                y = height - logoHeight - logoPadding;
                 break;
             default:
-                x = LOGO_PADDING;
-                y = CANVAS_HEIGHT - logoHeight - LOGO_PADDING;
+                x = logoPadding;
+                y = height - logoHeight - logoPadding;
         }
 
-        ctx.drawImage(logoImg, x, y, logoWidth, logoHeight);
+        return { x, y, width: logoWidth, height: logoHeight };
     }
 
-    async function generateSlide(slideData, globalSettings, logoSettings = null) {
-        const canvas = createCanvas();
-        const ctx = canvas.getContext('2d');
-        const { text = '', backgroundType = 'color', backgroundColor = '#211D58', backgroundImage = null } = slideData;
-        const { fontFamily = 'Montserrat', fontSize = 64, textColor = '#ffffff', textAlign = 'center' } = globalSettings;
+    function getLuminance(color) {
+        const [r, g, b] = parseHex(color).map(c => c / 255);
+        return (0.2126 * r) + (0.7152 * g) + (0.0722 * b);
+    }
 
-        // Draw background
-        if (backgroundType === 'image' && backgroundImage) {
-            try {
-                const img = await loadImage(backgroundImage);
-                drawImageBackground(ctx, img);
-                ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-                ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-            } catch (e) {
-                drawColorBackground(ctx, backgroundColor);
+    // Gradients count as light when their stops are light on average
+    function isLightBackground(slideData, settings = {}) {
+        const panorama = getPanorama(settings);
+        const gradient = panorama ? panorama.type === 'gradient' && resolveGradient(panorama.gradient, settings.backgroundColor, settings)
+            : slideData.backgroundType === 'gradient' && resolveGradient(slideData.gradient, slideData.backgroundColor, settings);
+        if (gradient) return gradient.stops.reduce((sum, stop) => sum + getLuminance(stop.color), 0) / gradient.stops.length > 0.6;
+        if (panorama || (slideData.backgroundType === 'image' && slideData.backgroundImage)) return false;
+        return getLuminance(slideData.backgroundColor || '#211D58') > 0.6;
+    }
+
+    // Light slide colors get the dark logo variant when the brand kit has one
+    function getLogoSource(logoSettings, slideData, settings) {
+        if (!logoSettings || !logoSettings.enabled) return null;
+        return (isLightBackground(slideData, settings) && logoSettings.imageOnLight) || logoSettings.image || logoSettings.imageOnLight || null;
+    }
+
+    // A logo moved in the layout editor is fitted into its stored box instead of a corner
+    async function drawLogoLayer(ctx, logoSettings, slideData, settings, layout) {
+        const src = getLogoSource(logoSettings, slideData, settings);
+        if (!src) return;
+        try {
+            const logoImg = await loadImage(src);
+            const override = slideData.positions?.logo;
+            if (override) {
+                drawImageFit(ctx, logoImg, toPixels(override, layout), 'contain');
+            } else {
+                const box = getLogoBox(logoImg, { position: logoSettings.position, size: logoSettings.size }, layout);
+                ctx.drawImage(logoImg, box.x, box.y, box.width, box.height);
             }
-        } else {
-            drawColorBackground(ctx, backgroundColor);
+        } catch (e) {
+            console.error('Failed to draw logo:', e);
         }
+    }
+
+    function canvasToBlob(canvas, type, quality) {
+        if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode slide')), type, quality);
+        });
+    }
 
-        // Draw text
-        if (text.trim()) {
-            drawText(ctx, text, { fontFamily, fontSize, color: textColor, align: textAlign });
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Failed to read slide image'));
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Encode a finished slide in the configured type. With a `maxSlideKB` budget,
+     * JPEG and WebP step quality down until the file fits or MIN_QUALITY is reached;
+     * PNG is lossless and is returned as is.
+     */
+    async function encodeCanvas(canvas, settings = {}) {
+        const type = IMAGE_TYPES[settings.imageType] || IMAGE_TYPES.png;
+        const maxBytes = (settings.maxSlideKB || 0) * 1024;
+        let quality = settings.imageQuality || 0.9;
+        let blob = await canvasToBlob(canvas, type, quality);
+        while (maxBytes && blob.size > maxBytes && type !== IMAGE_TYPES.png && quality - QUALITY_STEP >= MIN_QUALITY - 0.001) {
+            quality = Math.round((quality - QUALITY_STEP) * 100) / 100;
+            blob = await canvasToBlob(canvas, type, quality);
         }
+        return blob;
+    }
 
-        // Draw logo if enabled
-        if (logoSettings && logoSettings.enabled && logoSettings.image) {
+    function getChrome(settings) {
+        return { ...DEFAULT_CHROME, ...settings.chrome };
+    }
+
+    // Whether slides render differently when slides are added or removed, beyond their own index
+    function usesSlideCount(settings) {
+        const chrome = getChrome(settings);
+        return !!getPanorama(settings) || chrome.counter !== 'none' || chrome.progress !== 'none' || chrome.swipe;
+    }
+
+    // Whether a slide looks different at another position: numbered templates, plus everything usesSlideCount covers
+    function usesSlideIndex(slideData, settings) {
+        return usesSlideCount(settings) || TemplateModule.getTemplate(slideData.template).layers.some(layer => /\{\{number\}\}/.test(layer.content || ''));
+    }
+
+    function formatCounter(style, number, total) {
+        if (style === 'padded') return `${String(number).padStart(2, '0')} / ${String(total).padStart(2, '0')}`;
+        return `${number}/${total}`;
+    }
+
+    function getCounterWidth(ctx, chrome, number, total, fontSize) {
+        if (chrome.counter === 'dots') return (total - 1) * fontSize * 0.54 + fontSize * 0.36;
+        return ctx.measureText(formatCounter(chrome.counter, number, total)).width;
+    }
+
+    // Bottom overlays take the lowest line where they overlap nothing drawn there yet; returns the line, 0 at the bottom
+    function placeOnLine(lines, start, end, gap) {
+        let line = 0;
+        while ((lines[line] || []).some(span => start < span.end + gap && span.start < end + gap)) line++;
+        (lines[line] = lines[line] || []).push({ start, end });
+        return line;
+    }
+
+    function drawCounter(ctx, chrome, number, total, settings, layout, fontSize, y) {
+        const horizontal = chrome.counterPosition.split('-')[1];
+        if (chrome.counter === 'dots') {
+            const radius = fontSize * 0.18;
+            const gap = radius * 3;
+            const width = (total - 1) * gap;
+            const start = horizontal === 'left' ? layout.padding + radius : layout.width - layout.padding - radius - width;
+            for (let i = 0; i < total; i++) {
+                ctx.globalAlpha = i === number - 1 ? 1 : 0.4;
+                ctx.fillStyle = i === number - 1 ? settings.highlightColor || '#8BC07C' : settings.textColor || '#ffffff';
+                ctx.beginPath();
+                ctx.arc(start + (i * gap), y, radius, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.globalAlpha = 1;
+            return;
+        }
+        ctx.textAlign = horizontal;
+        ctx.fillText(formatCounter(chrome.counter, number, total), horizontal === 'left' ? layout.padding : layout.width - layout.padding, y);
+    }
+
+    /**
+     * Draw the carousel chrome for one slide. Numbers come from the slide's
+     * `index` and `settings.slideCount`; `slideData.chrome` turns single
+     * overlays off for that slide (`{ counter: false }`).
+     */
+    function drawChrome(ctx, slideData, settings, layout) {
+        const chrome = getChrome(settings);
+        const shown = key => slideData.chrome?.[key] !== false;
+        const total = Math.max(1, settings.slideCount || 1);
+        const number = Math.min(total, (slideData.index || 0) + 1);
+        const fontSize = CHROME_FONT_SIZE * layout.scale;
+        const textColor = settings.textColor || '#ffffff';
+
+        if (chrome.progress !== 'none' && shown('progress')) {
+            const height = PROGRESS_HEIGHT * layout.scale;
+            const y = chrome.progress === 'top' ? 0 : layout.height - height;
+            ctx.globalAlpha = 0.25;
+            ctx.fillStyle = textColor;
+            ctx.fillRect(0, y, layout.width, height);
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = settings.highlightColor || '#8BC07C';
+            ctx.fillRect(0, y, layout.width * (number / total), height);
+        }
+
+        ctx.save();
+        ctx.font = TextLayoutModule.getFont('600', fontSize, settings.fontFamily || 'Montserrat');
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = textColor;
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+        ctx.shadowBlur = 6 * layout.scale;
+        // Counter, swipe hint and footer can all sit at the bottom, so they stack instead of overlapping
+        const bottom = layout.height - layout.logoPadding - (fontSize / 2);
+        const lines = [];
+        const lineY = line => bottom - (line * fontSize * 1.6);
+        const right = layout.width - layout.padding;
+        if (chrome.counter !== 'none' && shown('counter')) {
+            const [vertical, horizontal] = chrome.counterPosition.split('-');
+            let y = layout.logoPadding + (fontSize / 2);
+            if (vertical === 'bottom') {
+                const width = getCounterWidth(ctx, chrome, number, total, fontSize);
+                const start = horizontal === 'left' ? layout.padding : right - width;
+                y = lineY(placeOnLine(lines, start, start + width, fontSize));
+            }
+            drawCounter(ctx, chrome, number, total, settings, layout, fontSize, y);
+        }
+        if (chrome.swipe && number < total && shown('swipe')) {
+            const text = `${chrome.swipeText || DEFAULT_CHROME.swipeText} →`.trim();
+            ctx.textAlign = 'right';
+            ctx.fillText(text, right, lineY(placeOnLine(lines, right - ctx.measureText(text).width, right, fontSize)));
+        }
+        if (chrome.footer.trim() && shown('footer')) {
+            const text = chrome.footer.trim();
+            const width = ctx.measureText(text).width;
+            ctx.textAlign = 'center';
+            ctx.globalAlpha = 0.85;
+            ctx.fillText(text, layout.width / 2, lineY(placeOnLine(lines, (layout.width - width) / 2, (layout.width + width) / 2, fontSize)));
+        }
+        ctx.restore();
+    }
+
+    // Draw a slide and encode it as a Blob in the configured file type
+    async function renderSlide(slideData, globalSettings, logoSettings = null) {
+        const layout = getLayout(globalSettings.width || CANVAS_WIDTH, globalSettings.height || CANVAS_HEIGHT);
+        const canvas = createCanvas(layout.width, layout.height);
+        const ctx = canvas.getContext('2d');
+        const template = TemplateModule.getTemplate(slideData.template);
+
+        for (const layer of template.layers) {
+            if (layer.when && !TemplateModule.getSlotValue(slideData, layer.when).trim()) continue;
+            switch (layer.type) {
+                case 'background':
+                    await drawBackgroundLayer(ctx, layer, slideData, globalSettings, layout);
+                    break;
+                case 'rect':
+                    drawRectLayer(ctx, layer, slideData, globalSettings, layout);
+                    break;
+                case 'image':
+                    await drawImageLayer(ctx, layer, slideData, layout);
+                    break;
+                case 'text':
+                    drawTextLayer(ctx, layer, slideData, globalSettings, layout);
+                    break;
+                case 'logo':
+                    await drawLogoLayer(ctx, logoSettings, slideData, globalSettings, layout);
+                    break;
+            }
+        }
+        drawChrome(ctx, slideData, globalSettings, layout);
+
+        return encodeCanvas(canvas, globalSettings);
+    }
+
+    async function generateSlide(slideData, globalSettings, logoSettings = null) {
+        return blobToDataUrl(await renderSlide(slideData, globalSettings, logoSettings));
+    }
+
+    /**
+     * Boxes the layout editor can move on a slide, as fractions of the canvas:
+     * each text slot with content, plus the logo with the `aspect` to keep when
+     * resizing. `safeArea` is the padded margin used for snapping.
+     */
+    async function getEditableLayout(slideData, globalSettings, logoSettings = null) {
+        const layout = getLayout(globalSettings.width || CANVAS_WIDTH, globalSettings.height || CANVAS_HEIGHT);
+        const template = TemplateModule.getTemplate(slideData.template);
+        const labels = Object.fromEntries(template.slots.map(s => [s.id, s.label]));
+        const boxes = template.layers
+            .filter(layer => layer.type === 'text' && layer.slot && getLayerText(layer, slideData).trim())
+            .map(layer => ({ key: layer.slot, label: labels[layer.slot] || layer.slot, box: toFractions(getBox(layer, layout, slideData), layout) }));
+        const src = template.layers.some(l => l.type === 'logo') ? getLogoSource(logoSettings, slideData, globalSettings) : null;
+        if (src) {
             try {
-                const logoImg = await loadImage(logoSettings.image);
-                drawLogo(ctx, logoImg, { position: logoSettings.position, size: logoSettings.size });
+                const logoImg = await loadImage(src);
+                const box = slideData.positions?.logo || toFractions(getLogoBox(logoImg, { position: logoSettings.position, size: logoSettings.size }, layout), layout);
+                boxes.push({ key: 'logo', label: 'Logo', box, aspect: (logoImg.width / logoImg.height) * (layout.height / layout.width) });
             } catch (e) {
-                console.error('Failed to draw logo:', e);
+                // An unreadable logo is not drawn either, so there is nothing to move
             }
         }
+        return { boxes, safeArea: toFractions(getSafeArea(layout), layout) };
+    }
 
-        return canvas.toDataURL('image/png', 1.0);
+    let measureCtx = null;
+
+    // Check a slide's main text against its template box without rendering it
+    function analyzeSlideText(slideData, globalSettings) {
+        const layer = TemplateModule.getTemplate(slideData.template).layers.find(l => l.type === 'text' && l.slot === 'text');
+        const text = layer ? getLayerText(layer, slideData) : '';
+        const fontSize = getLayerFontSize(layer, globalSettings);
+        if (!text.trim()) return { fontSize, overflow: false, tooSmall: false };
+        if (!measureCtx) measureCtx = createCanvas(1, 1).getContext('2d');
+        const layout = getLayout(globalSettings.width || CANVAS_WIDTH, globalSettings.height || CANVAS_HEIGHT);
+        const result = layoutTextLayer(measureCtx, layer, text, slideData, globalSettings, layout);
+        const size = Math.round(result.fontSize);
+        return { fontSize: size, overflow: !result.fits, tooSmall: size < MIN_READABLE_SIZE };
     }
 
-    async function generateAllSlides(slidesData, globalSettings, logoSettings = null) {
-        const images = [];
-        for (const slide of slidesData) {
-            images.push(await generateSlide(slide, globalSettings, logoSettings));
-        }
-        return images;
+    // Rendered slides are decoded directly so they never push artwork out of the cache
+    async function createThumbnail(src, width = 216) {
+        const img = await decodeImage(src);
+        const canvas = createCanvas(width, Math.round(width * (img.height / img.width)));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.8);
+    }
+
+    // Re-encode a rendered slide, e.g. to JPEG for PDF pages
+    async function encodeImage(src, type = 'image/jpeg', quality = 0.92) {
+        const img = await decodeImage(src);
+        const canvas = createCanvas(img.width, img.height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0);
+        return { dataUrl: canvas.toDataURL(type, quality), width: img.width, height: img.height };
     }
 
     function downloadImage(dataUrl, filename) {
@@ -180,11 +885,5 @@ const CanvasModule = (function() {
         document.body.removeChild(link);
     }
 
-    function downloadAllIndividually(images, delay = 300) {
-        images.forEach((dataUrl, i) => {
-            setTimeout(() => downloadImage(dataUrl, `gf-carousel-slide-${i + 1}.png`), i * delay);
-        });
-    }
-
-    return { CANVAS_WIDTH, CANVAS_HEIGHT, generateSlide, generateAllSlides, downloadImage, downloadAllIndividually };
+    return { CANVAS_WIDTH, CANVAS_HEIGHT, FORMAT_PRESETS, DEFAULT_BACKGROUND_STYLE, DEFAULT_GRADIENT, MAX_GRADIENT_STOPS, DEFAULT_PATTERN, DEFAULT_PANORAMA, DEFAULT_CHROME, resolveGradient, usesSlideCount, usesSlideIndex, rasterizeImage, rasterizeSources, AUTO_FIT_MIN_SIZE, MIN_READABLE_SIZE, getFormatSize, getEditableLayout, analyzeSlideText, renderSlide, generateSlide, blobToDataUrl, createThumbnail, encodeImage, downloadImage };
 })();
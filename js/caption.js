@@ -0,0 +1,88 @@
+/**
+ * Caption Module - Instagram caption composition, limit checks and saved hashtag groups
+ *
+ * A caption is `{ text, hashtags, firstComment }`. Hashtags are typed as free
+ * text ("#a #b, c") and appended below the text when the caption is composed.
+ */
+const CaptionModule = (function() {
+    'use strict';
+
+    // Instagram rejects captions and comments above these
+    const LIMITS = { characters: 2200, hashtags: 30, mentions: 20 };
+    const GROUPS_KEY = 'gf_carousel_hashtag_groups';
+    const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]+)/gu;
+    // Instagram usernames are letters, digits, periods and underscores
+    const MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@])@([A-Za-z0-9_.]*[A-Za-z0-9_])/gu;
+
+    const EMPTY_CAPTION = { text: '', hashtags: '', firstComment: '' };
+
+    function createCaption(overrides = {}) {
+        return { ...EMPTY_CAPTION, ...overrides };
+    }
+
+    function countCharacters(text) {
+        return Array.from(String(text || '')).length;
+    }
+
+    function findHashtags(text) {
+        return Array.from(String(text || '').matchAll(HASHTAG_PATTERN), m => `#${m[2]}`);
+    }
+
+    function findMentions(text) {
+        return Array.from(String(text || '').matchAll(MENTION_PATTERN), m => `@${m[2]}`);
+    }
+
+    /**
+     * Turn typed or AI-suggested hashtags (a string or an array) into a list of
+     * unique `#tags`, keeping the first spelling of each.
+     */
+    function normalizeHashtags(input) {
+        const words = Array.isArray(input) ? input : String(input || '').split(/[\s,]+/);
+        const seen = new Set();
+        return words
+            .map(word => String(word).trim().replace(/^#+/, '').replace(/[^\p{L}\p{N}_]/gu, ''))
+            .filter(word => word && !seen.has(word.toLowerCase()) && seen.add(word.toLowerCase()))
+            .map(word => `#${word}`);
+    }
+
+    function compose(caption) {
+        const text = String(caption.text || '').trim();
+        const hashtags = normalizeHashtags(caption.hashtags).join(' ');
+        return [text, hashtags].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Measure text against Instagram's limits. Returns the counts and an
+     * `errors` list with one message per limit exceeded.
+     */
+    function validate(text, label = 'Caption') {
+        const counts = {
+            characters: countCharacters(text),
+            hashtags: new Set(findHashtags(text).map(t => t.toLowerCase())).size,
+            mentions: new Set(findMentions(text).map(m => m.toLowerCase())).size
+        };
+        const errors = Object.entries(LIMITS)
+            .filter(([key, limit]) => counts[key] > limit)
+            .map(([key, limit]) => `${label} has ${counts[key].toLocaleString('en-US')} ${key}; Instagram allows ${limit.toLocaleString('en-US')}.`);
+        return { ...counts, errors };
+    }
+
+    const groups = SavedListModule.create(GROUPS_KEY, { label: 'Hashtag groups', defaultName: 'Untitled group' });
+
+    function listGroups() {
+        return groups.list();
+    }
+
+    // Saving under an existing name replaces that group
+    function saveGroup(name, hashtags) {
+        const tags = normalizeHashtags(hashtags);
+        if (!tags.length) throw new Error('Add some hashtags before saving a group.');
+        return groups.save(name, { hashtags: tags });
+    }
+
+    function deleteGroup(id) {
+        groups.remove(id);
+    }
+
+    return { LIMITS, createCaption, countCharacters, findHashtags, findMentions, normalizeHashtags, compose, validate, listGroups, saveGroup, deleteGroup };
+})();
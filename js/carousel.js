@@ -27,9 +27,10 @@ const CarouselModule = (function() {
         }
     }
 
-    function setTotalSlides(count) {
+    // Live preview updates keep the current slide in view, clamped to the new count
+    function setTotalSlides(count, { keepPosition = false } = {}) {
         state.totalSlides = count;
-        state.currentIndex = 0;
+        state.currentIndex = keepPosition ? Math.max(0, Math.min(state.currentIndex, count - 1)) : 0;
         updateTrackPosition();
     }
 
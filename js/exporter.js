@@ -0,0 +1,220 @@
+/**
+ * Export Module - Single-file ZIP and PDF carousel exports built in the browser
+ */
+const ExportModule = (function() {
+    'use strict';
+
+    // PDF pages are sized so a 1080px slide becomes a 810pt (11.25in) page at 96dpi
+    const PT_PER_PX = 0.75;
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    const encoder = new TextEncoder();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function dataUrlToBytes(dataUrl) {
+        const [header, payload] = dataUrl.split(',');
+        if (!/;base64$/.test(header)) return encoder.encode(decodeURIComponent(payload));
+        const binary = atob(payload);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    // Decoded size without decoding: every 4 base64 characters carry 3 bytes
+    function getByteSize(dataUrl) {
+        const payload = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        if (!/;base64,/.test(dataUrl)) return encoder.encode(decodeURIComponent(payload)).length;
+        return Math.floor(payload.length * 3 / 4) - (payload.endsWith('==') ? 2 : payload.endsWith('=') ? 1 : 0);
+    }
+
+    function dataUrlToBlob(dataUrl) {
+        const type = /^data:([^;,]+)/.exec(dataUrl)?.[1] || 'application/octet-stream';
+        return new Blob([dataUrlToBytes(dataUrl)], { type });
+    }
+
+    function getExtension(dataUrlOrType) {
+        const type = /^(?:data:)?([^;,]+)/.exec(dataUrlOrType)?.[1] || '';
+        return { 'image/jpeg': 'jpg', 'image/webp': 'webp' }[type] || 'png';
+    }
+
+    function slugify(text, fallback = 'carousel') {
+        const slug = String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return slug || fallback;
+    }
+
+    function toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Build an uncompressed ZIP. Images are already compressed, so storing keeps
+     * this small and fast. `files` is `[{ name, data }]` with string or byte data.
+     */
+    function createZip(files) {
+        const { time, date } = toDosDateTime(new Date());
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(local, name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(central, name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    /**
+     * Build a PDF with one full-bleed image per page. `pages` is
+     * `[{ jpeg: Uint8Array, width, height }]` with sizes in pixels.
+     */
+    function createPdf(pages, title = '') {
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+        const push = part => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        const startObject = id => {
+            offsets[id] = length;
+            push(`${id} 0 obj\n`);
+        };
+        const pdfString = text => `(${String(text).replace(/[^\x20-\x7E]/g, '').replace(/[\\()]/g, '\\$&')})`;
+
+        push('%PDF-1.4\n');
+        // Object 1 is the catalog, 2 the page tree, 3 the document info; each page then takes three ids
+        const pageIds = pages.map((_, i) => 4 + (i * 3));
+        startObject(1);
+        push('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+        startObject(2);
+        push(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+        startObject(3);
+        push(`<< /Title ${pdfString(title)} /Producer (GF Carousel Studio) >>\nendobj\n`);
+
+        pages.forEach((page, i) => {
+            const id = pageIds[i];
+            const width = (page.width * PT_PER_PX).toFixed(2);
+            const height = (page.height * PT_PER_PX).toFixed(2);
+            const content = `q ${width} 0 0 ${height} 0 0 cm /Im${i} Do Q`;
+            startObject(id);
+            push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im${i} ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>\nendobj\n`);
+            startObject(id + 1);
+            push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+            startObject(id + 2);
+            push(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+            push(page.jpeg);
+            push('\nendstream\nendobj\n');
+        });
+
+        const xrefOffset = length;
+        const size = offsets.length;
+        push(`xref\n0 ${size}\n0000000000 65535 f \n${offsets.slice(1).map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`);
+        push(`trailer\n<< /Size ${size} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    function getSlideFileName(index, extension = 'png') {
+        return `slide-${String(index + 1).padStart(2, '0')}.${extension}`;
+    }
+
+    /**
+     * Package rendered slides as one ZIP with the slide images, caption.txt and a
+     * manifest.json describing the carousel. `slides` line up with `images`.
+     */
+    function createCarouselZip({ title, settings, slides, images, caption = '' }) {
+        const manifest = {
+            schema: 'gf-carousel-export',
+            version: 1,
+            title,
+            exportedAt: new Date().toISOString(),
+            format: settings.format,
+            width: settings.width,
+            height: settings.height,
+            caption: 'caption.txt',
+            slides: images.map((_, i) => ({
+                file: getSlideFileName(i, getExtension(images[i])),
+                slideId: slides[i]?.id || null,
+                template: slides[i]?.template || null,
+                text: slides[i] ? TextLayoutModule.toPlainText(slides[i].text) : '',
+                altText: slides[i] ? TemplateModule.getAltText(slides[i]) : ''
+            }))
+        };
+        return createZip([
+            ...images.map((image, i) => ({ name: manifest.slides[i].file, data: dataUrlToBytes(image) })),
+            { name: 'caption.txt', data: caption },
+            { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }
+        ]);
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    return { slugify, dataUrlToBytes, getByteSize, dataUrlToBlob, getExtension, getSlideFileName, createZip, createCarouselZip, createPdf, downloadBlob };
+})();
@@ -0,0 +1,116 @@
+/**
+ * Generation Module - Text generation settings, saved prompt presets and image styles
+ *
+ * Settings are `{ language, tones, audience, hook, cta, instructions }` and
+ * travel to the text provider as the request's `options`. Presets are named
+ * copies of the settings, kept in browser storage like hashtag groups.
+ *
+ * Image styles are the presets of the AI image modal: each holds one style
+ * prompt per image of a batch, so a batch offers three takes on the style.
+ */
+const GenerationModule = (function() {
+    'use strict';
+
+    const PRESETS_KEY = 'gf_carousel_prompt_presets';
+    // One result card per tone
+    const MAX_TONES = 3;
+    const DEFAULT_TONES = ['professional', 'engaging', 'concise'];
+
+    const LANGUAGES = { en: 'English', de: 'German', fr: 'French', es: 'Spanish', it: 'Italian', nl: 'Dutch', pt: 'Portuguese' };
+
+    // `prompt` is what the text prompts ask for; the n8n workflow keeps the same list
+    const HOOKS = {
+        auto: { label: 'Let the AI choose', prompt: '' },
+        question: { label: 'Question', prompt: 'Open slide 1 with a question the reader wants answered.' },
+        statistic: { label: 'Surprising number', prompt: 'Open slide 1 with a surprising number from the sources.' },
+        claim: { label: 'Bold claim', prompt: 'Open slide 1 with a bold, specific claim.' },
+        story: { label: 'Mini story', prompt: 'Open slide 1 with a one-line story or scene.' },
+        howto: { label: 'How-to promise', prompt: 'Open slide 1 by promising the reader a concrete how-to.' }
+    };
+
+    // The image workflow keeps the same list; `prompts` line up with the images of a batch
+    const IMAGE_STYLES = {
+        brand: { label: 'Brand mix', prompts: ['Abstract geometric gradient blues/greens', 'Soft bokeh lights tech atmosphere', 'Minimalist patterns professional colors'] },
+        photo: { label: 'Photographic', prompts: ['Editorial photograph, natural light, shallow depth of field', 'Wide photograph of a modern workplace, muted colors', 'Close-up detail photograph with a softly blurred background'] },
+        illustration: { label: 'Flat illustration', prompts: ['Flat vector illustration, bold shapes, limited palette', 'Isometric illustration with soft shadows', 'Hand-drawn line illustration on a plain background'] },
+        abstract3d: { label: 'Abstract 3D', prompts: ['Glossy abstract 3D shapes, studio lighting', 'Soft matte 3D forms floating in space', 'Translucent glass-like 3D objects with gentle refraction'] },
+        minimal: { label: 'Minimal', prompts: ['Minimal composition with lots of empty space, one accent color', 'Subtle paper texture with a single soft gradient', 'Clean duotone background with one simple shape'] }
+    };
+    const DEFAULT_IMAGE_STYLE = 'brand';
+
+    const DEFAULT_SETTINGS = { language: 'en', tones: DEFAULT_TONES, audience: '', hook: 'auto', cta: '', instructions: '' };
+
+    // Up to MAX_TONES distinct names; none at all falls back to the default three
+    function normalizeTones(tones) {
+        const seen = new Set();
+        const names = (Array.isArray(tones) ? tones : String(tones || '').split(','))
+            .map(tone => String(tone || '').trim())
+            .filter(tone => tone && !seen.has(tone.toLowerCase()) && seen.add(tone.toLowerCase()))
+            .slice(0, MAX_TONES);
+        return names.length ? names : [...DEFAULT_TONES];
+    }
+
+    function createSettings(overrides = {}) {
+        const settings = { ...DEFAULT_SETTINGS, ...overrides };
+        return {
+            language: LANGUAGES[settings.language] ? settings.language : DEFAULT_SETTINGS.language,
+            tones: Array.isArray(settings.tones) ? settings.tones.slice(0, MAX_TONES).map(tone => String(tone || '')) : [...DEFAULT_TONES],
+            audience: String(settings.audience || ''),
+            hook: HOOKS[settings.hook] ? settings.hook : DEFAULT_SETTINGS.hook,
+            cta: String(settings.cta || ''),
+            instructions: String(settings.instructions || '')
+        };
+    }
+
+    // The `options` of a text request: trimmed, with the tones ready to become result cards
+    function toRequestOptions(settings) {
+        const s = createSettings(settings);
+        return {
+            language: s.language,
+            tones: normalizeTones(s.tones),
+            audience: s.audience.trim(),
+            hook: s.hook,
+            cta: s.cta.trim(),
+            instructions: s.instructions.trim()
+        };
+    }
+
+    function getLanguageName(code) {
+        return LANGUAGES[code] || code || LANGUAGES.en;
+    }
+
+    function getHookPrompt(hook) {
+        return HOOKS[hook]?.prompt || '';
+    }
+
+    function getImageStyle(id) {
+        return IMAGE_STYLES[id] || IMAGE_STYLES[DEFAULT_IMAGE_STYLE];
+    }
+
+    // The editable part of an image prompt; size, style and the no-text rule are added by the provider
+    function getImagePrompt(slideText = '') {
+        const text = String(slideText || '').replace(/\s+/g, ' ').trim();
+        return `Instagram carousel background image. Modern, clean, professional.${text ? ` Complements the message: "${text}"` : ''}`;
+    }
+
+    const presets = SavedListModule.create(PRESETS_KEY, {
+        label: 'Prompt presets',
+        defaultName: 'Untitled preset',
+        normalize: preset => ({ ...preset, settings: createSettings(preset.settings) })
+    });
+
+    function listPresets() {
+        return presets.list();
+    }
+
+    // Saving under an existing name replaces that preset
+    function savePreset(name, settings) {
+        return presets.save(name, { settings });
+    }
+
+    function deletePreset(id) {
+        presets.remove(id);
+    }
+
+    return { MAX_TONES, LANGUAGES, HOOKS, IMAGE_STYLES, DEFAULT_IMAGE_STYLE, createSettings, normalizeTones, toRequestOptions, getLanguageName, getHookPrompt, getImageStyle, getImagePrompt, listPresets, savePreset, deletePreset };
+})();
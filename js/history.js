@@ -0,0 +1,96 @@
+/**
+ * History Module - Undo/redo stack of editor state transitions
+ */
+const HistoryModule = (function() {
+    'use strict';
+
+    const MAX_ENTRIES = 100;
+    // Consecutive edits with the same key closer together than this become one undo step
+    const COALESCE_WINDOW = 1000;
+
+    let state = { undoStack: [], redoStack: [], apply: null, onChange: null };
+
+    function init(options) {
+        state.apply = options.apply;
+        state.onChange = options.onChange;
+    }
+
+    function isEqual(a, b) {
+        if (a === b) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        const keys = Object.keys(a);
+        if (keys.length !== Object.keys(b).length) return false;
+        return keys.every(k => isEqual(a[k], b[k]));
+    }
+
+    function notify() {
+        if (state.onChange) state.onChange();
+    }
+
+    /**
+     * Record a transition from `before` to `after`. No-op edits are dropped and
+     * repeated edits sharing `key` (e.g. typing into one textarea) are merged.
+     */
+    function record({ label, key = null, before, after }) {
+        if (!before || isEqual(before, after)) return;
+        const now = Date.now();
+        const last = state.undoStack[state.undoStack.length - 1];
+
+        if (key && last && last.key === key && now - last.time < COALESCE_WINDOW && !state.redoStack.length) {
+            last.after = after;
+            last.time = now;
+        } else {
+            state.undoStack.push({ label, key, before, after, time: now });
+            if (state.undoStack.length > MAX_ENTRIES) state.undoStack.shift();
+        }
+        state.redoStack = [];
+        notify();
+    }
+
+    function undo() {
+        const entry = state.undoStack.pop();
+        if (!entry) return null;
+        state.redoStack.push(entry);
+        state.apply(entry.before);
+        notify();
+        return entry.label;
+    }
+
+    function redo() {
+        const entry = state.redoStack.pop();
+        if (!entry) return null;
+        state.undoStack.push(entry);
+        state.apply(entry.after);
+        notify();
+        return entry.label;
+    }
+
+    // Jump so that exactly `position` entries are applied (0 = before the first recorded edit)
+    function goTo(position) {
+        const target = Math.max(0, Math.min(position, state.undoStack.length + state.redoStack.length));
+        if (target === state.undoStack.length) return;
+        while (state.undoStack.length > target) state.redoStack.push(state.undoStack.pop());
+        while (state.undoStack.length < target) state.undoStack.push(state.redoStack.pop());
+        const top = state.undoStack[state.undoStack.length - 1];
+        state.apply(top ? top.after : state.redoStack[state.redoStack.length - 1].before);
+        notify();
+    }
+
+    function canUndo() { return state.undoStack.length > 0; }
+    function canRedo() { return state.redoStack.length > 0; }
+
+    function getEntries() {
+        const applied = state.undoStack.map(e => ({ label: e.label, time: e.time, applied: true }));
+        const undone = [...state.redoStack].reverse().map(e => ({ label: e.label, time: e.time, applied: false }));
+        return { entries: [...applied, ...undone], position: state.undoStack.length };
+    }
+
+    function clear() {
+        state.undoStack = [];
+        state.redoStack = [];
+        notify();
+    }
+
+    return { init, record, undo, redo, goTo, canUndo, canRedo, getEntries, clear };
+})();
@@ -0,0 +1,186 @@
+/**
+ * Layout Editor Module - Drag and resize slide text and logo on the preview
+ *
+ * Boxes are fractions of the slide. The editor draws them over the carousel,
+ * snaps them to the center lines and safe margins, and reports each finished
+ * move through `onChange(key, box)`; the caller stores it and re-renders.
+ */
+const LayoutEditorModule = (function() {
+    'use strict';
+
+    // Edges and centers within this fraction of a guide snap onto it
+    const SNAP_DISTANCE = 0.015;
+    const MIN_SIZE = 0.04;
+    const HANDLES = ['nw', 'ne', 'sw', 'se'];
+
+    let state = { overlay: null, boxes: [], safeArea: null, onChange: null, drag: null };
+
+    function init(options) {
+        state.onChange = options.onChange;
+        state.overlay = document.createElement('div');
+        state.overlay.className = 'layout-editor hidden';
+        options.container.appendChild(state.overlay);
+        state.overlay.addEventListener('pointerdown', startDrag);
+        state.overlay.addEventListener('pointermove', moveDrag);
+        state.overlay.addEventListener('pointerup', endDrag);
+        state.overlay.addEventListener('pointercancel', cancelDrag);
+        // Drags must not reach the carousel's swipe handler on the container
+        ['touchstart', 'touchend'].forEach(type => state.overlay.addEventListener(type, e => e.stopPropagation()));
+    }
+
+    function percent(value) {
+        return `${(value * 100).toFixed(2)}%`;
+    }
+
+    function placeBox(el, box) {
+        el.style.left = percent(box.x);
+        el.style.top = percent(box.y);
+        el.style.width = percent(box.width);
+        el.style.height = percent(box.height);
+    }
+
+    function render() {
+        state.overlay.innerHTML = '<div class="layout-safe-area"></div><div class="layout-guide vertical hidden"></div><div class="layout-guide horizontal hidden"></div>' +
+            state.boxes.map((item, i) => `<div class="layout-box" data-index="${i}"><span class="layout-box-label">${item.label}</span>${HANDLES.map(h => `<span class="layout-handle ${h}" data-handle="${h}"></span>`).join('')}</div>`).join('');
+        placeBox(state.overlay.querySelector('.layout-safe-area'), state.safeArea);
+        state.overlay.querySelectorAll('.layout-box').forEach((el, i) => placeBox(el, state.boxes[i].box));
+    }
+
+    function showGuides(guides) {
+        const vertical = state.overlay.querySelector('.layout-guide.vertical');
+        const horizontal = state.overlay.querySelector('.layout-guide.horizontal');
+        vertical.classList.toggle('hidden', guides.x === undefined);
+        horizontal.classList.toggle('hidden', guides.y === undefined);
+        if (guides.x !== undefined) vertical.style.left = percent(guides.x);
+        if (guides.y !== undefined) horizontal.style.top = percent(guides.y);
+    }
+
+    function getTargets(axis) {
+        const { x, y, width, height } = state.safeArea;
+        return axis === 'x' ? [0, x, 0.5, x + width, 1] : [0, y, 0.5, y + height, 1];
+    }
+
+    // The closest guide to any of `edges`, as the offset that lines them up
+    function snap(edges, targets) {
+        let best = null;
+        edges.forEach(edge => targets.forEach(target => {
+            const offset = target - edge;
+            if (Math.abs(offset) <= SNAP_DISTANCE && (!best || Math.abs(offset) < Math.abs(best.offset))) best = { offset, guide: target };
+        }));
+        return best;
+    }
+
+    function clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    function moveBox(origin, dx, dy) {
+        const box = { ...origin, x: origin.x + dx, y: origin.y + dy };
+        const snapX = snap([box.x, box.x + (box.width / 2), box.x + box.width], getTargets('x'));
+        const snapY = snap([box.y, box.y + (box.height / 2), box.y + box.height], getTargets('y'));
+        if (snapX) box.x += snapX.offset;
+        if (snapY) box.y += snapY.offset;
+        box.x = clamp(box.x, 0, 1 - box.width);
+        box.y = clamp(box.y, 0, 1 - box.height);
+        return { box, guides: { x: snapX?.guide, y: snapY?.guide } };
+    }
+
+    // Corner handles move the two edges they touch; `aspect` (width / height in slide fractions) locks the ratio
+    function resizeBox(origin, handle, dx, dy, aspect) {
+        let left = origin.x, top = origin.y, right = origin.x + origin.width, bottom = origin.y + origin.height;
+        const west = handle.includes('w');
+        const north = handle.includes('n');
+        if (west) left = clamp(left + dx, 0, right - MIN_SIZE);
+        else right = clamp(right + dx, left + MIN_SIZE, 1);
+        if (north) top = clamp(top + dy, 0, bottom - MIN_SIZE);
+        else bottom = clamp(bottom + dy, top + MIN_SIZE, 1);
+
+        const guides = {};
+        const snapX = snap([west ? left : right], getTargets('x'));
+        if (snapX) {
+            if (west) left += snapX.offset;
+            else right += snapX.offset;
+            guides.x = snapX.guide;
+        }
+        if (aspect) {
+            const height = (right - left) / aspect;
+            if (north) top = bottom - height;
+            else bottom = top + height;
+        } else {
+            const snapY = snap([north ? top : bottom], getTargets('y'));
+            if (snapY) {
+                if (north) top += snapY.offset;
+                else bottom += snapY.offset;
+                guides.y = snapY.guide;
+            }
+        }
+        return { box: { x: left, y: top, width: right - left, height: bottom - top }, guides };
+    }
+
+    function getPoint(e) {
+        const rect = state.overlay.getBoundingClientRect();
+        return { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height };
+    }
+
+    function startDrag(e) {
+        const el = e.target.closest('.layout-box');
+        if (!el) return;
+        e.preventDefault();
+        const index = parseInt(el.dataset.index);
+        state.drag = { index, el, handle: e.target.dataset.handle || null, start: getPoint(e), origin: { ...state.boxes[index].box }, box: null };
+        if (state.overlay.setPointerCapture) state.overlay.setPointerCapture(e.pointerId);
+        el.classList.add('active');
+    }
+
+    function moveDrag(e) {
+        const drag = state.drag;
+        if (!drag) return;
+        const point = getPoint(e);
+        const dx = point.x - drag.start.x;
+        const dy = point.y - drag.start.y;
+        const result = drag.handle ? resizeBox(drag.origin, drag.handle, dx, dy, state.boxes[drag.index].aspect) : moveBox(drag.origin, dx, dy);
+        drag.box = result.box;
+        placeBox(drag.el, result.box);
+        showGuides(result.guides);
+    }
+
+    function endDrag() {
+        const drag = state.drag;
+        if (!drag) return;
+        state.drag = null;
+        drag.el.classList.remove('active');
+        showGuides({});
+        if (!drag.box) return;
+        const box = Object.fromEntries(Object.entries(drag.box).map(([k, v]) => [k, Math.round(v * 10000) / 10000]));
+        state.boxes[drag.index].box = box;
+        if (state.onChange) state.onChange(state.boxes[drag.index].key, box);
+    }
+
+    function cancelDrag() {
+        const drag = state.drag;
+        if (!drag) return;
+        state.drag = null;
+        drag.el.classList.remove('active');
+        placeBox(drag.el, drag.origin);
+        showGuides({});
+    }
+
+    /**
+     * Show editable boxes from CanvasModule.getEditableLayout: `boxes` is
+     * `[{ key, label, box, aspect? }]` and `safeArea` the padded margin.
+     */
+    function show({ boxes, safeArea }) {
+        state.boxes = boxes.map(item => ({ ...item, box: { ...item.box } }));
+        state.safeArea = safeArea;
+        state.drag = null;
+        render();
+        state.overlay.classList.remove('hidden');
+    }
+
+    function hide() {
+        state.drag = null;
+        state.overlay?.classList.add('hidden');
+    }
+
+    return { init, show, hide };
+})();
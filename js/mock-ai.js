@@ -0,0 +1,263 @@
+/**
+ * Mock AI Module - Scripted stand-ins for the text, image and publish services
+ *
+ * Output follows the same contracts as the n8n workflows, so the offline mock
+ * provider and the bundled mock server (mock-server/server.js, which loads this
+ * file) exercise the real parsing and rendering paths. Content is derived from
+ * the source names and slide text, and is the same for the same input.
+ */
+const MockAIModule = (function() {
+    'use strict';
+
+    const DEFAULT_TOPIC = 'Digital transformation';
+
+    const TONES = {
+        professional: {
+            label: 'Professional', description: 'Formal and authoritative tone',
+            hook: topic => `${topic}: what leading teams are doing differently this year.`,
+            points: [
+                topic => `Start with the problem, not the tool. Successful ${topic.toLowerCase()} projects begin with one measurable business goal.`,
+                () => 'Small pilots beat big launches. Test with one team, measure for four weeks, then scale what works.',
+                () => 'Data quality decides the outcome. Clean, shared data turns isolated wins into company-wide results.',
+                () => 'People adopt what they help build. Involve the users early and train them on real work, not demos.',
+                () => 'Measure value, not activity. Track time saved, errors avoided and revenue influenced.'
+            ],
+            cta: topic => `Planning your next step in ${topic.toLowerCase()}? Follow for weekly insights and save this post for your team.`,
+            caption: (topic, count) => `${topic} works when strategy, data and people move together. In ${count} slides we summarize the practices we see in successful projects.\n\nWhich of these is hardest in your organization?`,
+            hashtags: topic => [topic, 'Strategy', 'Leadership', 'Innovation', 'BusinessGrowth', 'DigitalStrategy']
+        },
+        engaging: {
+            label: 'Engaging', description: 'Dynamic and captivating tone',
+            hook: topic => `🚀 Think you know ${topic.toLowerCase()}? Swipe to find out!`,
+            points: [
+                () => '🎯 Pick ONE goal. Teams that focus on a single outcome ship twice as fast.',
+                () => '🧪 Go small first! A four-week pilot tells you more than a year of planning.',
+                () => '📊 Your data is your superpower, but only when everyone can trust it.',
+                () => '🙌 Bring your people along. The best tools fail without the right habits.',
+                () => '💡 Celebrate quick wins. Momentum is the secret ingredient nobody talks about.'
+            ],
+            cta: () => '👉 Save this for later and share it with a teammate who needs it!',
+            caption: topic => `🚀 ${topic} doesn't have to be overwhelming! We broke it down into bite-sized steps you can start this week. 💪\n\nSave it, share it, and tell us in the comments: which slide hit home? 👇`,
+            hashtags: topic => [topic, 'TechTips', 'FutureOfWork', 'Innovation', 'Productivity', 'GrowthMindset', 'TeamWork']
+        },
+        concise: {
+            label: 'Concise', description: 'Short and punchy tone',
+            hook: topic => `${topic}. Simplified.`,
+            points: [
+                () => 'One goal. One metric.',
+                () => 'Pilot first. Scale later.',
+                () => 'Trust your data.',
+                () => 'People before tools.',
+                () => 'Measure what matters.'
+            ],
+            cta: () => 'Follow for more. Save for later.',
+            caption: topic => `${topic} in a few slides. Save it for later.`,
+            hashtags: topic => [topic, 'Innovation', 'Strategy']
+        }
+    };
+
+    // Sample figures for the "add a stat" rewrite; the mock has no real sources to quote
+    const STATS = [
+        '73% of teams report results within the first 90 days.',
+        'Companies that measure adoption are 2.5x more likely to hit their goals.',
+        'Only 1 in 3 projects tracks value after launch.',
+        'Focused pilots cut rollout time by up to 40%.'
+    ];
+
+    const FILLER_WORDS = /\b(really|very|just|actually|basically|simply|that)\s+/gi;
+
+    const PALETTES = [
+        ['#211D58', '#3B3486', '#8BC07C'],
+        ['#0F2027', '#2C5364', '#4CA1AF'],
+        ['#1D2B64', '#5C5B99', '#F8CDDA'],
+        ['#16222A', '#3A6073', '#A8E063'],
+        ['#232526', '#414345', '#F0C27B']
+    ];
+
+    // FNV-1a, so the same text always picks the same palette and shapes
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        return hash >>> 0;
+    }
+
+    function createRandom(seed) {
+        let state = seed || 1;
+        return () => {
+            state ^= state << 13;
+            state ^= state >>> 17;
+            state ^= state << 5;
+            return (state >>> 0) / 4294967296;
+        };
+    }
+
+    // "q3-cloud_migration.pdf" becomes "Q3 cloud migration"; URLs are named after their last path segment
+    // and pasted text after its title
+    function getTopic(sources = []) {
+        const source = sources.find(s => s && s.name) || {};
+        let name = source.kind === 'url' ? source.name.split('/').pop() : source.name || '';
+        if (source.kind !== 'text') name = name.replace(/\.[^.]+$/, '');
+        const words = name.replace(/[-_]+/g, ' ').replace(/\s+/g, ' ').trim();
+        return words ? words.charAt(0).toUpperCase() + words.slice(1) : DEFAULT_TOPIC;
+    }
+
+    function toHashtag(text) {
+        return `#${String(text).replace(/[^\p{L}\p{N}]+/gu, '')}`;
+    }
+
+    function createSlides(script, topic, slideCount, cta = '') {
+        return Array.from({ length: slideCount }, (_, i) => {
+            const last = i === slideCount - 1;
+            const text = i === 0 ? script.hook(topic) : last ? cta || script.cta(topic) : script.points[(i - 1) % script.points.length](topic);
+            const altText = `${i === 0 ? 'Title slide' : last ? 'Closing slide' : `Slide ${i + 1}`} with bold text on a dark brand background: "${text}"`;
+            return { slideNumber: i + 1, text, altText };
+        });
+    }
+
+    /**
+     * Text options in the text webhook's response format: one per requested
+     * tone, each with slides, a caption and hashtags. Tones without a script
+     * borrow one by position and keep their own name.
+     */
+    function createTextResponse({ slideCount = 3, sources = [], options = {} } = {}) {
+        const topic = getTopic(sources);
+        const count = Math.max(1, parseInt(slideCount) || 3);
+        const tones = Array.isArray(options.tones) && options.tones.length ? options.tones.slice(0, 3) : Object.keys(TONES);
+        return {
+            options: tones.map((tone, i) => {
+                const script = TONES[String(tone).toLowerCase()];
+                const name = String(tone).charAt(0).toUpperCase() + String(tone).slice(1);
+                const used = script || Object.values(TONES)[i % 3];
+                return {
+                    tone: String(tone),
+                    label: script ? script.label : name,
+                    description: script ? script.description : `${name} tone`,
+                    slides: createSlides(used, topic, count, options.cta),
+                    caption: used.caption(topic, count),
+                    hashtags: [...new Set(used.hashtags(topic).map(toHashtag))]
+                };
+            })
+        };
+    }
+
+    /**
+     * The same options as a stream of events in the text webhook's streaming
+     * format: each option's tone first, then slide by slide across all three
+     * options, then the captions.
+     */
+    function createTextEvents(request = {}) {
+        const { options } = createTextResponse(request);
+        const events = options.map(({ tone, label, description }, index) => ({ index, option: { tone, label, description } }));
+        const slideCount = options[0].slides.length;
+        for (let i = 0; i < slideCount; i++) options.forEach((option, index) => events.push({ index, slide: option.slides[i] }));
+        options.forEach(({ caption, hashtags }, index) => events.push({ index, option: { caption, hashtags } }));
+        return events;
+    }
+
+    function splitSentences(text) {
+        return (String(text).match(/[^.!?\n]+[.!?]*/g) || []).map(t => t.trim()).filter(Boolean);
+    }
+
+    // A new line for the slide from the tone's script, avoiding what the carousel already says
+    function regenerateText(slides, slideIndex, tone, topic) {
+        const script = TONES[tone] || TONES.professional;
+        const current = slides[slideIndex]?.text || '';
+        if (slideIndex === 0) return current === script.hook(topic) ? Object.values(TONES).find(t => t !== script).hook(topic) : script.hook(topic);
+        if (slideIndex === slides.length - 1) return current === script.cta(topic) ? Object.values(TONES).find(t => t !== script).cta(topic) : script.cta(topic);
+        const used = new Set(slides.map(s => s.text));
+        const points = script.points.map(point => point(topic));
+        const start = hashString(current) % points.length;
+        return points.map((_, i) => points[(start + i) % points.length]).find(point => !used.has(point)) || points[start];
+    }
+
+    /**
+     * One slide rewritten in the text webhook's rewrite format. `mode` is
+     * regenerate, shorter, punchier or stat; `slides` is the whole carousel.
+     */
+    function createRewriteResponse({ mode = 'regenerate', slideIndex = 0, slides = [], sources = [], options = {} } = {}) {
+        const current = String(slides[slideIndex]?.text || '').trim();
+        const sentences = splitSentences(current);
+        let text;
+        if (mode === 'shorter') {
+            const first = sentences[0] || current;
+            const words = first.split(/\s+/);
+            text = sentences.length > 1 || words.length <= 6 ? first : `${words.slice(0, 6).join(' ').replace(/[,;:]$/, '')}.`;
+        } else if (mode === 'punchier') {
+            const first = (sentences[0] || current).replace(FILLER_WORDS, '');
+            const question = first.endsWith('?');
+            const body = first.replace(/[.!?]+$/, '');
+            text = `${body.charAt(0).toUpperCase()}${body.slice(1)}${question ? '?' : '!'}`;
+        } else if (mode === 'stat') {
+            text = `${current}\n${STATS[hashString(current) % STATS.length]}`.trim();
+        } else {
+            text = regenerateText(slides, slideIndex, options.tone, getTopic(sources));
+        }
+        return { slide: { slideNumber: slideIndex + 1, text, altText: `Slide ${slideIndex + 1} with bold text on a dark brand background: "${text.replace(/\n/g, ' ')}"` } };
+    }
+
+    // Abstract backgrounds without text, like the image workflow asks for
+    function createBackground(width, height, seed, variant) {
+        const random = createRandom(seed);
+        const [dark, mid, accent] = PALETTES[seed % PALETTES.length];
+        const shapes = Array.from({ length: 6 }, () => {
+            const x = Math.round(random() * width);
+            const y = Math.round(random() * height);
+            const r = Math.round((0.1 + random() * 0.35) * Math.min(width, height));
+            const opacity = (0.08 + random() * 0.25).toFixed(2);
+            if (variant === 1) return `<circle cx="${x}" cy="${y}" r="${r}" fill="${accent}" opacity="${opacity}" filter="url(#soft)"/>`;
+            if (variant === 2) return `<rect x="${x - r}" y="${y - r}" width="${r * 2}" height="${r * 2}" fill="none" stroke="${accent}" stroke-width="${Math.round(r / 12)}" opacity="${opacity}"/>`;
+            return `<polygon points="${x},${y - r} ${x + r},${y + r} ${x - r},${y + r}" fill="${accent}" opacity="${opacity}"/>`;
+        }).join('');
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${dark}"/><stop offset="1" stop-color="${mid}"/></linearGradient><filter id="soft"><feGaussianBlur stdDeviation="${Math.round(width / 40)}"/></filter></defs><rect width="${width}" height="${height}" fill="url(#bg)"/>${shapes}</svg>`;
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    }
+
+    // The palette one of these images was drawn with, or -1 for any other image
+    function getPaletteIndex(image) {
+        let svg = '';
+        try {
+            svg = decodeURIComponent(String(image || '').split(',')[1] || '');
+        } catch (e) {
+            return -1;
+        }
+        return PALETTES.findIndex(([dark, mid]) => svg.includes(`stop-color="${dark}"`) && svg.includes(`stop-color="${mid}"`));
+    }
+
+    // Counts image requests, so asking again with the same prompt still gives new images
+    let imageBatches = 0;
+
+    /**
+     * Images in the image webhook's response format: `imageCount` data URLs in
+     * three alternating styles (geometric, soft light, outlines). The prompt,
+     * style and a running batch count pick the palettes and shapes, so every
+     * batch differs. Variations of one of these images keep its palette and
+     * shape style.
+     */
+    function createImageResponse({ slideIndex = 0, slideText = '', prompt = '', style = '', variationOf = null, imageCount = 3, dimensions = { width: 1080, height: 1350 } } = {}) {
+        const { width, height } = dimensions;
+        const base = hashString(`${slideIndex}:${slideText}:${prompt}:${style}:${++imageBatches}`);
+        const palette = variationOf ? getPaletteIndex(variationOf.image) : -1;
+        return {
+            images: Array.from({ length: imageCount }, (_, i) => {
+                const seed = hashString(`${base}:${i}`);
+                // Move the seed onto the reference's palette
+                const finalSeed = palette === -1 ? seed : seed - (seed % PALETTES.length) + palette;
+                return createBackground(width, height, finalSeed, variationOf ? (variationOf.styleIndex || 0) % 3 : i % 3);
+            })
+        };
+    }
+
+    // The scheduler's answer to the JSON `payload` of a post
+    function createPublishResponse(payload = {}) {
+        const postId = `post_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+        if (payload.postNow) {
+            return { success: true, postId, status: 'posted', message: 'Successfully posted to Instagram (mock)', postedAt: new Date().toISOString() };
+        }
+        return { success: true, postId, status: 'scheduled', scheduledTime: payload.scheduledTime, message: `Post scheduled for ${payload.scheduledTime} (mock)`, driveFileId: null };
+    }
+
+    return { getTopic, createTextResponse, createTextEvents, createRewriteResponse, createImageResponse, createPublishResponse };
+})();
+
+// The mock server runs this file under Node
+if (typeof module !== 'undefined' && module.exports) module.exports = MockAIModule;
@@ -0,0 +1,235 @@
+/**
+ * Project Module - Versioned carousel drafts, IndexedDB autosave and .carousel.json files
+ */
+const ProjectModule = (function() {
+    'use strict';
+
+    const SCHEMA = 'gf-carousel-project';
+    const SCHEMA_VERSION = 2;
+    const DB_NAME = 'gf_carousel_studio';
+    const DB_VERSION = 2;
+    const PROJECT_STORE = 'projects';
+    // Lightweight copies of title/status/thumbnail so the library never loads full drafts
+    const SUMMARY_STORE = 'summaries';
+    const CURRENT_PROJECT_KEY = 'gf_carousel_current_project';
+    const FILE_EXTENSION = '.carousel.json';
+    const DEFAULT_TITLE = 'Untitled carousel';
+    const STATUSES = ['draft', 'scheduled', 'posted'];
+
+    // Each entry upgrades a project from version N to N + 1
+    const MIGRATIONS = {
+        // Drafts written before the schema was versioned carry no schema tag
+        0: project => ({ ...project, schema: SCHEMA }),
+        // Slides get stable ids; AI image batches and renders move from position keys to slide ids
+        1: project => {
+            const slides = (project.slides || []).map(s => ({ ...s, id: s.id || generateId() }));
+            const slideImages = {};
+            Object.entries(project.ai?.slideImages || {}).forEach(([index, images]) => { if (slides[index]) slideImages[slides[index].id] = images; });
+            const renders = (project.renders || []).slice(0, slides.length).map((image, i) => ({ slideId: slides[i].id, image }));
+            return { ...project, slides, ai: { ...project.ai, slideImages }, renders };
+        }
+    };
+
+    let dbPromise = null;
+
+    function generateId() {
+        return Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    function createProject(overrides = {}) {
+        const now = new Date().toISOString();
+        return {
+            schema: SCHEMA,
+            version: SCHEMA_VERSION,
+            id: generateId(),
+            title: DEFAULT_TITLE,
+            status: 'draft',
+            thumbnail: null,
+            createdAt: now,
+            updatedAt: now,
+            settings: { slideCount: 3, format: 'portrait', width: 1080, height: 1350, headingFontFamily: 'Montserrat', fontFamily: 'Montserrat', fontSize: 64, textColor: '#ffffff', highlightColor: '#8BC07C', textAlign: 'center', backgroundColor: '#211D58', panorama: { enabled: false, type: 'gradient', image: null, focusY: 0.5, gradient: null }, chrome: { counter: 'none', counterPosition: 'top-right', progress: 'none', swipe: false, swipeText: 'Swipe', footer: '' }, imageType: 'png', imageQuality: 0.9, maxSlideKB: 0, brandKitId: null },
+            slides: [],
+            logo: { enabled: false, image: null, imageOnLight: null, position: 'bottom-left', size: 80 },
+            caption: { text: '', hashtags: '', firstComment: '' },
+            generation: { language: 'en', tones: ['professional', 'engaging', 'concise'], audience: '', hook: 'auto', cta: '', instructions: '' },
+            sources: [],
+            ai: { textOptions: null, selectedOption: null, slideImages: {} },
+            renders: [],
+            ...overrides
+        };
+    }
+
+    function normalize(project) {
+        const defaults = createProject();
+        return {
+            ...defaults,
+            ...project,
+            schema: SCHEMA,
+            version: SCHEMA_VERSION,
+            status: STATUSES.includes(project.status) ? project.status : 'draft',
+            settings: { ...defaults.settings, ...project.settings },
+            slides: Array.isArray(project.slides) ? project.slides.map(s => ({ ...s, id: s.id || generateId() })) : [],
+            logo: { ...defaults.logo, ...project.logo },
+            caption: { ...defaults.caption, ...project.caption },
+            generation: { ...defaults.generation, ...project.generation },
+            sources: Array.isArray(project.sources) ? project.sources : [],
+            ai: { ...defaults.ai, ...project.ai },
+            renders: Array.isArray(project.renders) ? project.renders.filter(r => r && r.slideId && r.image) : []
+        };
+    }
+
+    function migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Not a carousel project.');
+        if (data.schema && data.schema !== SCHEMA) throw new Error('Not a carousel project.');
+
+        let project = { ...data };
+        let version = Number.isInteger(project.version) ? project.version : 0;
+        if (version > SCHEMA_VERSION) throw new Error(`Project was saved by a newer version of the app (v${version}).`);
+
+        while (version < SCHEMA_VERSION) {
+            project = MIGRATIONS[version](project);
+            version += 1;
+        }
+        return normalize(project);
+    }
+
+    function toSummary(project) {
+        const { id, title, status, thumbnail, createdAt, updatedAt } = project;
+        return { id, title, status, thumbnail, createdAt, updatedAt, slideCount: (project.slides || []).length };
+    }
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(PROJECT_STORE)) db.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+                    if (!db.objectStoreNames.contains(SUMMARY_STORE)) {
+                        const summaries = db.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+                        // Backfill summaries for drafts saved before the library existed
+                        request.transaction.objectStore(PROJECT_STORE).openCursor().onsuccess = e => {
+                            const cursor = e.target.result;
+                            if (!cursor) return;
+                            summaries.put(toSummary(cursor.value));
+                            cursor.continue();
+                        };
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(new Error('Failed to open project storage'));
+            }).catch(e => {
+                dbPromise = null;
+                throw e;
+            });
+        }
+        return dbPromise;
+    }
+
+    async function runTransaction(storeNames, mode, operation) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const request = operation(tx);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error || new Error('Project storage request failed'));
+            tx.onabort = () => reject(tx.error || new Error('Project storage request aborted'));
+        });
+    }
+
+    async function saveProject(project) {
+        const record = { ...project, updatedAt: new Date().toISOString() };
+        await runTransaction([PROJECT_STORE, SUMMARY_STORE], 'readwrite', tx => {
+            tx.objectStore(SUMMARY_STORE).put(toSummary(record));
+            return tx.objectStore(PROJECT_STORE).put(record);
+        });
+        return record;
+    }
+
+    async function loadProject(id) {
+        if (!id) return null;
+        const record = await runTransaction(PROJECT_STORE, 'readonly', tx => tx.objectStore(PROJECT_STORE).get(id));
+        return record ? migrate(record) : null;
+    }
+
+    async function listProjects() {
+        const summaries = await runTransaction(SUMMARY_STORE, 'readonly', tx => tx.objectStore(SUMMARY_STORE).getAll());
+        return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async function renameProject(id, title) {
+        const project = await loadProject(id);
+        if (!project) throw new Error('Project not found.');
+        return saveProject({ ...project, title: title.trim() || DEFAULT_TITLE });
+    }
+
+    async function duplicateProject(id) {
+        const project = await loadProject(id);
+        if (!project) throw new Error('Project not found.');
+        const now = new Date().toISOString();
+        return saveProject({ ...project, id: generateId(), title: `${project.title} (copy)`, status: 'draft', createdAt: now });
+    }
+
+    async function deleteProject(id) {
+        await runTransaction([PROJECT_STORE, SUMMARY_STORE], 'readwrite', tx => {
+            tx.objectStore(SUMMARY_STORE).delete(id);
+            return tx.objectStore(PROJECT_STORE).delete(id);
+        });
+        if (getCurrentProjectId() === id) setCurrentProjectId(null);
+    }
+
+    function getCurrentProjectId() {
+        try {
+            return localStorage.getItem(CURRENT_PROJECT_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function setCurrentProjectId(id) {
+        try {
+            if (id) localStorage.setItem(CURRENT_PROJECT_KEY, id);
+            else localStorage.removeItem(CURRENT_PROJECT_KEY);
+        } catch (e) {
+            // Storage unavailable (private mode) - the draft still autosaves, it just won't reopen on reload
+        }
+    }
+
+    function getFileName(project) {
+        const slug = (project.title || DEFAULT_TITLE).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return (slug || 'carousel') + FILE_EXTENSION;
+    }
+
+    function exportToFile(project) {
+        // Rendered slides are derived data and would only bloat the file
+        const { renders, ...portable } = project;
+        const blob = new Blob([JSON.stringify(portable, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getFileName(project);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async function importFromFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            throw new Error('File is not valid JSON.');
+        }
+        // Imported drafts get a fresh id so they never overwrite a local project
+        return { ...migrate(data), id: generateId(), renders: [] };
+    }
+
+    return {
+        SCHEMA_VERSION, FILE_EXTENSION, DEFAULT_TITLE, STATUSES,
+        generateId, createProject, migrate,
+        saveProject, loadProject, listProjects, renameProject, duplicateProject, deleteProject,
+        getCurrentProjectId, setCurrentProjectId,
+        exportToFile, importFromFile
+    };
+})();
@@ -0,0 +1,332 @@
+/**
+ * Provider Module - Adapters behind the text, image and publish operations
+ *
+ * Every adapter takes the request bodies of the n8n webhook contracts and
+ * answers in their response formats, so AIGeneratorModule validates one shape
+ * whichever service is behind it:
+ *
+ *   generateText(request, config, { signal, onEvent }) -> { options: [...] } or null
+ *   rewriteSlide(request, config, { signal })           -> { slide: { text, altText } }
+ *   generateImages(request, config, { signal })         -> { images: [...] }
+ *   createVariations(request, config, { signal })       -> { images: [...] }
+ *   publish({ payload, files }, config, { signal })     -> scheduler response
+ *
+ * `config` is AIGeneratorModule's stored configuration. Adapters list the
+ * operations they support; the configuration picks one adapter per operation.
+ * A text adapter that streams passes each event to `onEvent` and resolves with
+ * null; one that cannot stream ignores `onEvent` and answers in one piece.
+ * Image adapters also make variations: the request is an image request whose
+ * `variationOf: { image, styleIndex }` carries the chosen image itself.
+ */
+const ProviderModule = (function() {
+    'use strict';
+
+    const OPERATIONS = ['text', 'image', 'publish'];
+    const DEFAULT_PROVIDER = 'n8n';
+    // Scripted responses arrive after this long, so loading states stay visible
+    const MOCK_LATENCY = 600;
+
+    // Mock text streams one event at a time at this pace
+    const MOCK_EVENT_INTERVAL = 120;
+
+    function createAbortError() {
+        return new DOMException('Request cancelled', 'AbortError');
+    }
+
+    function delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(createAbortError());
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(createAbortError());
+            }, { once: true });
+        });
+    }
+
+    /**
+     * The image a variation starts from, as a PNG Blob the image APIs accept.
+     * SVG is redrawn on the page; images stored as a URL are downloaded, which
+     * fails once the service's link has expired.
+     */
+    async function readReferenceImage(image, signal) {
+        const src = await CanvasModule.rasterizeImage(image);
+        if (String(src).startsWith('data:')) return ExportModule.dataUrlToBlob(src);
+        try {
+            const response = await fetch(src, { signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.blob();
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            throw new Error('That image can no longer be downloaded for variations. Pick another image or generate a new batch.');
+        }
+    }
+
+    // ---- n8n webhooks ----
+
+    const n8n = {
+        name: 'n8n webhooks',
+        operations: ['text', 'image', 'publish'],
+
+        generateText(request, config, { signal, onEvent } = {}) {
+            return WebhookModule.post('text', config.webhookTextUrl, request, { signal, onEvent });
+        },
+
+        // Rewrites share the text webhook; `action: 'rewrite-slide'` tells the workflow apart
+        rewriteSlide(request, config, { signal } = {}) {
+            return WebhookModule.post('text', config.webhookTextUrl, request, { signal });
+        },
+
+        generateImages(request, config, { signal } = {}) {
+            return WebhookModule.post('image', config.webhookImageUrl, request, { signal });
+        },
+
+        // The workflow always gets the chosen image as a PNG data URL, however it is stored
+        async createVariations(request, config, { signal } = {}) {
+            if (!config.webhookImageUrl) throw WebhookModule.notConfigured('image');
+            const image = await CanvasModule.blobToDataUrl(await readReferenceImage(request.variationOf.image, signal));
+            return WebhookModule.post('image', config.webhookImageUrl, { ...request, variationOf: { ...request.variationOf, image } }, { signal });
+        },
+
+        // Multipart: the JSON post details in `payload`, then one binary file per slide
+        publish({ payload, files }, config, { signal } = {}) {
+            if (!config.webhookScheduleUrl) throw WebhookModule.notConfigured('schedule');
+            const form = new FormData();
+            form.append('payload', JSON.stringify(payload));
+            files.forEach(({ field, blob, name }) => form.append(field, blob, name));
+            return WebhookModule.post('schedule', config.webhookScheduleUrl, form, { signal });
+        }
+    };
+
+    // ---- OpenAI-compatible HTTP APIs (OpenAI, Azure proxies, LocalAI, Ollama, ...) ----
+
+    const OPENAI_SERVICE = 'OpenAI-compatible API';
+
+    function getOpenAiUrl(config, path) {
+        const baseUrl = (config.openai?.baseUrl || '').trim().replace(/\/+$/, '');
+        return baseUrl ? `${baseUrl}${path}` : '';
+    }
+
+    function getOpenAiHeaders(config) {
+        const apiKey = (config.openai?.apiKey || '').trim();
+        return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    }
+
+    function decodeText(dataUrl) {
+        try {
+            return new TextDecoder().decode(ExportModule.dataUrlToBytes(dataUrl));
+        } catch (e) {
+            return '';
+        }
+    }
+
+    // Extracted text is inlined, images go to vision models as they are and anything else is named only.
+    // Only the n8n workflow fetches URL sources; a model called directly just gets the address.
+    function describeSources(sources) {
+        const parts = [];
+        sources.forEach(source => {
+            if (source.text) parts.push({ type: 'text', text: `[Source: ${source.name}]\n${source.text}` });
+            else if (source.kind === 'url') parts.push({ type: 'text', text: `[Source web page: ${source.url}]` });
+            else if (source.type?.startsWith('image/')) parts.push({ type: 'image_url', image_url: { url: source.data } });
+            else if (source.type?.startsWith('text/') || /\.(md|txt)$/i.test(source.name)) parts.push({ type: 'text', text: `[Source: ${source.name}]\n${decodeText(source.data)}` });
+            else parts.push({ type: 'text', text: `[Attached file: ${source.name}]` });
+        });
+        return parts;
+    }
+
+    // The generation settings every text prompt shares; empty ones are left out
+    function buildBriefing(options = {}) {
+        return [
+            `Write in ${GenerationModule.getLanguageName(options.language)}.`,
+            options.audience && `Target audience: ${options.audience}`,
+            GenerationModule.getHookPrompt(options.hook),
+            options.cta && `The call to action on the last slide: ${options.cta}`,
+            options.instructions && `Follow these instructions:\n${options.instructions}`
+        ].filter(Boolean).join('\n');
+    }
+
+    function buildTextPrompt({ slideCount, options = {} }) {
+        const tones = GenerationModule.normalizeTones(options.tones);
+        return `You are an expert social media content creator. Write Instagram carousel text from the sources above.
+${buildBriefing(options)}
+
+Create exactly ${slideCount} slides in ${tones.length} ${tones.length === 1 ? 'version' : 'versions'}, one per tone, in this order: ${tones.join(', ')}.
+Each slide has 1-3 sentences: slide 1 hooks the reader, the middle slides carry the key points, the last slide is a call to action.
+Each slide also gets altText: one or two plain sentences describing it for screen-reader users, including its text.
+Each version gets an Instagram caption under 2,200 characters without hashtags, and 5-15 hashtags as a separate list.
+
+Respond with JSON only, in this shape:
+{"options":[{"tone":"...","label":"...","description":"...","slides":[{"slideNumber":1,"text":"...","altText":"..."}],"caption":"...","hashtags":["#..."]}]}`;
+    }
+
+    const REWRITE_INSTRUCTIONS = {
+        regenerate: 'Write a fresh version of it that fits between the slides around it.',
+        shorter: 'Make it shorter: keep the key message in as few words as possible.',
+        punchier: 'Make it punchier: active voice, strong verbs, no filler words.',
+        stat: 'Add one concrete statistic that supports it, taken from the sources. Never invent numbers; if the sources have none, make the claim more specific instead.'
+    };
+
+    function buildRewritePrompt({ mode, slideIndex, slides, options = {} }) {
+        const carousel = slides.map(s => `Slide ${s.slideNumber}${s.slideNumber === slideIndex + 1 ? ' (rewrite this one)' : ''}: ${s.text || '(empty)'}`).join('\n');
+        return `You are an expert social media content creator. Here is an Instagram carousel${options.tone ? `, written in the ${options.tone} tone` : ''}:
+
+${carousel}
+
+${buildBriefing(options)}
+
+Rewrite slide ${slideIndex + 1} only. ${REWRITE_INSTRUCTIONS[mode] || REWRITE_INSTRUCTIONS.regenerate}
+Keep the slide's role in the carousel and 1-3 sentences, and keep any # headline, **bold** or ==highlight== markup.
+Also write altText: one or two plain sentences describing the slide for screen-reader users, including its text.
+
+Respond with JSON only, in this shape:
+{"slide":{"text":"...","altText":"..."}}`;
+    }
+
+    function parseJsonContent(content) {
+        const text = String(content || '').replace(/```json\s*/gi, '').replace(/```\s*/g, '').trim();
+        const match = text.match(/\{[\s\S]*\}/);
+        try {
+            return JSON.parse(match ? match[0] : text);
+        } catch (e) {
+            throw WebhookModule.invalidResponse('text', 'the model did not answer with JSON.', OPENAI_SERVICE);
+        }
+    }
+
+    const IMAGE_VARIATION = 'A close variation of the given image: keep its composition, palette and mood and change only the details.';
+
+    // One prompt per image: the request's prompt plus the shape, a style prompt and the carousel's other slides.
+    // Variations use the style prompt of the image they start from for every image.
+    function buildImagePrompts({ prompt, slideText, style, variationOf = null, context, dimensions, imageCount = 3 }) {
+        const { prompts } = GenerationModule.getImageStyle(style);
+        const base = `${prompt || GenerationModule.getImagePrompt(slideText)} ${dimensions.width}x${dimensions.height} composition. NO TEXT in image.`;
+        const look = context ? ` Match the look of the carousel's other slides, which say:\n${context}` : '';
+        return Array.from({ length: imageCount }, (_, i) => {
+            const stylePrompt = prompts[(variationOf ? variationOf.styleIndex || 0 : i) % prompts.length];
+            return `${base} Style: ${stylePrompt}.${variationOf ? ` ${IMAGE_VARIATION}` : ''}${look}`;
+        });
+    }
+
+    // Sizes the image models accept, closest to the slide's shape
+    function getImageSize({ width, height }) {
+        const ratio = width / height;
+        return ratio > 1.1 ? '1792x1024' : ratio < 0.9 ? '1024x1792' : '1024x1024';
+    }
+
+    // GPT Image models edit at these sizes; DALL-E 3 cannot edit at all and DALL-E 2 only erases masked areas
+    const IMAGE_EDIT_MODEL = 'gpt-image-1';
+
+    function getEditSize({ width, height }) {
+        const ratio = width / height;
+        return ratio > 1.1 ? '1536x1024' : ratio < 0.9 ? '1024x1536' : '1024x1024';
+    }
+
+    function toImageUrl(image) {
+        return image?.b64_json ? `data:image/png;base64,${image.b64_json}` : image?.url || null;
+    }
+
+    const openai = {
+        name: 'OpenAI-compatible API',
+        operations: ['text', 'image'],
+
+        async generateText(request, config, { signal } = {}) {
+            const body = {
+                model: config.openai?.textModel || 'gpt-4o-mini',
+                response_format: { type: 'json_object' },
+                messages: [{ role: 'user', content: [...describeSources(request.sources || []), { type: 'text', text: buildTextPrompt(request) }] }]
+            };
+            const result = await WebhookModule.post('text', getOpenAiUrl(config, '/chat/completions'), body, { signal, headers: getOpenAiHeaders(config), service: OPENAI_SERVICE });
+            return parseJsonContent(result?.choices?.[0]?.message?.content);
+        },
+
+        async rewriteSlide(request, config, { signal } = {}) {
+            const body = {
+                model: config.openai?.textModel || 'gpt-4o-mini',
+                response_format: { type: 'json_object' },
+                messages: [{ role: 'user', content: [...describeSources(request.sources || []), { type: 'text', text: buildRewritePrompt(request) }] }]
+            };
+            const result = await WebhookModule.post('text', getOpenAiUrl(config, '/chat/completions'), body, { signal, headers: getOpenAiHeaders(config), service: OPENAI_SERVICE });
+            return parseJsonContent(result?.choices?.[0]?.message?.content);
+        },
+
+        // One request per image; many image models only return one image per call
+        async generateImages(request, config, { signal } = {}) {
+            const url = getOpenAiUrl(config, '/images/generations');
+            const results = await Promise.all(buildImagePrompts(request).map(prompt => WebhookModule.post('image', url, {
+                model: config.openai?.imageModel || 'dall-e-3',
+                prompt,
+                n: 1,
+                size: getImageSize(request.dimensions),
+                response_format: 'b64_json'
+            }, { signal, headers: getOpenAiHeaders(config), service: OPENAI_SERVICE })));
+            return { images: results.map(result => toImageUrl(result?.data?.[0])).filter(Boolean) };
+        },
+
+        // The edits endpoint takes the chosen image and one prompt and returns every variation in one answer
+        async createVariations(request, config, { signal } = {}) {
+            const configured = config.openai?.imageModel || 'dall-e-3';
+            const model = /^dall-e/i.test(configured) ? IMAGE_EDIT_MODEL : configured;
+            const form = new FormData();
+            form.append('model', model);
+            form.append('image', await readReferenceImage(request.variationOf.image, signal), 'reference.png');
+            form.append('prompt', buildImagePrompts({ ...request, imageCount: 1 })[0]);
+            form.append('n', String(request.imageCount || 3));
+            form.append('size', getEditSize(request.dimensions));
+            const result = await WebhookModule.post('image', getOpenAiUrl(config, '/images/edits'), form, { signal, headers: getOpenAiHeaders(config), service: OPENAI_SERVICE });
+            return { images: (result?.data || []).map(toImageUrl).filter(Boolean) };
+        }
+    };
+
+    // ---- Offline mock ----
+
+    const mock = {
+        name: 'Offline mock (sample content)',
+        operations: ['text', 'image', 'publish'],
+
+        async generateText(request, config, { signal, onEvent } = {}) {
+            await delay(MOCK_LATENCY, signal);
+            if (!onEvent) return MockAIModule.createTextResponse(request);
+            for (const event of MockAIModule.createTextEvents(request)) {
+                onEvent(event);
+                await delay(MOCK_EVENT_INTERVAL, signal);
+            }
+            return null;
+        },
+
+        async rewriteSlide(request, config, { signal } = {}) {
+            await delay(MOCK_LATENCY, signal);
+            return MockAIModule.createRewriteResponse(request);
+        },
+
+        async generateImages(request, config, { signal } = {}) {
+            await delay(MOCK_LATENCY, signal);
+            return MockAIModule.createImageResponse(request);
+        },
+
+        async createVariations(request, config, { signal } = {}) {
+            await delay(MOCK_LATENCY, signal);
+            return MockAIModule.createImageResponse(request);
+        },
+
+        async publish({ payload }, config, { signal } = {}) {
+            await delay(MOCK_LATENCY, signal);
+            return MockAIModule.createPublishResponse(payload);
+        }
+    };
+
+    const PROVIDERS = { n8n, openai, mock };
+
+    function listProviders(operation) {
+        return Object.entries(PROVIDERS)
+            .filter(([, provider]) => provider.operations.includes(operation))
+            .map(([id, provider]) => ({ id, name: provider.name }));
+    }
+
+    // `id` overrides the configured choice; unknown or unsupporting providers fall back to n8n
+    function getProvider(operation, config, id = null) {
+        const choice = id || config.providers?.[operation];
+        const provider = PROVIDERS[choice];
+        return provider && provider.operations.includes(operation) ? provider : PROVIDERS[DEFAULT_PROVIDER];
+    }
+
+    return { OPERATIONS, DEFAULT_PROVIDER, listProviders, getProvider };
+})();
@@ -0,0 +1,139 @@
+/**
+ * Render Pool Module - Renders slides in parallel on Web Workers
+ *
+ * Falls back to rendering on the page, one slide at a time, where workers or
+ * OffscreenCanvas are unavailable (older browsers, pages opened from file://).
+ */
+const RenderPoolModule = (function() {
+    'use strict';
+
+    const WORKER_URL = 'js/render-worker.js';
+    const MAX_WORKERS = 4;
+
+    let useWorkers = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+    let workers = null;
+    let pageBusy = false;
+    let nextJobId = 0;
+    const queue = [];
+
+    function createAbortError() {
+        return new DOMException('Rendering cancelled', 'AbortError');
+    }
+
+    function createWorker() {
+        const entry = { worker: new Worker(WORKER_URL), job: null };
+        entry.worker.onmessage = e => finishJob(entry, e.data);
+        entry.worker.onerror = e => {
+            e.preventDefault();
+            stopWorkers();
+        };
+        return entry;
+    }
+
+    // Leave a core for the page itself
+    function startWorkers() {
+        const size = Math.max(1, Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1));
+        workers = [];
+        try {
+            for (let i = 0; i < size; i++) workers.push(createWorker());
+        } catch (e) {
+            stopWorkers();
+        }
+    }
+
+    // A worker that fails to load or crashes moves rendering to the page for good; its job is queued again
+    function stopWorkers() {
+        useWorkers = false;
+        (workers || []).forEach(entry => {
+            entry.worker.terminate();
+            if (entry.job) queue.unshift(entry.job);
+        });
+        workers = null;
+        pump();
+    }
+
+    function finishJob(entry, { id, blob, error }) {
+        const job = entry.job;
+        entry.job = null;
+        if (job && job.id === id) {
+            if (error) job.reject(new Error(error));
+            else job.resolve(blob);
+        }
+        pump();
+    }
+
+    async function runOnPage() {
+        if (pageBusy) return;
+        pageBusy = true;
+        while (queue.length) {
+            const job = queue.shift();
+            try {
+                job.resolve(await CanvasModule.renderSlide(job.slide, job.settings, job.logoSettings));
+            } catch (e) {
+                job.reject(e);
+            }
+            // Let the page paint finished slides and handle a cancel click between renders
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        pageBusy = false;
+    }
+
+    function pump() {
+        if (useWorkers && !workers) startWorkers();
+        if (!useWorkers) {
+            runOnPage();
+            return;
+        }
+        workers.forEach(entry => {
+            if (entry.job || !queue.length) return;
+            const job = queue.shift();
+            const { id, slide, settings, logoSettings } = job;
+            try {
+                entry.worker.postMessage({ id, slide, settings, logoSettings });
+                entry.job = job;
+            } catch (e) {
+                job.reject(e);
+            }
+        });
+    }
+
+    async function renderBlob(slide, settings, logoSettings, signal) {
+        if (signal?.aborted) throw createAbortError();
+        // Workers cannot decode SVG, so vector artwork is turned into PNG on the page first
+        if (useWorkers) ({ slide, settings, logoSettings } = await CanvasModule.rasterizeSources(slide, settings, logoSettings));
+        if (signal?.aborted) throw createAbortError();
+        return new Promise((resolve, reject) => {
+            const job = { id: ++nextJobId, slide, settings, logoSettings, resolve, reject };
+            // Queued jobs are dropped; a job already on a worker finishes there and is ignored
+            signal?.addEventListener('abort', () => {
+                const index = queue.indexOf(job);
+                if (index !== -1) queue.splice(index, 1);
+                reject(createAbortError());
+            }, { once: true });
+            queue.push(job);
+            pump();
+        });
+    }
+
+    async function renderSlide(slide, settings, logoSettings = null, signal = null) {
+        const image = await CanvasModule.blobToDataUrl(await renderBlob(slide, settings, logoSettings, signal));
+        if (signal?.aborted) throw createAbortError();
+        return image;
+    }
+
+    /**
+     * Render slides in parallel and resolve with their data URLs in slide order.
+     * `onSlide(index, image, done)` fires as each slide finishes, in any order.
+     * Aborting `signal` rejects with an AbortError.
+     */
+    function renderSlides(slides, settings, logoSettings = null, { signal = null, onSlide = null } = {}) {
+        let done = 0;
+        return Promise.all(slides.map(async (slide, index) => {
+            const image = await renderSlide(slide, settings, logoSettings, signal);
+            if (onSlide) onSlide(index, image, ++done);
+            return image;
+        }));
+    }
+
+    return { renderSlide, renderSlides };
+})();
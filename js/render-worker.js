@@ -0,0 +1,18 @@
+/**
+ * Render Worker - Draws slides on an OffscreenCanvas for RenderPoolModule
+ *
+ * Messages in are `{ id, slide, settings, logoSettings }`; each answer is
+ * `{ id, blob }` or `{ id, error }`. Decoded images stay cached in this
+ * worker's CanvasModule between jobs.
+ */
+importScripts('text-layout.js', 'templates.js', 'canvas.js');
+
+self.onmessage = async e => {
+    const { id, slide, settings, logoSettings } = e.data;
+    try {
+        const blob = await CanvasModule.renderSlide(slide, settings, logoSettings);
+        self.postMessage({ id, blob });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || 'Failed to render slide' });
+    }
+};
@@ -0,0 +1,56 @@
+/**
+ * Saved List Module - Named records kept in browser storage
+ *
+ * Hashtag groups and prompt presets are lists of `{ id, name, ... }` under
+ * one localStorage key each. Saving under a name that is already taken (in
+ * any case) replaces that record and keeps its id.
+ */
+const SavedListModule = (function() {
+    'use strict';
+
+    /**
+     * A list stored under `key`. `label` names the list in the error shown
+     * when storage is full ("Hashtag groups"), `defaultName` stands in for a
+     * blank name and `normalize` tidies each record as it is read or saved.
+     */
+    function create(key, { label, defaultName, normalize = record => record }) {
+        function read() {
+            try {
+                const stored = localStorage.getItem(key);
+                return stored ? JSON.parse(stored) : [];
+            } catch (e) {
+                return [];
+            }
+        }
+
+        function write(records) {
+            try {
+                localStorage.setItem(key, JSON.stringify(records));
+            } catch (e) {
+                throw new Error(`${label} could not be saved. Browser storage is full or disabled.`);
+            }
+        }
+
+        function list() {
+            return read().map(normalize);
+        }
+
+        function save(name, fields) {
+            const record = normalize({ id: ProjectModule.generateId(), name: String(name || '').trim() || defaultName, ...fields });
+            const records = read();
+            const index = records.findIndex(r => r.name.toLowerCase() === record.name.toLowerCase());
+            if (index === -1) records.push(record);
+            else records[index] = { ...record, id: records[index].id };
+            write(records);
+            return index === -1 ? record : records[index];
+        }
+
+        function remove(id) {
+            write(read().filter(r => r.id !== id));
+        }
+
+        return { list, save, remove };
+    }
+
+    return { create };
+})();
@@ -0,0 +1,778 @@
+/**
+ * Source Module - Reads files, pasted text and URLs into generation sources
+ *
+ * A source is `{ id, kind, name, type, size, text, data, url, pages, pagesRead,
+ * warnings }`. `kind` is 'file', 'text' or 'url'. Text files, Word documents
+ * and PDFs with a text layer are read in the browser and keep only their
+ * `text`. Images and PDFs without readable text keep their bytes as a data URL
+ * in `data`. URL sources only carry the address; the text webhook fetches the
+ * page itself. Sources saved before this module existed have no `kind` and
+ * are treated as files.
+ */
+const SourceModule = (function() {
+    'use strict';
+
+    const LIMITS = {
+        // Largest file that is read at all
+        fileBytes: 25 * 1024 * 1024,
+        // Largest file sent as raw bytes when no text can be taken from it
+        inlineBytes: 10 * 1024 * 1024,
+        // PDF pages read; later pages are left out
+        pdfPages: 30,
+        // Characters of text kept per source
+        characters: 60000
+    };
+
+    const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+    function formatCount(n) {
+        return Number(n).toLocaleString('en-US');
+    }
+
+    function getFormat(file) {
+        const name = (file.name || '').toLowerCase();
+        const type = file.type || '';
+        if (type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+        if (type === DOCX_TYPE || name.endsWith('.docx')) return 'docx';
+        if (/\.(txt|md|markdown)$/.test(name) || type === 'text/plain' || type === 'text/markdown') return 'text';
+        if (type.startsWith('image/')) return 'image';
+        return null;
+    }
+
+    function isSupported(file) {
+        return getFormat(file) !== null;
+    }
+
+    function createSource(fields) {
+        return { id: ProjectModule.generateId(), kind: 'file', name: '', type: '', size: 0, text: null, data: null, url: null, pages: null, pagesRead: null, warnings: [], ...fields };
+    }
+
+    // Collapse runs of blank lines and spaces, and cut to the character limit
+    function cleanText(text) {
+        const clean = String(text || '')
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t\u00A0]+\n/g, '\n')
+            .replace(/[ \t\u00A0]{2,}/g, ' ')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+        return clean.length > LIMITS.characters
+            ? { text: clean.slice(0, LIMITS.characters), truncated: true }
+            : { text: clean, truncated: false };
+    }
+
+    function truncationWarning() {
+        return `Only the first ${formatCount(LIMITS.characters)} characters are used.`;
+    }
+
+    function readDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    function readBytes(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(new Uint8Array(e.target.result));
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Inflate zlib ('deflate') or raw ('deflate-raw') data. Streams in real
+     * PDFs often end with stray bytes after the compressed data; what was
+     * inflated up to that point is kept.
+     */
+    async function inflate(bytes, format) {
+        const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+        const chunks = [];
+        let length = 0;
+        try {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                length += value.length;
+            }
+        } catch (e) {
+            if (!length) throw e;
+        }
+        const out = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return out;
+    }
+
+    // One character per byte, so byte offsets and string offsets match
+    function toBinaryString(bytes) {
+        let out = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        return out;
+    }
+
+    // ---- Word documents (.docx) ----
+
+    function readUint16(bytes, offset) {
+        return bytes[offset] | (bytes[offset + 1] << 8);
+    }
+
+    function readUint32(bytes, offset) {
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    }
+
+    // Find one entry through the ZIP's central directory and return its uncompressed bytes
+    async function readZipEntry(bytes, entryName) {
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (readUint32(bytes, i) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) throw new Error('not a ZIP archive');
+
+        const decoder = new TextDecoder();
+        const count = readUint16(bytes, end + 10);
+        let offset = readUint32(bytes, end + 16);
+        for (let n = 0; n < count && readUint32(bytes, offset) === 0x02014B50; n++) {
+            const method = readUint16(bytes, offset + 10);
+            const compressedSize = readUint32(bytes, offset + 20);
+            const nameLength = readUint16(bytes, offset + 28);
+            const headerOffset = readUint32(bytes, offset + 42);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + readUint16(bytes, offset + 30) + readUint16(bytes, offset + 32);
+            if (name !== entryName) continue;
+
+            const start = headerOffset + 30 + readUint16(bytes, headerOffset + 26) + readUint16(bytes, headerOffset + 28);
+            const data = bytes.subarray(start, start + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return inflate(data, 'deflate-raw');
+            throw new Error(`unsupported compression in ${entryName}`);
+        }
+        throw new Error(`${entryName} is missing`);
+    }
+
+    // Paragraphs become lines; tabs and line breaks inside them are kept
+    async function extractDocxText(bytes) {
+        const xml = new TextDecoder().decode(await readZipEntry(bytes, 'word/document.xml'));
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) throw new Error('word/document.xml is not valid XML');
+        let text = '';
+        for (const el of doc.getElementsByTagName('*')) {
+            if (el.localName === 'p') text += '\n';
+            else if (el.localName === 't') text += el.textContent;
+            else if (el.localName === 'tab') text += '\t';
+            else if (el.localName === 'br' || el.localName === 'cr') text += '\n';
+        }
+        return text;
+    }
+
+    // ---- PDF text layer ----
+    //
+    // Enough of PDF to read the text of ordinary documents: plain and
+    // FlateDecode streams, compressed object streams, ToUnicode maps and form
+    // XObjects. Encrypted files and fonts without a usable encoding give no
+    // text, and the caller falls back to sending the file itself.
+
+    const PDF_DELIMITERS = '()<>[]{}/%';
+    const PDF_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+    // WinAnsi codes that differ from Latin-1
+    const WIN_ANSI = { 0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™' };
+
+    // Glyph names used in /Differences encodings, for fonts without a ToUnicode map
+    const GLYPHS = {
+        space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&', quotesingle: '\'',
+        parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/',
+        zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+        colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?', at: '@', underscore: '_',
+        quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”', endash: '–', emdash: '—',
+        bullet: '•', ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl'
+    };
+
+    function isPdfWhitespace(c) {
+        return c === ' ' || c === '\n' || c === '\r' || c === '\t' || c === '\f' || c === '\0';
+    }
+
+    function readLiteralString(s, i) {
+        let out = '';
+        let depth = 1;
+        for (i++; i < s.length; i++) {
+            const c = s[i];
+            if (c === '\\') {
+                const next = s[++i];
+                if (PDF_ESCAPES[next]) out += PDF_ESCAPES[next];
+                else if (next >= '0' && next <= '7') {
+                    let octal = next;
+                    while (octal.length < 3 && s[i + 1] >= '0' && s[i + 1] <= '7') octal += s[++i];
+                    out += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+                } else if (next === '\r') {
+                    if (s[i + 1] === '\n') i++;
+                } else if (next !== '\n') out += next;
+            } else if (c === '(') {
+                depth++;
+                out += c;
+            } else if (c === ')') {
+                if (--depth === 0) return { value: out, end: i + 1 };
+                out += c;
+            } else out += c;
+        }
+        return { value: out, end: i };
+    }
+
+    /**
+     * Next token of a PDF object or content stream from `lexer.pos`. Strings
+     * come back as byte strings; names without their slash.
+     */
+    function nextToken(lexer) {
+        const s = lexer.s;
+        let i = lexer.pos;
+        for (;;) {
+            while (i < s.length && isPdfWhitespace(s[i])) i++;
+            if (s[i] !== '%') break;
+            while (i < s.length && s[i] !== '\n' && s[i] !== '\r') i++;
+        }
+        if (i >= s.length) {
+            lexer.pos = i;
+            return null;
+        }
+
+        const c = s[i];
+        if (c === '(') {
+            const { value, end } = readLiteralString(s, i);
+            lexer.pos = end;
+            return { type: 'string', value };
+        }
+        if (c === '<' && s[i + 1] === '<') {
+            lexer.pos = i + 2;
+            return { type: '<<' };
+        }
+        if (c === '>' && s[i + 1] === '>') {
+            lexer.pos = i + 2;
+            return { type: '>>' };
+        }
+        if (c === '<') {
+            const end = s.indexOf('>', i);
+            const hex = s.slice(i + 1, end === -1 ? s.length : end).replace(/[^0-9a-fA-F]/g, '');
+            let value = '';
+            for (let j = 0; j < hex.length; j += 2) value += String.fromCharCode(parseInt(hex.substr(j, 2).padEnd(2, '0'), 16));
+            lexer.pos = end === -1 ? s.length : end + 1;
+            return { type: 'string', value };
+        }
+        if (c === '[' || c === ']' || c === '{' || c === '}' || c === '>') {
+            lexer.pos = i + 1;
+            return { type: c };
+        }
+
+        let j = i + 1;
+        while (j < s.length && !isPdfWhitespace(s[j]) && !PDF_DELIMITERS.includes(s[j])) j++;
+        lexer.pos = j;
+        if (c === '/') return { type: 'name', value: s.slice(i + 1, j).replace(/#([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))) };
+        const word = s.slice(i, j);
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: 'number', value: parseFloat(word) };
+        return { type: 'keyword', value: word };
+    }
+
+    /**
+     * Parse one PDF value. Dictionaries become objects, arrays arrays, names
+     * '/Name' strings, strings `{ string }` and references `{ ref }`.
+     */
+    function parseValue(lexer, token = nextToken(lexer)) {
+        if (!token) return null;
+        if (token.type === '<<') {
+            const dict = {};
+            for (;;) {
+                const key = nextToken(lexer);
+                if (!key || key.type === '>>') return dict;
+                if (key.type === 'name') dict[key.value] = parseValue(lexer);
+            }
+        }
+        if (token.type === '[') {
+            const array = [];
+            for (;;) {
+                const item = nextToken(lexer);
+                if (!item || item.type === ']') return array;
+                array.push(parseValue(lexer, item));
+            }
+        }
+        if (token.type === 'number') {
+            // "12 0 R" is a reference
+            const start = lexer.pos;
+            const generation = nextToken(lexer);
+            if (generation?.type === 'number' && Number.isInteger(token.value)) {
+                const keyword = nextToken(lexer);
+                if (keyword?.type === 'keyword' && keyword.value === 'R') return { ref: token.value };
+            }
+            lexer.pos = start;
+            return token.value;
+        }
+        if (token.type === 'name') return `/${token.value}`;
+        if (token.type === 'string') return { string: token.value };
+        if (token.type === 'keyword') return token.value === 'true' ? true : token.value === 'false' ? false : token.value === 'null' ? null : { keyword: token.value };
+        return null;
+    }
+
+    function getFilters(dict) {
+        return [].concat(dict.Filter || []);
+    }
+
+    // The decoded bytes of a stream, or null for filters this reader does not handle
+    async function decodeStream(stream) {
+        const filters = getFilters(stream.dict);
+        if (filters.length === 0) return stream.bytes;
+        if (filters.length === 1 && (filters[0] === '/FlateDecode' || filters[0] === '/Fl')) {
+            const predictor = [].concat(stream.dict.DecodeParms || [])[0]?.Predictor;
+            if (predictor > 1) return null;
+            try {
+                return await inflate(stream.bytes, 'deflate');
+            } catch (e) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    // Every `N G obj` in the file, later definitions (incremental updates) winning
+    function parsePdfObjects(s, bytes) {
+        const objects = new Map();
+        const pattern = /(\d+)\s+\d+\s+obj\b/g;
+        let match;
+        while ((match = pattern.exec(s))) {
+            const lexer = { s, pos: pattern.lastIndex };
+            const value = parseValue(lexer);
+            const object = { value, stream: null };
+            const start = lexer.pos;
+            const token = nextToken(lexer);
+            if (token?.type === 'keyword' && token.value === 'stream' && value && typeof value === 'object') {
+                let dataStart = lexer.pos;
+                if (s[dataStart] === '\r') dataStart++;
+                if (s[dataStart] === '\n') dataStart++;
+                let dataEnd = typeof value.Length === 'number' ? dataStart + value.Length : -1;
+                if (dataEnd < dataStart || s.slice(dataEnd, dataEnd + 20).trim().indexOf('endstream') !== 0) {
+                    dataEnd = s.indexOf('endstream', dataStart);
+                    if (dataEnd === -1) dataEnd = s.length;
+                    if (s[dataEnd - 1] === '\n') dataEnd--;
+                    if (s[dataEnd - 1] === '\r') dataEnd--;
+                }
+                object.stream = { dict: value, bytes: bytes.subarray(dataStart, dataEnd) };
+                pattern.lastIndex = dataEnd;
+            } else {
+                pattern.lastIndex = start;
+            }
+            objects.set(parseInt(match[1]), object);
+        }
+        return objects;
+    }
+
+    // Objects packed into /ObjStm streams fill in numbers not defined at the top level
+    async function unpackObjectStreams(objects) {
+        const streams = [...objects.values()].filter(o => o.stream && o.value.Type === '/ObjStm');
+        for (const object of streams) {
+            const data = await decodeStream(object.stream);
+            if (!data) continue;
+            const s = toBinaryString(data);
+            const lexer = { s, pos: 0 };
+            const entries = [];
+            for (let i = 0; i < (object.value.N || 0); i++) {
+                const number = nextToken(lexer);
+                const offset = nextToken(lexer);
+                if (number?.type !== 'number' || offset?.type !== 'number') break;
+                entries.push([number.value, offset.value]);
+            }
+            entries.forEach(([number, offset]) => {
+                if (objects.has(number)) return;
+                objects.set(number, { value: parseValue({ s, pos: (object.value.First || 0) + offset }), stream: null });
+            });
+        }
+    }
+
+    function createPdfReader(objects, s) {
+        const resolve = value => {
+            for (let depth = 0; value && typeof value === 'object' && 'ref' in value && depth < 10; depth++) value = objects.get(value.ref)?.value ?? null;
+            return value;
+        };
+        const getStream = value => value && typeof value === 'object' && 'ref' in value ? objects.get(value.ref)?.stream || null : null;
+
+        // The trailer dictionary, or the cross-reference stream's in newer files
+        const findTrailer = () => {
+            const index = s.lastIndexOf('trailer');
+            if (index !== -1) {
+                const trailer = parseValue({ s, pos: index + 7 });
+                if (trailer?.Root) return trailer;
+            }
+            const xref = [...objects.values()].reverse().find(o => o.value?.Type === '/XRef');
+            return xref ? xref.value : {};
+        };
+
+        return { resolve, getStream, findTrailer };
+    }
+
+    // Pages in reading order, each with the resources it inherits
+    function listPages(reader, objects) {
+        const trailer = reader.findTrailer();
+        const root = reader.resolve(trailer.Root) || [...objects.values()].map(o => o.value).find(v => v?.Type === '/Catalog');
+        const pages = [];
+        const seen = new Set();
+        const walk = (node, inherited) => {
+            const dict = reader.resolve(node);
+            if (!dict || typeof dict !== 'object' || seen.has(dict)) return;
+            seen.add(dict);
+            const resources = dict.Resources ? reader.resolve(dict.Resources) : inherited;
+            if (Array.isArray(dict.Kids)) dict.Kids.forEach(kid => walk(kid, resources));
+            else if (dict.Type === '/Page' || dict.Contents) pages.push({ dict, resources });
+        };
+        if (root?.Pages) walk(root.Pages, null);
+        if (pages.length) return pages;
+        return [...objects.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .filter(([, o]) => o.value?.Type === '/Page')
+            .map(([, o]) => ({ dict: o.value, resources: reader.resolve(o.value.Resources) }));
+    }
+
+    function decodeUtf16(bytes) {
+        let out = '';
+        for (let i = 0; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+        return out;
+    }
+
+    function toCode(bytes) {
+        let code = 0;
+        for (let i = 0; i < bytes.length; i++) code = code * 256 + bytes.charCodeAt(i);
+        return code;
+    }
+
+    // A ToUnicode CMap as { width, chars: Map(code -> text), ranges: [{ low, high, text | list }] }
+    function parseCMap(s) {
+        const cmap = { width: 0, chars: new Map(), ranges: [] };
+        const lexer = { s, pos: 0 };
+        let section = null;
+        let operands = [];
+        for (let token = nextToken(lexer); token; token = nextToken(lexer)) {
+            if (token.type === 'keyword') {
+                if (/^begin(codespacerange|bfchar|bfrange)$/.test(token.value)) section = token.value.slice(5);
+                else if (/^end(codespacerange|bfchar|bfrange)$/.test(token.value)) section = null;
+                operands = [];
+                continue;
+            }
+            if (!section) continue;
+            operands.push(token.type === '[' ? parseValue(lexer, token) : token.value);
+            if (section === 'codespacerange' && operands.length === 2) {
+                cmap.width = Math.max(cmap.width, operands[0].length);
+                operands = [];
+            } else if (section === 'bfchar' && operands.length === 2) {
+                cmap.width = cmap.width || operands[0].length;
+                cmap.chars.set(toCode(operands[0]), decodeUtf16(operands[1]));
+                operands = [];
+            } else if (section === 'bfrange' && operands.length === 3) {
+                cmap.width = cmap.width || operands[0].length;
+                const [low, high, target] = operands;
+                cmap.ranges.push(Array.isArray(target)
+                    ? { low: toCode(low), high: toCode(high), list: target.map(t => decodeUtf16(t?.string || '')) }
+                    : { low: toCode(low), high: toCode(high), text: target });
+                operands = [];
+            }
+        }
+        return cmap;
+    }
+
+    function lookupCMap(cmap, code) {
+        if (cmap.chars.has(code)) return cmap.chars.get(code);
+        const range = cmap.ranges.find(r => code >= r.low && code <= r.high);
+        if (!range) return '';
+        if (range.list) return range.list[code - range.low] || '';
+        // The last byte of the target counts up through the range
+        const target = decodeUtf16(range.text);
+        return target.slice(0, -1) + String.fromCharCode(target.charCodeAt(target.length - 1) + code - range.low);
+    }
+
+    // A function from a shown string's bytes to text for one font
+    async function createFontDecoder(reader, font) {
+        const toUnicode = reader.getStream(font?.ToUnicode);
+        if (toUnicode) {
+            const data = await decodeStream(toUnicode);
+            if (data) {
+                const cmap = parseCMap(toBinaryString(data));
+                const width = cmap.width || (font.Subtype === '/Type0' ? 2 : 1);
+                return bytes => {
+                    let out = '';
+                    for (let i = 0; i + width <= bytes.length; i += width) out += lookupCMap(cmap, toCode(bytes.substr(i, width)));
+                    return out;
+                };
+            }
+        }
+        // Composite fonts without a map only give glyph ids
+        if (font?.Subtype === '/Type0') return () => '';
+
+        const differences = new Map();
+        const encoding = reader.resolve(font?.Encoding);
+        if (Array.isArray(encoding?.Differences)) {
+            let code = 0;
+            encoding.Differences.forEach(item => {
+                if (typeof item === 'number') code = item;
+                else if (typeof item === 'string') {
+                    const name = item.slice(1);
+                    const text = GLYPHS[name] || (name.length === 1 ? name : /^uni[0-9A-F]{4}$/.test(name) ? String.fromCharCode(parseInt(name.slice(3), 16)) : null);
+                    if (text !== null) differences.set(code, text);
+                    code++;
+                }
+            });
+        }
+        return bytes => {
+            let out = '';
+            for (let i = 0; i < bytes.length; i++) {
+                const code = bytes.charCodeAt(i);
+                out += differences.get(code) ?? WIN_ANSI[code] ?? (code >= 32 ? String.fromCharCode(code) : '');
+            }
+            return out;
+        };
+    }
+
+    // Collects shown text line by line; positioning operators decide where lines and spaces go
+    function createTextWriter() {
+        const lines = [''];
+        const last = () => lines[lines.length - 1];
+        return {
+            write(text) {
+                if (text) lines[lines.length - 1] += text;
+            },
+            space() {
+                if (last() && !/\s$/.test(last())) lines[lines.length - 1] += ' ';
+            },
+            newline() {
+                if (last().trim()) lines.push('');
+            },
+            toString() {
+                return lines.map(line => line.trim()).join('\n');
+            }
+        };
+    }
+
+    async function readContentStream(reader, content, resources, writer, fontCache, depth = 0) {
+        const fonts = reader.resolve(resources?.Font) || {};
+        const xobjects = reader.resolve(resources?.XObject) || {};
+        const decoders = new Map();
+        const getDecoder = async name => {
+            if (!decoders.has(name)) {
+                const ref = fonts[name];
+                const key = ref?.ref ?? ref;
+                if (!fontCache.has(key)) fontCache.set(key, await createFontDecoder(reader, reader.resolve(ref)));
+                decoders.set(name, fontCache.get(key));
+            }
+            return decoders.get(name);
+        };
+
+        const lexer = { s: content, pos: 0 };
+        let decode = null;
+        let lastY = null;
+        let operands = [];
+        const show = item => {
+            if (decode && item?.string !== undefined) writer.write(decode(item.string));
+        };
+
+        for (let token = nextToken(lexer); token; token = nextToken(lexer)) {
+            if (token.type !== 'keyword') {
+                operands.push(parseValue(lexer, token));
+                continue;
+            }
+            switch (token.value) {
+                case 'Tf':
+                    decode = typeof operands[0] === 'string' ? await getDecoder(operands[0].slice(1)) : null;
+                    break;
+                case 'Tj':
+                    show(operands[0]);
+                    break;
+                case '\'':
+                    writer.newline();
+                    show(operands[0]);
+                    break;
+                case '"':
+                    writer.newline();
+                    show(operands[2]);
+                    break;
+                case 'TJ':
+                    // Large negative adjustments are the gaps between words
+                    (Array.isArray(operands[0]) ? operands[0] : []).forEach(item => {
+                        if (typeof item === 'number') {
+                            if (item < -180) writer.space();
+                        } else show(item);
+                    });
+                    break;
+                case 'Td':
+                case 'TD':
+                    if (operands[1]) writer.newline();
+                    else if (operands[0] > 0) writer.space();
+                    break;
+                case 'T*':
+                    writer.newline();
+                    break;
+                case 'Tm':
+                    if (lastY !== null && Math.abs(operands[5] - lastY) > 1) writer.newline();
+                    else writer.space();
+                    lastY = operands[5];
+                    break;
+                case 'BT':
+                    lastY = null;
+                    break;
+                case 'ET':
+                    writer.space();
+                    break;
+                case 'BI': {
+                    // Inline image data is binary; skip to its end marker
+                    const end = content.slice(lexer.pos).search(/\sEI(?=\s|$)/);
+                    lexer.pos = end === -1 ? content.length : lexer.pos + end + 3;
+                    break;
+                }
+                case 'Do': {
+                    const ref = typeof operands[0] === 'string' ? xobjects[operands[0].slice(1)] : null;
+                    const stream = reader.getStream(ref);
+                    if (stream && stream.dict.Subtype === '/Form' && depth < 5) {
+                        const data = await decodeStream(stream);
+                        const formResources = stream.dict.Resources ? reader.resolve(stream.dict.Resources) : resources;
+                        if (data) await readContentStream(reader, toBinaryString(data), formResources, writer, fontCache, depth + 1);
+                    }
+                    break;
+                }
+            }
+            operands = [];
+        }
+    }
+
+    /**
+     * Read the text layer of up to `maxPages` pages. Resolves with
+     * `{ text, pages, pagesRead }`; throws for encrypted or unreadable files.
+     */
+    async function extractPdfText(bytes, maxPages = LIMITS.pdfPages) {
+        const s = toBinaryString(bytes);
+        if (s.slice(0, 1024).indexOf('%PDF-') === -1) throw new Error('not a PDF file');
+        const objects = parsePdfObjects(s, bytes);
+        await unpackObjectStreams(objects);
+        const reader = createPdfReader(objects, s);
+        if (reader.findTrailer().Encrypt) throw new Error('the PDF is encrypted');
+
+        const pages = listPages(reader, objects);
+        if (!pages.length) throw new Error('no pages found');
+        const fontCache = new Map();
+        const texts = [];
+        for (const page of pages.slice(0, maxPages)) {
+            const writer = createTextWriter();
+            const contents = [].concat(page.dict.Contents || []);
+            let content = '';
+            for (const ref of contents) {
+                const stream = reader.getStream(ref);
+                const data = stream && await decodeStream(stream);
+                if (data) content += toBinaryString(data) + '\n';
+            }
+            await readContentStream(reader, content, page.resources, writer, fontCache);
+            texts.push(writer.toString());
+        }
+        return { text: texts.join('\n\n'), pages: pages.length, pagesRead: texts.length };
+    }
+
+    // ---- Sources ----
+
+    async function readPdf(file) {
+        const source = createSource({ name: file.name, type: 'application/pdf', size: file.size });
+        let failure = 'no text layer was found (scanned pages?)';
+        try {
+            const result = await extractPdfText(await readBytes(file));
+            const { text, truncated } = cleanText(result.text);
+            source.pages = result.pages;
+            source.pagesRead = result.pagesRead;
+            if (text) {
+                source.text = text;
+                if (result.pagesRead < result.pages) source.warnings.push(`Only the first ${result.pagesRead} of ${result.pages} pages are read.`);
+                if (truncated) source.warnings.push(truncationWarning());
+                return source;
+            }
+        } catch (e) {
+            failure = `its text could not be read: ${e.message}`;
+        }
+        if (file.size > LIMITS.inlineBytes) {
+            throw new Error(`${file.name}: ${failure}, and at ${(file.size / 1048576).toFixed(1)} MB it is too large to send as a file (limit ${LIMITS.inlineBytes / 1048576} MB).`);
+        }
+        source.data = await readDataUrl(file);
+        source.warnings.push(`Sent as a file: ${failure}.`);
+        return source;
+    }
+
+    async function readTextDocument(file, format) {
+        let raw;
+        try {
+            raw = format === 'docx' ? await extractDocxText(await readBytes(file)) : new TextDecoder().decode(await readBytes(file));
+        } catch (e) {
+            throw new Error(`${file.name} could not be read: ${e.message}.`);
+        }
+        const { text, truncated } = cleanText(raw);
+        if (!text) throw new Error(`${file.name} has no text.`);
+        const type = format === 'docx' ? DOCX_TYPE : /\.(md|markdown)$/i.test(file.name) ? 'text/markdown' : 'text/plain';
+        return createSource({ name: file.name, type, size: file.size, text, warnings: truncated ? [truncationWarning()] : [] });
+    }
+
+    /**
+     * Turn an uploaded file into a source. PDFs, Word documents and text
+     * files keep their text; images keep their bytes.
+     */
+    async function readFile(file) {
+        const format = getFormat(file);
+        if (!format) throw new Error(`${file.name} is not a supported file type. Use PDF, Word (.docx), TXT, Markdown or an image.`);
+        if (file.size > LIMITS.fileBytes) throw new Error(`${file.name} is larger than ${LIMITS.fileBytes / 1048576} MB.`);
+        if (format === 'pdf') return readPdf(file);
+        if (format === 'image') {
+            if (file.size > LIMITS.inlineBytes) throw new Error(`${file.name} is larger than ${LIMITS.inlineBytes / 1048576} MB. Use a smaller image.`);
+            return createSource({ name: file.name, type: file.type, size: file.size, data: await readDataUrl(file) });
+        }
+        return readTextDocument(file, format);
+    }
+
+    // Untitled text is named after its first line
+    function createTextSource(text, title = '') {
+        const { text: clean, truncated } = cleanText(text);
+        if (!clean) throw new Error('Paste some text first.');
+        const firstLine = clean.split('\n')[0].replace(/^#+\s*/, '');
+        const name = String(title || '').trim() || (firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine);
+        return createSource({ kind: 'text', name, type: 'text/plain', size: new TextEncoder().encode(clean).length, text: clean, warnings: truncated ? [truncationWarning()] : [] });
+    }
+
+    function createUrlSource(address) {
+        let url;
+        try {
+            url = new URL(String(address || '').trim());
+        } catch (e) {
+            url = null;
+        }
+        if (!url || !/^https?:$/.test(url.protocol)) throw new Error('Enter a full web address starting with http:// or https://.');
+        const name = `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}`;
+        return createSource({ kind: 'url', name, type: 'text/uri-list', url: url.href });
+    }
+
+    /**
+     * The request entry for a source: `{ kind, name, type }` plus `text`,
+     * `url` or, when there is nothing better, the file's `data` URL.
+     */
+    function toPayload(source) {
+        const kind = source.kind || 'file';
+        const entry = { kind, name: source.name, type: source.type };
+        if (kind === 'url') entry.url = source.url;
+        else if (source.text) entry.text = source.text;
+        else entry.data = source.data;
+        if (source.pages) entry.pages = source.pages;
+        return entry;
+    }
+
+    // A short plain-text excerpt for the sources list
+    function getPreview(source, length = 160) {
+        if (source.kind === 'url') return source.url;
+        const text = (source.text || '').replace(/\s+/g, ' ').trim();
+        return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+    }
+
+    return { LIMITS, isSupported, readFile, createTextSource, createUrlSource, toPayload, getPreview, extractPdfText, extractDocxText };
+})();
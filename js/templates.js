@@ -0,0 +1,153 @@
+/**
+ * Template Module - Declarative slide layouts rendered by CanvasModule
+ *
+ * A template lists the slots a slide fills in and the layers drawn from
+ * bottom to top. Boxes (x, y, width, height) are fractions of the canvas so
+ * every template works in any output format; a text layer without a box uses
+ * the padded safe area. Colors may be literal or one of the tokens `text`,
+ * `highlight` and `background`, which resolve from the slide and settings.
+ *
+ * Layer types:
+ *   background - slide color, gradient, pattern or image, with an optional black `scrim` over
+ *                images that the slide's `backgroundStyle` overlay settings can recolor or
+ *                replace; a panorama in the settings takes the place of every slide's background
+ *   rect       - `fill` or two-stop vertical `gradient`, optional `radius` and `opacity`;
+ *                `follows` names a slot whose text box it moves and scales with
+ *   image      - image slot drawn into its box with `fit` cover or contain
+ *   text       - a `slot` and/or `content` ("{{value}}" = slot text, "{{number}}" = slide number)
+ *                with `fontScale` (x global font size), `font` ('heading' for the heading font),
+ *                `align`, `valign`, `color`, `autoFit`, `shadow`; `fontFamily`, `fontWeight` and
+ *                `fontSize` (1080px units) give a box its own type instead of the global settings
+ *   logo       - the project logo, if enabled
+ *
+ * The `text` slot is the slide's main text and is stored on `slide.text`; all
+ * other slots live in `slide.slots`. Any layer with `when` is skipped while that
+ * slot is empty.
+ *
+ * Slides may carry `positions`: boxes keyed by text slot or `logo`, set by
+ * dragging in the layout editor, that replace the template's placement.
+ * Carousel chrome (page counter, progress bar, swipe hint, footer) from the
+ * settings is drawn over every template; `slide.chrome` hides parts of it.
+ *
+ * `slide.altText` describes the slide for screen readers when it is posted or
+ * exported; while it is empty the text slots stand in for it.
+ */
+const TemplateModule = (function() {
+    'use strict';
+
+    const DEFAULT_TEMPLATE = 'classic';
+
+    const TEMPLATES = {
+        classic: {
+            name: 'Classic',
+            slots: [{ id: 'text', type: 'text', label: 'Text Content' }],
+            layers: [
+                { type: 'background', scrim: 0.3 },
+                { type: 'text', slot: 'text' },
+                { type: 'logo' }
+            ]
+        },
+        title: {
+            name: 'Title slide',
+            slots: [
+                { id: 'text', type: 'text', label: 'Headline' },
+                { id: 'subtitle', type: 'text', label: 'Subtitle' }
+            ],
+            layers: [
+                { type: 'background', scrim: 0.2 },
+                { type: 'rect', x: 0, y: 0.45, width: 1, height: 0.55, gradient: ['rgba(0, 0, 0, 0)', 'rgba(0, 0, 0, 0.6)'] },
+                { type: 'rect', x: 0.074, y: 0.34, width: 0.12, height: 0.01, fill: 'highlight' },
+                { type: 'text', slot: 'text', x: 0.074, y: 0.37, width: 0.852, height: 0.33, fontScale: 1.4, font: 'heading', align: 'left', valign: 'top' },
+                { type: 'text', slot: 'subtitle', x: 0.074, y: 0.72, width: 0.852, height: 0.14, fontScale: 0.55, align: 'left', valign: 'top', color: 'highlight', autoFit: true },
+                { type: 'logo' }
+            ]
+        },
+        quote: {
+            name: 'Quote',
+            slots: [
+                { id: 'text', type: 'text', label: 'Quote' },
+                { id: 'author', type: 'text', label: 'Author' }
+            ],
+            layers: [
+                { type: 'background', scrim: 0.4 },
+                { type: 'text', content: '“', x: 0.074, y: 0.08, width: 0.3, height: 0.2, fontScale: 3, font: 'heading', align: 'left', valign: 'top', color: 'highlight', shadow: false },
+                { type: 'text', slot: 'text', x: 0.074, y: 0.28, width: 0.852, height: 0.46, fontScale: 0.9, align: 'left' },
+                { type: 'text', slot: 'author', content: '— {{value}}', x: 0.074, y: 0.78, width: 0.852, height: 0.08, fontScale: 0.5, align: 'left', color: 'highlight', autoFit: true },
+                { type: 'logo' }
+            ]
+        },
+        tip: {
+            name: 'Numbered tip',
+            slots: [
+                { id: 'title', type: 'text', label: 'Tip title' },
+                { id: 'text', type: 'text', label: 'Tip' }
+            ],
+            layers: [
+                { type: 'background', scrim: 0.3 },
+                { type: 'text', content: '{{number}}', x: 0.074, y: 0.08, width: 0.5, height: 0.2, fontScale: 2.2, font: 'heading', align: 'left', valign: 'top', color: 'highlight', shadow: false },
+                { type: 'rect', x: 0.074, y: 0.3, width: 0.852, height: 0.004, fill: 'text', opacity: 0.4 },
+                { type: 'text', slot: 'title', x: 0.074, y: 0.34, width: 0.852, height: 0.16, fontScale: 1, font: 'heading', align: 'left', valign: 'top', autoFit: true },
+                { type: 'text', slot: 'text', x: 0.074, y: 0.52, width: 0.852, height: 0.36, fontScale: 0.7, align: 'left', valign: 'top' },
+                { type: 'logo' }
+            ]
+        },
+        cta: {
+            name: 'Call to action',
+            slots: [
+                { id: 'text', type: 'text', label: 'Headline' },
+                { id: 'button', type: 'text', label: 'Button label' },
+                { id: 'handle', type: 'text', label: 'Handle' }
+            ],
+            layers: [
+                { type: 'background', scrim: 0.3 },
+                { type: 'text', slot: 'text', x: 0.074, y: 0.2, width: 0.852, height: 0.36, fontScale: 1.2, font: 'heading', valign: 'bottom' },
+                { type: 'rect', when: 'button', follows: 'button', x: 0.2, y: 0.62, width: 0.6, height: 0.09, fill: 'highlight', radius: 60 },
+                { type: 'text', slot: 'button', x: 0.22, y: 0.62, width: 0.56, height: 0.09, fontScale: 0.55, align: 'center', color: 'background', shadow: false, autoFit: true },
+                { type: 'text', slot: 'handle', x: 0.074, y: 0.75, width: 0.852, height: 0.07, fontScale: 0.45, align: 'center', autoFit: true },
+                { type: 'logo' }
+            ]
+        },
+        photo: {
+            name: 'Image + text',
+            slots: [
+                { id: 'image', type: 'image', label: 'Photo' },
+                { id: 'text', type: 'text', label: 'Text Content' }
+            ],
+            layers: [
+                { type: 'background', scrim: 0 },
+                { type: 'image', slot: 'image', x: 0.074, y: 0.06, width: 0.852, height: 0.5, fit: 'cover', radius: 24 },
+                { type: 'text', slot: 'text', x: 0.074, y: 0.6, width: 0.852, height: 0.3, fontScale: 0.8 },
+                { type: 'logo' }
+            ]
+        }
+    };
+
+    function getTemplate(id) {
+        return TEMPLATES[id] || TEMPLATES[DEFAULT_TEMPLATE];
+    }
+
+    function listTemplates() {
+        return Object.entries(TEMPLATES).map(([id, template]) => ({ id, name: template.name }));
+    }
+
+    function getSlotValue(slide, slot) {
+        return slot === 'text' ? (slide.text || '') : (slide.slots?.[slot] || '');
+    }
+
+    // The template's text slots in order, one sentence per line of text
+    function getAutoAltText(slide) {
+        return getTemplate(slide.template).slots
+            .filter(slot => slot.type === 'text')
+            .flatMap(slot => TextLayoutModule.toPlainText(getSlotValue(slide, slot.id)).split('\n'))
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .map(text => /[.!?:…]$/.test(text) ? text : `${text}.`)
+            .join(' ');
+    }
+
+    function getAltText(slide) {
+        return String(slide.altText || '').trim() || getAutoAltText(slide);
+    }
+
+    return { DEFAULT_TEMPLATE, getTemplate, listTemplates, getSlotValue, getAutoAltText, getAltText };
+})();
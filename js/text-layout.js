@@ -0,0 +1,186 @@
+/**
+ * Text Layout Module - Slide text markup, mixed-style wrapping and drawing
+ *
+ * Markup: a line starting with "# " is a headline, **text** is bold and
+ * ==text== is drawn in the highlight color. Line breaks are kept as typed.
+ */
+const TextLayoutModule = (function() {
+    'use strict';
+
+    const HEADLINE_SCALE = 1.4;
+    const LINE_HEIGHT = 1.3;
+    // A blank line adds this fraction of a body line between paragraphs
+    const PARAGRAPH_GAP = 0.5;
+    const FONT_FALLBACKS = '"Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif';
+    const HEADLINE_PATTERN = /^#\s+/;
+    const INLINE_PATTERN = /\*\*(.+?)\*\*|==(.+?)==/g;
+
+    // Split on grapheme clusters so emoji sequences and accented letters are never cut in half
+    const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+
+    function toGraphemes(text) {
+        return segmenter ? Array.from(segmenter.segment(text), s => s.segment) : Array.from(text);
+    }
+
+    function hasMarkup(text) {
+        return text.split('\n').some(line => HEADLINE_PATTERN.test(line)) || new RegExp(INLINE_PATTERN.source).test(text);
+    }
+
+    function parseInline(line) {
+        const runs = [];
+        let last = 0;
+        for (const match of line.matchAll(INLINE_PATTERN)) {
+            if (match.index > last) runs.push({ text: line.slice(last, match.index), bold: false, highlight: false });
+            runs.push({ text: match[1] || match[2], bold: match[1] !== undefined, highlight: match[2] !== undefined });
+            last = match.index + match[0].length;
+        }
+        if (last < line.length) runs.push({ text: line.slice(last), bold: false, highlight: false });
+        return runs;
+    }
+
+    /**
+     * Parse slide text into paragraphs of styled runs. Blank lines become
+     * `gap` paragraphs; leading and trailing blank lines are dropped.
+     */
+    function parse(text) {
+        const paragraphs = String(text || '').replace(/\r\n?/g, '\n').split('\n').map(line => {
+            const trimmed = line.trim();
+            if (!trimmed) return { type: 'gap', runs: [] };
+            if (HEADLINE_PATTERN.test(trimmed)) return { type: 'headline', runs: parseInline(trimmed.replace(HEADLINE_PATTERN, '')) };
+            return { type: 'body', runs: parseInline(trimmed) };
+        });
+        while (paragraphs.length && paragraphs[0].type === 'gap') paragraphs.shift();
+        while (paragraphs.length && paragraphs[paragraphs.length - 1].type === 'gap') paragraphs.pop();
+        return paragraphs;
+    }
+
+    function toPlainText(text) {
+        return parse(text).map(p => p.runs.map(r => r.text).join('')).join('\n').trim();
+    }
+
+    function getFont(weight, size, fontFamily) {
+        return `${weight} ${size}px "${fontFamily}", ${FONT_FALLBACKS}`;
+    }
+
+    function measure(ctx, text, font) {
+        ctx.font = font;
+        return ctx.measureText(text).width;
+    }
+
+    // Break a word wider than the line into hyphenated chunks that each fit
+    function breakWord(ctx, word, font, maxWidth) {
+        const chunks = [];
+        let current = '';
+        for (const grapheme of toGraphemes(word)) {
+            if (current && measure(ctx, current + grapheme + '-', font) > maxWidth) {
+                chunks.push(current + '-');
+                current = grapheme;
+            } else {
+                current += grapheme;
+            }
+        }
+        if (current) chunks.push(current);
+        return chunks;
+    }
+
+    /**
+     * Measure and wrap slide text. `fontSize` is the body size in canvas pixels;
+     * headline paragraphs use `headingFontFamily` when given. `fontWeight` sets
+     * the body copy's weight; headlines and **bold** stay bold.
+     * Returns `{ lines, width, height }` where each line carries its own runs,
+     * width and height so headlines and body copy keep their own line heights.
+     */
+    function layout(ctx, text, options) {
+        const { fontFamily = 'Montserrat', headingFontFamily = fontFamily, fontSize = 64, fontWeight = null, maxWidth } = options;
+        // Plain slides keep the classic all-bold look; once markup is used, body copy
+        // drops to a regular weight so headlines and **bold** stand out against it
+        const bodyWeight = fontWeight || (hasMarkup(String(text || '')) ? 'normal' : 'bold');
+        const lines = [];
+
+        parse(text).forEach(paragraph => {
+            if (paragraph.type === 'gap') {
+                lines.push({ runs: [], width: 0, height: fontSize * LINE_HEIGHT * PARAGRAPH_GAP });
+                return;
+            }
+            const size = paragraph.type === 'headline' ? fontSize * HEADLINE_SCALE : fontSize;
+            const height = size * LINE_HEIGHT;
+            let line = { runs: [], width: 0, height };
+
+            const pushRun = (runText, font, highlight, runWidth) => {
+                const previous = line.runs[line.runs.length - 1];
+                if (previous && previous.font === font && previous.highlight === highlight) {
+                    previous.text += runText;
+                    previous.width += runWidth;
+                } else {
+                    line.runs.push({ text: runText, font, highlight, width: runWidth });
+                }
+                line.width += runWidth;
+            };
+            const newLine = () => {
+                lines.push(line);
+                line = { runs: [], width: 0, height };
+            };
+
+            // Whitespace may sit in a neighbouring run, e.g. "a **b** c", so track it across runs
+            let pendingSpace = false;
+            paragraph.runs.forEach(run => {
+                const weight = paragraph.type === 'headline' || run.bold ? 'bold' : bodyWeight;
+                const font = getFont(weight, size, paragraph.type === 'headline' ? headingFontFamily : fontFamily);
+                run.text.split(/(\s+)/).forEach(token => {
+                    if (!token) return;
+                    if (/^\s/.test(token)) {
+                        pendingSpace = true;
+                        return;
+                    }
+                    const spaceWidth = pendingSpace && line.runs.length ? measure(ctx, ' ', font) : 0;
+                    const wordWidth = measure(ctx, token, font);
+                    pendingSpace = false;
+                    if (line.runs.length && line.width + spaceWidth + wordWidth > maxWidth) {
+                        newLine();
+                    } else if (spaceWidth) {
+                        pushRun(' ', font, run.highlight, spaceWidth);
+                    }
+                    if (wordWidth <= maxWidth) {
+                        pushRun(token, font, run.highlight, wordWidth);
+                        return;
+                    }
+                    const chunks = breakWord(ctx, token, font, maxWidth);
+                    chunks.forEach((chunk, c) => {
+                        if (c > 0) newLine();
+                        pushRun(chunk, font, run.highlight, measure(ctx, chunk, font));
+                    });
+                });
+            });
+            if (line.runs.length) lines.push(line);
+        });
+
+        return {
+            lines,
+            width: lines.reduce((max, l) => Math.max(max, l.width), 0),
+            height: lines.reduce((sum, l) => sum + l.height, 0)
+        };
+    }
+
+    /**
+     * Draw a block from `layout` with its top edge at `top`, aligned between
+     * `left` and `right`. Shadows and other context state are left to the caller.
+     */
+    function draw(ctx, block, options) {
+        const { left, right, top, align = 'center', color = '#ffffff', highlightColor = color } = options;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        let y = top;
+        block.lines.forEach(line => {
+            let x = align === 'left' ? left : align === 'right' ? right - line.width : (left + right - line.width) / 2;
+            line.runs.forEach(run => {
+                ctx.font = run.font;
+                ctx.fillStyle = run.highlight ? highlightColor : color;
+                ctx.fillText(run.text, x, y + line.height / 2);
+                x += run.width;
+            });
+            y += line.height;
+        });
+    }
+
+    return { parse, toPlainText, getFont, layout, draw };
+})();
@@ -5,7 +5,22 @@ const UIModule = (function() {
     'use strict';
     let elements = {};
     let currentSlideData = [];
-    let logoSettings = { enabled: false, image: null, position: 'bottom-left', size: 80 };
+    const MAX_SLIDES = 10;
+    const DEFAULT_LOGO_SETTINGS = { enabled: false, image: null, imageOnLight: null, position: 'bottom-left', size: 80 };
+    let logoSettings = { ...DEFAULT_LOGO_SETTINGS };
+    let panorama = { ...CanvasModule.DEFAULT_PANORAMA };
+    let changeListener = null;
+    let brandKits = [];
+    let hashtagGroups = [];
+    let captionSuggestions = [];
+    let promptPresets = [];
+    let library = { projects: [], currentId: null };
+    // The image batches shown in the AI image modal and the prompt "Reset prompt" goes back to
+    let aiImageBatches = [];
+    let aiImageDefaultPrompt = '';
+    // Slide ids with a rewrite in flight; their text is read-only until it lands
+    const rewritingSlides = new Set();
+    const REWRITE_LABELS = { regenerate: 'Regenerate', shorter: 'Shorter', punchier: 'Punchier', stat: 'Add stat' };
 
     function cacheElements() {
         elements = {
@@ -15,6 +30,18 @@ const UIModule = (function() {
             mainContent: document.getElementById('mainContent'),
             navLinks: document.querySelectorAll('.nav-link'),
             openConfigBtn: document.getElementById('openConfigBtn'),
+            exportProjectBtn: document.getElementById('exportProjectBtn'),
+            importProjectBtn: document.getElementById('importProjectBtn'),
+            projectFileInput: document.getElementById('projectFileInput'),
+            projectSaveStatus: document.getElementById('projectSaveStatus'),
+            projectTitle: document.getElementById('projectTitle'),
+            librarySearch: document.getElementById('librarySearch'),
+            newProjectBtn: document.getElementById('newProjectBtn'),
+            libraryGrid: document.getElementById('libraryGrid'),
+            undoBtn: document.getElementById('undoBtn'),
+            redoBtn: document.getElementById('redoBtn'),
+            historyToggle: document.getElementById('historyToggle'),
+            historyList: document.getElementById('historyList'),
             mobileConfigBtn: document.getElementById('mobileConfigBtn'),
             configModal: document.getElementById('configModal'),
             configModalClose: document.getElementById('configModalClose'),
@@ -23,14 +50,41 @@ const UIModule = (function() {
             webhookTextUrl: document.getElementById('webhookTextUrl'),
             webhookImageUrl: document.getElementById('webhookImageUrl'),
             webhookScheduleUrl: document.getElementById('webhookScheduleUrl'),
+            providerSelects: document.querySelectorAll('#configModal select[data-operation]'),
+            openaiBaseUrl: document.getElementById('openaiBaseUrl'),
+            openaiApiKey: document.getElementById('openaiApiKey'),
+            openaiTextModel: document.getElementById('openaiTextModel'),
+            openaiImageModel: document.getElementById('openaiImageModel'),
+            settingsSection: document.getElementById('settings'),
+            brandKitSelect: document.getElementById('brandKitSelect'),
+            brandKitSwatches: document.getElementById('brandKitSwatches'),
+            brandKitHashtags: document.getElementById('brandKitHashtags'),
+            saveBrandKitBtn: document.getElementById('saveBrandKitBtn'),
+            updateBrandKitBtn: document.getElementById('updateBrandKitBtn'),
+            deleteBrandKitBtn: document.getElementById('deleteBrandKitBtn'),
+            exportBrandKitBtn: document.getElementById('exportBrandKitBtn'),
+            importBrandKitBtn: document.getElementById('importBrandKitBtn'),
+            brandKitFileInput: document.getElementById('brandKitFileInput'),
+            headingFontFamily: document.getElementById('headingFontFamily'),
             slideCount: document.getElementById('slideCount'),
             slidesDecrease: document.getElementById('slidesDecrease'),
             slidesIncrease: document.getElementById('slidesIncrease'),
+            outputFormat: document.getElementById('outputFormat'),
+            customSizeInputs: document.getElementById('customSizeInputs'),
+            customWidth: document.getElementById('customWidth'),
+            customHeight: document.getElementById('customHeight'),
+            imageType: document.getElementById('imageType'),
+            imageQualityInputs: document.getElementById('imageQualityInputs'),
+            imageQuality: document.getElementById('imageQuality'),
+            imageQualityRange: document.getElementById('imageQualityRange'),
+            maxSlideKB: document.getElementById('maxSlideKB'),
             fontFamily: document.getElementById('fontFamily'),
             fontSize: document.getElementById('fontSize'),
             fontSizeRange: document.getElementById('fontSizeRange'),
             textColor: document.getElementById('textColor'),
             textColorHex: document.getElementById('textColorHex'),
+            highlightColor: document.getElementById('highlightColor'),
+            highlightColorHex: document.getElementById('highlightColorHex'),
             textAlign: document.getElementById('textAlign'),
             backgroundColor: document.getElementById('backgroundColor'),
             backgroundColorHex: document.getElementById('backgroundColorHex'),
@@ -39,16 +93,38 @@ const UIModule = (function() {
             logoUploadArea: document.getElementById('logoUploadArea'),
             logoFileInput: document.getElementById('logoFileInput'),
             logoPlaceholder: document.getElementById('logoPlaceholder'),
+            logoLightFileInput: document.getElementById('logoLightFileInput'),
+            logoLightPreview: document.getElementById('logoLightPreview'),
+            logoLightPlaceholder: document.getElementById('logoLightPlaceholder'),
+            logoLightRemoveBtn: document.getElementById('logoLightRemoveBtn'),
             logoPreview: document.getElementById('logoPreview'),
             logoPosition: document.getElementById('logoPosition'),
             logoSize: document.getElementById('logoSize'),
+            chromeCounter: document.getElementById('chromeCounter'),
+            chromeCounterPosition: document.getElementById('chromeCounterPosition'),
+            chromeProgress: document.getElementById('chromeProgress'),
+            chromeSwipe: document.getElementById('chromeSwipe'),
+            chromeSwipeText: document.getElementById('chromeSwipeText'),
+            chromeFooter: document.getElementById('chromeFooter'),
+            panoramaEnabled: document.getElementById('panoramaEnabled'),
+            panoramaContent: document.getElementById('panoramaContent'),
+            panoramaType: document.getElementById('panoramaType'),
+            panoramaGradient: document.getElementById('panoramaGradient'),
+            panoramaImage: document.getElementById('panoramaImage'),
             logoSizeRange: document.getElementById('logoSizeRange'),
             aiUploadZone: document.getElementById('aiUploadZone'),
             sourceFileInput: document.getElementById('sourceFileInput'),
             uploadedFilesList: document.getElementById('uploadedFilesList'),
+            sourceUrlInput: document.getElementById('sourceUrlInput'),
+            addSourceUrlBtn: document.getElementById('addSourceUrlBtn'),
+            sourceTextPanel: document.getElementById('sourceTextPanel'),
+            sourceTextTitle: document.getElementById('sourceTextTitle'),
+            sourceTextInput: document.getElementById('sourceTextInput'),
+            addSourceTextBtn: document.getElementById('addSourceTextBtn'),
             generateTextBtn: document.getElementById('generateTextBtn'),
             aiStatusBar: document.getElementById('aiStatusBar'),
             aiStatusText: document.getElementById('aiStatusText'),
+            aiCancelBtn: document.getElementById('aiCancelBtn'),
             aiTextResults: document.getElementById('aiTextResults'),
             slidesEditor: document.getElementById('slidesEditor'),
             carouselTrack: document.getElementById('carouselTrack'),
@@ -56,7 +132,11 @@ const UIModule = (function() {
             carouselPrev: document.getElementById('carouselPrev'),
             carouselNext: document.getElementById('carouselNext'),
             generateCarouselBtn: document.getElementById('generateCarouselBtn'),
+            editLayoutBtn: document.getElementById('editLayoutBtn'),
+            resetLayoutBtn: document.getElementById('resetLayoutBtn'),
             downloadAllBtn: document.getElementById('downloadAllBtn'),
+            exportAllFormatsBtn: document.getElementById('exportAllFormatsBtn'),
+            exportPdfBtn: document.getElementById('exportPdfBtn'),
             individualDownloads: document.getElementById('individualDownloads'),
             postNowBtn: document.getElementById('postNowBtn'),
             schedulePostBtn: document.getElementById('schedulePostBtn'),
@@ -67,27 +147,62 @@ const UIModule = (function() {
             scheduleDate: document.getElementById('scheduleDate'),
             scheduleTime: document.getElementById('scheduleTime'),
             scheduleCaption: document.getElementById('scheduleCaption'),
+            captionText: document.getElementById('captionText'),
+            captionHashtags: document.getElementById('captionHashtags'),
+            captionFirstComment: document.getElementById('captionFirstComment'),
+            captionStats: document.getElementById('captionStats'),
+            firstCommentStats: document.getElementById('firstCommentStats'),
+            captionFromSlidesBtn: document.getElementById('captionFromSlidesBtn'),
+            hashtagGroupSelect: document.getElementById('hashtagGroupSelect'),
+            insertHashtagGroupBtn: document.getElementById('insertHashtagGroupBtn'),
+            saveHashtagGroupBtn: document.getElementById('saveHashtagGroupBtn'),
+            deleteHashtagGroupBtn: document.getElementById('deleteHashtagGroupBtn'),
+            captionSuggestions: document.getElementById('captionSuggestions'),
+            generationLanguage: document.getElementById('generationLanguage'),
+            generationHook: document.getElementById('generationHook'),
+            generationTones: document.querySelectorAll('.generation-tone'),
+            generationAudience: document.getElementById('generationAudience'),
+            generationCta: document.getElementById('generationCta'),
+            generationInstructions: document.getElementById('generationInstructions'),
+            promptPresetSelect: document.getElementById('promptPresetSelect'),
+            loadPromptPresetBtn: document.getElementById('loadPromptPresetBtn'),
+            savePromptPresetBtn: document.getElementById('savePromptPresetBtn'),
+            deletePromptPresetBtn: document.getElementById('deletePromptPresetBtn'),
             aiImageModal: document.getElementById('aiImageModal'),
             aiImageModalClose: document.getElementById('aiImageModalClose'),
             aiImageModalCancel: document.getElementById('aiImageModalCancel'),
             aiImageModalConfirm: document.getElementById('aiImageModalConfirm'),
             aiImageSlideNumber: document.getElementById('aiImageSlideNumber'),
-            aiImageGrid: document.getElementById('aiImageGrid'),
+            aiImagePrompt: document.getElementById('aiImagePrompt'),
+            aiImageStyle: document.getElementById('aiImageStyle'),
+            aiImageResetPrompt: document.getElementById('aiImageResetPrompt'),
+            aiImageGenerateBtn: document.getElementById('aiImageGenerateBtn'),
+            aiImageContext: document.getElementById('aiImageContext'),
+            aiImageHistory: document.getElementById('aiImageHistory'),
             toastContainer: document.getElementById('toastContainer')
         };
     }
 
     function init(callbacks) {
         cacheElements();
+        changeListener = callbacks.onStateChange || null;
         setupNavigation();
         setupConfigModal();
+        setupProject(callbacks);
+        setupLibrary(callbacks);
+        setupHistory(callbacks);
+        setupBrandKits(callbacks);
         setupSettings();
         setupLogoSettings();
+        setupPanorama();
         setupAiSection(callbacks);
+        setupGeneration(callbacks);
         setupSlides(callbacks);
+        setupCaption(callbacks);
         setupPreview(callbacks);
         setupModals(callbacks);
         loadConfig();
+        renderPanoramaSettings();
         renderSlideInputs();
     }
 
@@ -146,35 +261,160 @@ const UIModule = (function() {
             AIGeneratorModule.saveConfig({
                 webhookTextUrl: elements.webhookTextUrl.value.trim(),
                 webhookImageUrl: elements.webhookImageUrl.value.trim(),
-                webhookScheduleUrl: elements.webhookScheduleUrl.value.trim()
+                webhookScheduleUrl: elements.webhookScheduleUrl.value.trim(),
+                providers: Object.fromEntries([...elements.providerSelects].map(select => [select.dataset.operation, select.value])),
+                openai: {
+                    baseUrl: elements.openaiBaseUrl.value.trim(),
+                    apiKey: elements.openaiApiKey.value.trim(),
+                    textModel: elements.openaiTextModel.value.trim(),
+                    imageModel: elements.openaiImageModel.value.trim()
+                }
             });
             closeModal();
             showToast('Configuration saved!', 'success');
         });
     }
 
+    const SETTING_LABELS = { slideCount: 'Slide count', outputFormat: 'Output format', customWidth: 'Custom size', customHeight: 'Custom size', imageType: 'Image file type', imageQuality: 'Image quality', imageQualityRange: 'Image quality', maxSlideKB: 'Slide size budget', headingFontFamily: 'Heading font', fontFamily: 'Body font', fontSize: 'Font size', fontSizeRange: 'Font size', textColor: 'Text color', textColorHex: 'Text color', highlightColor: 'Highlight color', highlightColorHex: 'Highlight color', backgroundColor: 'Default background', backgroundColorHex: 'Default background', logoEnabled: 'Logo on/off', logoSize: 'Logo size', logoSizeRange: 'Logo size', chromeCounter: 'Page counter', chromeCounterPosition: 'Page counter position', chromeProgress: 'Progress bar', chromeSwipe: 'Swipe hint', chromeSwipeText: 'Swipe hint text', chromeFooter: 'Footer line' };
+
+    function notifyChange(label = 'Edit', key = null) { updateTextWarnings(); if (changeListener) changeListener({ label, key }); }
+    function notifySettingChange(e) { const label = SETTING_LABELS[e.target.id]; if (label) notifyChange(label, `setting:${label}`); }
+
+    function setupProject(callbacks) {
+        elements.exportProjectBtn?.addEventListener('click', () => callbacks.onExportProject());
+        elements.importProjectBtn?.addEventListener('click', () => elements.projectFileInput.click());
+        elements.projectFileInput?.addEventListener('change', e => { const file = e.target.files[0]; if (file) callbacks.onImportProject(file); e.target.value = ''; });
+    }
+
+    function setProjectStatus(msg) { if (elements.projectSaveStatus) elements.projectSaveStatus.textContent = msg; }
+    function setProjectTitle(title) { if (elements.projectTitle) elements.projectTitle.textContent = title; }
+    function escapeHtml(str) { return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]); }
+
+    function setupHistory(callbacks) {
+        elements.undoBtn?.addEventListener('click', () => callbacks.onUndo());
+        elements.redoBtn?.addEventListener('click', () => callbacks.onRedo());
+        elements.historyToggle?.addEventListener('click', () => elements.historyList.classList.toggle('hidden'));
+        elements.historyList?.addEventListener('click', e => { const item = e.target.closest('[data-history-position]'); if (item) callbacks.onHistoryJump(parseInt(item.dataset.historyPosition)); });
+        document.addEventListener('keydown', e => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            // Leave native undo alone in fields the history doesn't track (e.g. webhook URLs)
+            if (e.target.matches?.('input, textarea, select') && !e.target.closest('#settings, #slidesEditor')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); callbacks.onUndo(); }
+            else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); callbacks.onRedo(); }
+        });
+    }
+
+    function renderHistory({ entries, position }) {
+        elements.undoBtn.disabled = position === 0;
+        elements.redoBtn.disabled = position === entries.length;
+        const formatTime = t => new Date(t).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        const items = [`<li class="history-item ${position===0?'current':''}" data-history-position="0">Start</li>`, ...entries.map((e, i) => `<li class="history-item ${e.applied?'':'undone'} ${i+1===position?'current':''}" data-history-position="${i+1}"><span>${escapeHtml(e.label)}</span><time>${formatTime(e.time)}</time></li>`)];
+        elements.historyList.innerHTML = items.reverse().join('');
+    }
+
+    function setupLibrary(callbacks) {
+        const actions = { open: callbacks.onOpenProject, rename: callbacks.onRenameProject, duplicate: callbacks.onDuplicateProject, delete: callbacks.onDeleteProject };
+        elements.newProjectBtn?.addEventListener('click', () => callbacks.onCreateProject());
+        elements.librarySearch?.addEventListener('input', renderLibrary);
+        elements.libraryGrid?.addEventListener('click', e => { const btn = e.target.closest('[data-library-action]'), card = e.target.closest('.library-card'); if (btn && card) actions[btn.dataset.libraryAction](card.dataset.projectId); });
+    }
+
+    function renderProjectLibrary(projects, currentId) { library = { projects, currentId }; renderLibrary(); }
+    function getLibraryProject(id) { return library.projects.find(p => p.id === id) || null; }
+
+    function renderLibrary() {
+        const query = (elements.librarySearch?.value || '').trim().toLowerCase();
+        const projects = library.projects.filter(p => !query || p.title.toLowerCase().includes(query));
+        const formatDate = iso => new Date(iso).toLocaleString(undefined, { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+        elements.libraryGrid.innerHTML = projects.length ? projects.map(p => `<div class="library-card ${p.id===library.currentId?'current':''}" data-project-id="${p.id}"><button type="button" class="library-thumb" data-library-action="open" title="Open">${p.thumbnail?`<img src="${p.thumbnail}" alt="${escapeHtml(p.title)}">`:'<div class="empty-slide"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/></svg></div>'}</button><div class="library-card-body"><h4 title="${escapeHtml(p.title)}">${escapeHtml(p.title)}</h4><div class="library-meta"><span class="status-badge ${p.status}">${p.status}</span><span>${p.slideCount} slides</span></div><span class="library-date">Edited ${formatDate(p.updatedAt)}</span><div class="library-card-actions"><button type="button" data-library-action="rename">Rename</button><button type="button" data-library-action="duplicate">Duplicate</button><button type="button" class="danger" data-library-action="delete">Delete</button></div></div></div>`).join('') : `<div class="library-empty">${query ? 'No carousels match your search' : 'No saved carousels yet'}</div>`;
+    }
+
     function loadConfig() {
         const config = AIGeneratorModule.getConfig();
         elements.webhookTextUrl.value = config.webhookTextUrl || '';
         elements.webhookImageUrl.value = config.webhookImageUrl || '';
         elements.webhookScheduleUrl.value = config.webhookScheduleUrl || '';
+        elements.providerSelects.forEach(select => { const operation = select.dataset.operation; select.innerHTML = ProviderModule.listProviders(operation).map(p => `<option value="${p.id}" ${p.id===config.providers[operation]?'selected':''}>${escapeHtml(p.name)}</option>`).join(''); });
+        elements.openaiBaseUrl.value = config.openai.baseUrl || '';
+        elements.openaiApiKey.value = config.openai.apiKey || '';
+        elements.openaiTextModel.value = config.openai.textModel || '';
+        elements.openaiImageModel.value = config.openai.imageModel || '';
+    }
+
+    function setupBrandKits(callbacks) {
+        const selected = () => elements.brandKitSelect.value;
+        elements.brandKitSelect?.addEventListener('change', () => { if (selected()) callbacks.onApplyBrandKit(selected()); });
+        elements.saveBrandKitBtn?.addEventListener('click', () => callbacks.onSaveBrandKit());
+        elements.updateBrandKitBtn?.addEventListener('click', () => { if (selected()) callbacks.onUpdateBrandKit(selected()); });
+        elements.deleteBrandKitBtn?.addEventListener('click', () => { if (selected()) callbacks.onDeleteBrandKit(selected()); });
+        elements.exportBrandKitBtn?.addEventListener('click', () => { if (selected()) callbacks.onExportBrandKit(selected()); });
+        elements.importBrandKitBtn?.addEventListener('click', () => elements.brandKitFileInput.click());
+        elements.brandKitFileInput?.addEventListener('change', e => { const file = e.target.files[0]; if (file) callbacks.onImportBrandKit(file); e.target.value = ''; });
+    }
+
+    function renderBrandKits(kits, selectedId) {
+        brandKits = kits;
+        elements.brandKitSelect.innerHTML = `<option value="">No brand kit</option>` + kits.map(k => `<option value="${k.id}">${escapeHtml(k.name)}</option>`).join('');
+        elements.brandKitSelect.value = kits.some(k => k.id === selectedId) ? selectedId : '';
+        renderBrandKitDetails();
+    }
+
+    function renderBrandKitDetails() {
+        const kit = brandKits.find(k => k.id === elements.brandKitSelect.value);
+        elements.brandKitSwatches.innerHTML = kit ? Object.entries(kit.palette).map(([name, color]) => `<span style="background:${escapeHtml(color)}" title="${name}: ${escapeHtml(color)}"></span>`).join('') : '';
+        elements.brandKitHashtags.value = kit ? kit.hashtags : '';
+        [elements.updateBrandKitBtn, elements.deleteBrandKitBtn, elements.exportBrandKitBtn].forEach(b => b.disabled = !kit);
+    }
+
+    function getBrandKitHashtags() { return elements.brandKitHashtags?.value.trim() || ''; }
+
+    // Restyle settings, every slide and the logo from a kit as a single undoable edit
+    function applyBrandKit(kit) {
+        setGlobalSettings({ fontFamily: kit.fonts.body, headingFontFamily: kit.fonts.heading, textColor: kit.palette.text, highlightColor: kit.palette.highlight, backgroundColor: kit.palette.background, brandKitId: kit.id });
+        currentSlideData = currentSlideData.map(s => ({ ...s, backgroundColor: kit.palette.background }));
+        const image = kit.logo.onDark || kit.logo.onLight;
+        logoSettings = { enabled: !!image, image: image || null, imageOnLight: kit.logo.onLight || null, position: kit.logo.position, size: kit.logo.size };
+        renderLogoSettings();
+        renderSlideInputs();
+        notifyChange(`Apply brand kit "${kit.name}"`);
     }
 
     function setupSettings() {
-        elements.slidesDecrease?.addEventListener('click', () => { if (parseInt(elements.slideCount.value) > 1) { elements.slideCount.value = parseInt(elements.slideCount.value) - 1; renderSlideInputs(); }});
-        elements.slidesIncrease?.addEventListener('click', () => { if (parseInt(elements.slideCount.value) < 10) { elements.slideCount.value = parseInt(elements.slideCount.value) + 1; renderSlideInputs(); }});
+        ['input', 'change'].forEach(type => elements.settingsSection?.addEventListener(type, notifySettingChange));
+        elements.slidesDecrease?.addEventListener('click', () => { if (parseInt(elements.slideCount.value) > 1) { elements.slideCount.value = parseInt(elements.slideCount.value) - 1; renderSlideInputs(); notifyChange('Slide count', 'setting:Slide count'); }});
+        elements.slidesIncrease?.addEventListener('click', () => { if (parseInt(elements.slideCount.value) < 10) { elements.slideCount.value = parseInt(elements.slideCount.value) + 1; renderSlideInputs(); notifyChange('Slide count', 'setting:Slide count'); }});
         elements.slideCount?.addEventListener('change', renderSlideInputs);
+        elements.outputFormat?.addEventListener('change', updateFormatDisplay);
+        [elements.customWidth, elements.customHeight].forEach(el => el?.addEventListener('change', updateFormatDisplay));
+        elements.imageType?.addEventListener('change', updateImageTypeDisplay);
+        updateImageTypeDisplay();
+        elements.imageQualityRange?.addEventListener('input', () => elements.imageQuality.value = elements.imageQualityRange.value);
+        elements.imageQuality?.addEventListener('change', () => elements.imageQualityRange.value = elements.imageQuality.value);
         elements.fontSizeRange?.addEventListener('input', () => elements.fontSize.value = elements.fontSizeRange.value);
         elements.fontSize?.addEventListener('change', () => elements.fontSizeRange.value = elements.fontSize.value);
         elements.textColor?.addEventListener('input', () => elements.textColorHex.value = elements.textColor.value);
         elements.textColorHex?.addEventListener('change', () => { if (/^#[0-9A-Fa-f]{6}$/.test(elements.textColorHex.value)) elements.textColor.value = elements.textColorHex.value; });
+        elements.highlightColor?.addEventListener('input', () => elements.highlightColorHex.value = elements.highlightColor.value);
+        elements.highlightColorHex?.addEventListener('change', () => { if (/^#[0-9A-Fa-f]{6}$/.test(elements.highlightColorHex.value)) elements.highlightColor.value = elements.highlightColorHex.value; });
         elements.backgroundColor?.addEventListener('input', () => elements.backgroundColorHex.value = elements.backgroundColor.value);
         elements.backgroundColorHex?.addEventListener('change', () => { if (/^#[0-9A-Fa-f]{6}$/.test(elements.backgroundColorHex.value)) elements.backgroundColor.value = elements.backgroundColorHex.value; });
         elements.textAlign?.querySelectorAll('.btn-icon').forEach(btn => {
-            btn.addEventListener('click', () => { elements.textAlign.querySelectorAll('.btn-icon').forEach(b => b.classList.remove('active')); btn.classList.add('active'); });
+            btn.addEventListener('click', () => { elements.textAlign.querySelectorAll('.btn-icon').forEach(b => b.classList.remove('active')); btn.classList.add('active'); notifyChange('Text alignment'); });
         });
     }
 
+    function updateFormatDisplay() {
+        const { format, width, height } = getGlobalSettings();
+        elements.customSizeInputs?.classList.toggle('hidden', format !== 'custom');
+        if (format === 'custom') { elements.customWidth.value = width; elements.customHeight.value = height; }
+        elements.slidesEditor.querySelectorAll('.slide-dimensions').forEach(el => el.textContent = `${width} × ${height}`);
+        document.documentElement.style.setProperty('--slide-aspect', `${width}/${height}`);
+    }
+
+    // PNG is lossless, so quality only applies to JPEG and WebP
+    function updateImageTypeDisplay() { elements.imageQualityInputs?.classList.toggle('disabled', elements.imageType?.value === 'png'); }
+
     function setupLogoSettings() {
         elements.logoEnabled?.addEventListener('change', () => {
             logoSettings.enabled = elements.logoEnabled.checked;
@@ -190,9 +430,29 @@ const UIModule = (function() {
                     elements.logoPreview.src = ev.target.result;
                     elements.logoPreview.classList.remove('hidden');
                     elements.logoPlaceholder.classList.add('hidden');
+                    notifyChange('Logo image');
+                };
+                reader.readAsDataURL(file);
+            }
+        });
+
+        elements.logoLightFileInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (ev) => {
+                    logoSettings.imageOnLight = ev.target.result;
+                    renderLogoSettings();
+                    notifyChange('Logo for light backgrounds');
                 };
                 reader.readAsDataURL(file);
             }
+            e.target.value = '';
+        });
+        elements.logoLightRemoveBtn?.addEventListener('click', () => {
+            logoSettings.imageOnLight = null;
+            renderLogoSettings();
+            notifyChange('Remove logo for light backgrounds');
         });
 
         elements.logoPosition?.querySelectorAll('.position-btn').forEach(btn => {
@@ -200,6 +460,7 @@ const UIModule = (function() {
                 elements.logoPosition.querySelectorAll('.position-btn').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 logoSettings.position = btn.dataset.position;
+                notifyChange('Logo position');
             });
         });
 
@@ -213,34 +474,94 @@ const UIModule = (function() {
         });
     }
 
+    function renderLogoSettings() {
+        elements.logoEnabled.checked = logoSettings.enabled;
+        elements.logoSettingsContent.classList.toggle('hidden', !logoSettings.enabled);
+        if (logoSettings.image) elements.logoPreview.src = logoSettings.image;
+        else elements.logoPreview.removeAttribute('src');
+        elements.logoPreview.classList.toggle('hidden', !logoSettings.image);
+        elements.logoPlaceholder.classList.toggle('hidden', !!logoSettings.image);
+        if (logoSettings.imageOnLight) elements.logoLightPreview.src = logoSettings.imageOnLight;
+        else elements.logoLightPreview.removeAttribute('src');
+        elements.logoLightPreview.classList.toggle('hidden', !logoSettings.imageOnLight);
+        elements.logoLightPlaceholder.classList.toggle('hidden', !!logoSettings.imageOnLight);
+        elements.logoLightRemoveBtn.classList.toggle('hidden', !logoSettings.imageOnLight);
+        elements.logoPosition.querySelectorAll('.position-btn').forEach(b => b.classList.toggle('active', b.dataset.position === logoSettings.position));
+        elements.logoSize.value = elements.logoSizeRange.value = logoSettings.size;
+    }
+
     function setupAiSection(callbacks) {
         ['dragover', 'dragenter'].forEach(e => elements.aiUploadZone?.addEventListener(e, ev => { ev.preventDefault(); elements.aiUploadZone.classList.add('drag-over'); }));
         ['dragleave', 'drop'].forEach(e => elements.aiUploadZone?.addEventListener(e, () => elements.aiUploadZone.classList.remove('drag-over')));
-        elements.aiUploadZone?.addEventListener('drop', async e => { e.preventDefault(); for (const f of e.dataTransfer.files) if (isValidFile(f)) await callbacks.onSourceFileAdded(f); });
-        elements.sourceFileInput?.addEventListener('change', async e => { for (const f of e.target.files) if (isValidFile(f)) await callbacks.onSourceFileAdded(f); e.target.value = ''; });
+        // Unsupported files are passed on too, so the user is told why they were not added
+        elements.aiUploadZone?.addEventListener('drop', async e => { e.preventDefault(); for (const f of e.dataTransfer.files) await callbacks.onSourceFileAdded(f); });
+        elements.sourceFileInput?.addEventListener('change', async e => { for (const f of [...e.target.files]) await callbacks.onSourceFileAdded(f); e.target.value = ''; });
+        elements.addSourceUrlBtn?.addEventListener('click', () => callbacks.onSourceUrlAdded(elements.sourceUrlInput.value));
+        elements.sourceUrlInput?.addEventListener('keydown', e => { if (e.key === 'Enter') { e.preventDefault(); callbacks.onSourceUrlAdded(elements.sourceUrlInput.value); } });
+        elements.addSourceTextBtn?.addEventListener('click', () => callbacks.onSourceTextAdded(elements.sourceTextInput.value, elements.sourceTextTitle.value));
         elements.uploadedFilesList?.addEventListener('click', e => { const btn = e.target.closest('.remove-file'); if (btn) callbacks.onSourceFileRemoved(btn.dataset.fileId); });
         elements.generateTextBtn?.addEventListener('click', () => callbacks.onGenerateText());
+        elements.aiCancelBtn?.addEventListener('click', () => callbacks.onCancelGenerateText());
         elements.aiTextResults?.addEventListener('click', e => { const btn = e.target.closest('[data-use-option]'); if (btn) callbacks.onUseTextOption(parseInt(btn.dataset.useOption)); });
     }
 
-    function isValidFile(file) { return ['application/pdf', 'image/png', 'image/jpeg', 'image/webp'].includes(file.type) || file.type.startsWith('image/'); }
+    const SOURCE_ICONS = {
+        document: '<path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/><polyline points="14 2 14 8 20 8"/>',
+        text: '<path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="8" y1="13" x2="16" y2="13"/><line x1="8" y1="17" x2="13" y2="17"/>',
+        image: '<rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/>',
+        url: '<path d="M10 13a5 5 0 007.54.54l3-3a5 5 0 00-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71"/>'
+    };
+    const SOURCE_FORMATS = { 'application/pdf': 'PDF', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word', 'text/markdown': 'Markdown', 'text/plain': 'Text' };
+
+    function formatFileSize(bytes) { return bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`; }
+    function getSourceIcon(f) { return f.kind === 'url' ? SOURCE_ICONS.url : f.type?.startsWith('image/') ? SOURCE_ICONS.image : f.text ? SOURCE_ICONS.text : SOURCE_ICONS.document; }
+    // "PDF · 12 of 48 pages · 18,234 characters"; files sent as bytes show their size instead
+    function describeSource(f) {
+        if (f.kind === 'url') return 'Web page · fetched when generating';
+        const format = f.kind === 'text' ? 'Pasted text' : SOURCE_FORMATS[f.type] || (f.type?.split('/')[1] || 'File').toUpperCase();
+        const pages = f.pages ? (f.pagesRead && f.pagesRead < f.pages ? `${f.pagesRead} of ${f.pages} pages` : `${f.pages} ${f.pages === 1 ? 'page' : 'pages'}`) : '';
+        return [format, pages, f.text ? `${f.text.length.toLocaleString('en-US')} characters` : f.size ? formatFileSize(f.size) : ''].filter(Boolean).join(' · ');
+    }
 
     function renderUploadedFiles(files) {
-        elements.uploadedFilesList.innerHTML = files.map(f => `<div class="uploaded-file-item"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${f.type === 'application/pdf' ? '<path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/><polyline points="14 2 14 8 20 8"/>' : '<rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/>'}</svg><span class="file-name">${f.name}</span><button class="remove-file" data-file-id="${f.id}"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button></div>`).join('');
+        elements.uploadedFilesList.innerHTML = files.map(f => { const preview = f.type?.startsWith('image/') && f.data ? `<img class="source-thumb" src="${f.data}" alt="">` : `<p class="source-preview">${escapeHtml(SourceModule.getPreview(f))}</p>`; return `<div class="uploaded-file-item"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${getSourceIcon(f)}</svg><div class="source-body"><span class="file-name" title="${escapeHtml(f.url || f.name)}">${escapeHtml(f.name)}</span><span class="source-meta">${escapeHtml(describeSource(f))}</span>${preview}${(f.warnings || []).map(w => `<p class="source-warning">${escapeHtml(w)}</p>`).join('')}</div><button class="remove-file" data-file-id="${f.id}" title="Remove source"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button></div>`; }).join('');
     }
 
+    function clearSourceInput(kind) { if (kind === 'url') elements.sourceUrlInput.value = ''; else { elements.sourceTextInput.value = elements.sourceTextTitle.value = ''; elements.sourceTextPanel.open = false; } }
+
     function setAiStatus(msg, loading = false) { elements.aiStatusText.textContent = msg; elements.aiStatusBar.classList.toggle('loading', loading); }
 
-    function renderTextOptions(options) {
-        elements.aiTextResults.classList.remove('hidden');
-        options.forEach((opt, i) => {
-            const el = document.getElementById(`textOptionPreview${i}`);
-            if (el) el.innerHTML = opt.slides.map(s => `<div class="slide-preview-item"><span class="slide-label">Slide ${s.slideNumber}</span><p>${s.text}</p></div>`).join('');
-        });
+    // Streamed options arrive slide by slide; a card can only be used once its option is complete
+    function renderTextOptionPreview(opt) { const slides = (opt?.slides || []).filter(Boolean); return slides.length ? slides.map(s => `<div class="slide-preview-item"><span class="slide-label">Slide ${s.slideNumber}</span><p>${escapeHtml(s.text)}</p></div>`).join('') : '<p class="option-waiting">Writing...</p>'; }
+    function updateTextOption(i, opt, done = false) {
+        const card = elements.aiTextResults.querySelectorAll('.ai-option-card')[i]; if (!card) return;
+        card.classList.toggle('hidden', done && !opt); card.classList.toggle('streaming', !done);
+        if (opt?.label) card.querySelector('.option-title h4').textContent = opt.label;
+        if (opt?.description) card.querySelector('.option-title span').textContent = opt.description;
+        document.getElementById(`textOptionPreview${i}`).innerHTML = renderTextOptionPreview(opt);
+        card.querySelector('[data-use-option]').disabled = !done || !opt;
     }
+    function startTextOptions() { elements.aiTextResults.classList.remove('hidden'); elements.aiTextResults.querySelectorAll('.ai-option-card').forEach((_, i) => updateTextOption(i, null)); }
+    function renderTextOptions(options) { elements.aiTextResults.classList.remove('hidden'); elements.aiTextResults.querySelectorAll('.ai-option-card').forEach((_, i) => updateTextOption(i, options[i], true)); }
 
     function hideTextOptions() { elements.aiTextResults.classList.add('hidden'); }
 
+    // Generation settings are part of the project; presets are shared by all projects
+    function setupGeneration(callbacks) {
+        elements.generationLanguage.innerHTML = Object.entries(GenerationModule.LANGUAGES).map(([code, name]) => `<option value="${code}">${name}</option>`).join('');
+        elements.generationHook.innerHTML = Object.entries(GenerationModule.HOOKS).map(([id, hook]) => `<option value="${id}">${hook.label}</option>`).join('');
+        const fields = { generationLanguage: ['Language', 'language'], generationHook: ['Hook style', 'hook'], generationAudience: ['Target audience', 'audience'], generationCta: ['Call to action', 'cta'], generationInstructions: ['Custom instructions', 'instructions'] };
+        Object.entries(fields).forEach(([id, [label, key]]) => elements[id]?.addEventListener(elements[id].tagName === 'SELECT' ? 'change' : 'input', () => notifyChange(label, `generation:${key}`)));
+        elements.generationTones.forEach(input => input.addEventListener('input', () => notifyChange('Tones', 'generation:tones')));
+        elements.loadPromptPresetBtn?.addEventListener('click', () => { const preset = promptPresets.find(p => p.id === elements.promptPresetSelect.value); if (!preset) return; setGenerationFields(preset.settings); notifyChange(`Load preset ${preset.name}`); showToast(`Preset "${preset.name}" loaded`, 'success'); });
+        elements.savePromptPresetBtn?.addEventListener('click', () => callbacks.onSavePromptPreset());
+        elements.deletePromptPresetBtn?.addEventListener('click', () => { if (elements.promptPresetSelect.value) callbacks.onDeletePromptPreset(elements.promptPresetSelect.value); });
+        setGenerationFields(GenerationModule.createSettings());
+    }
+    function getGenerationSettings() { return GenerationModule.createSettings({ language: elements.generationLanguage?.value, hook: elements.generationHook?.value, tones: [...elements.generationTones].map(input => input.value), audience: elements.generationAudience?.value || '', cta: elements.generationCta?.value || '', instructions: elements.generationInstructions?.value || '' }); }
+    function setGenerationFields(settings) { elements.generationLanguage.value = settings.language; elements.generationHook.value = settings.hook; elements.generationTones.forEach((input, i) => { input.value = settings.tones[i] || ''; }); elements.generationAudience.value = settings.audience; elements.generationCta.value = settings.cta; elements.generationInstructions.value = settings.instructions; }
+    function renderPromptPresets(presets, selectedId = elements.promptPresetSelect?.value) { promptPresets = presets; elements.promptPresetSelect.innerHTML = presets.length ? presets.map(p => `<option value="${p.id}" ${p.id===selectedId?'selected':''}>${escapeHtml(p.name)}</option>`).join('') : '<option value="">No saved presets</option>'; elements.loadPromptPresetBtn.disabled = elements.deletePromptPresetBtn.disabled = !presets.length; }
+
     function setupSlides(callbacks) {
         elements.slidesEditor?.addEventListener('click', e => {
             const bgBtn = e.target.closest('.bg-type-btn');
@@ -249,34 +570,259 @@ const UIModule = (function() {
                 card.querySelectorAll('.bg-type-btn').forEach(b => b.classList.remove('active')); bgBtn.classList.add('active');
                 card.querySelectorAll('.bg-option').forEach(o => o.classList.toggle('active', o.dataset.bgType === type));
                 currentSlideData[idx].backgroundType = type;
+                notifyChange(`Slide ${idx+1} background type`);
             }
             const aiBtn = e.target.closest('.ai-image-btn');
             if (aiBtn) callbacks.onGenerateAiImage(parseInt(aiBtn.dataset.slideIndex));
             const rmBtn = e.target.closest('.remove-image');
-            if (rmBtn) { currentSlideData[parseInt(rmBtn.dataset.slideIndex)].backgroundImage = null; renderSlideInputs(); }
+            if (rmBtn) { const idx = parseInt(rmBtn.dataset.slideIndex); if (rmBtn.dataset.slot) setSlot(idx, rmBtn.dataset.slot, null); else currentSlideData[idx].backgroundImage = null; renderSlideInputs(); notifyChange(`Remove slide ${idx+1} image`); }
+            handleGradientClick(e);
+            const focusPicker = e.target.closest('.bg-focus-picker');
+            if (focusPicker) handleFocusClick(focusPicker, e);
+            const resetBtn = e.target.closest('.bg-style-reset');
+            if (resetBtn) { const idx = parseInt(resetBtn.dataset.slideIndex); currentSlideData[idx].backgroundStyle = {}; renderSlideInputs(); notifyChange(`Reset slide ${idx+1} image adjustments`); }
+            const actionBtn = e.target.closest('[data-slide-action]');
+            if (actionBtn && !actionBtn.disabled) handleSlideAction(actionBtn.dataset.slideAction, parseInt(actionBtn.dataset.slideIndex));
+            const rewriteBtn = e.target.closest('[data-rewrite]');
+            if (rewriteBtn && !rewriteBtn.disabled) { const idx = parseInt(rewriteBtn.dataset.slideIndex); if (rewriteBtn.dataset.rewrite === 'cancel') callbacks.onCancelRewriteSlide(currentSlideData[idx].id); else callbacks.onRewriteSlide(idx, rewriteBtn.dataset.rewrite); }
+        });
+        setupSlideDragging();
+        elements.slidesEditor?.addEventListener('input', e => { if (e.target.classList.contains('slide-text-input')) { const idx = parseInt(e.target.dataset.slideIndex); currentSlideData[idx].text = e.target.value; updateAltTextPlaceholder(idx); notifyChange(`Slide ${idx+1} text`, `text:${currentSlideData[idx].id}`); }
+            if (e.target.classList.contains('slide-slot-input')) { const idx = parseInt(e.target.dataset.slideIndex), slot = e.target.dataset.slot; setSlot(idx, slot, e.target.value); updateAltTextPlaceholder(idx); notifyChange(`Slide ${idx+1} ${slot}`, `slot:${currentSlideData[idx].id}:${slot}`); }
+            if (e.target.classList.contains('slide-alt-input')) { const idx = parseInt(e.target.dataset.slideIndex); currentSlideData[idx].altText = e.target.value; updateCarouselAltText(idx); notifyChange(`Slide ${idx+1} alt text`, `alt:${currentSlideData[idx].id}`); }
+            if (e.target.classList.contains('bg-style-input')) handleBackgroundStyleInput(e.target);
+            if (e.target.closest('.gradient-editor')) handleGradientInput(e.target);
+            if (e.target.classList.contains('pattern-input')) handlePatternInput(e.target);
         });
-        elements.slidesEditor?.addEventListener('input', e => { if (e.target.classList.contains('slide-text-input')) currentSlideData[parseInt(e.target.dataset.slideIndex)].text = e.target.value; });
         elements.slidesEditor?.addEventListener('change', e => {
             const idx = parseInt(e.target.dataset.slideIndex);
-            if (e.target.classList.contains('slide-bg-color')) { currentSlideData[idx].backgroundColor = e.target.value; const hex = e.target.parentElement.querySelector('.slide-bg-color-hex'); if (hex) hex.value = e.target.value; }
-            if (e.target.classList.contains('slide-bg-color-hex') && /^#[0-9A-Fa-f]{6}$/.test(e.target.value)) { currentSlideData[idx].backgroundColor = e.target.value; const col = e.target.parentElement.querySelector('.slide-bg-color'); if (col) col.value = e.target.value; }
-            if (e.target.classList.contains('slide-image-input') && e.target.files[0]) { const reader = new FileReader(); reader.onload = ev => { currentSlideData[idx].backgroundImage = ev.target.result; renderSlideInputs(); }; reader.readAsDataURL(e.target.files[0]); }
+            if (e.target.classList.contains('slide-template-select')) { currentSlideData[idx].template = e.target.value; renderSlideInputs(); notifyChange(`Slide ${idx+1} template`); }
+            if (e.target.classList.contains('slide-slot-image-input') && e.target.files[0]) { const slot = e.target.dataset.slot, reader = new FileReader(); reader.onload = ev => { setSlot(idx, slot, ev.target.result); renderSlideInputs(); notifyChange(`Slide ${idx+1} ${slot}`); }; reader.readAsDataURL(e.target.files[0]); }
+            if (e.target.classList.contains('slide-chrome-input')) { const key = e.target.dataset.key; currentSlideData[idx].chrome = { ...currentSlideData[idx].chrome, [key]: e.target.checked }; notifyChange(`Slide ${idx+1} ${CHROME_LABELS[key].toLowerCase()} ${e.target.checked?'on':'off'}`); }
+            if (e.target.classList.contains('slide-autofit-input')) { currentSlideData[idx].autoFit = e.target.checked; notifyChange(`Slide ${idx+1} auto-fit`); }
+            // The color and pattern panels each have a base color picker; keep both in step
+            if (e.target.classList.contains('slide-bg-color') || (e.target.classList.contains('slide-bg-color-hex') && /^#[0-9A-Fa-f]{6}$/.test(e.target.value))) { currentSlideData[idx].backgroundColor = e.target.value; e.target.closest('.slide-card').querySelectorAll('.slide-bg-color, .slide-bg-color-hex').forEach(el => { if (el !== e.target) el.value = e.target.value; }); notifyChange(`Slide ${idx+1} background color`, `bg:${currentSlideData[idx].id}`); }
+            if (e.target.classList.contains('slide-image-input') && e.target.files[0]) { const reader = new FileReader(); reader.onload = ev => { currentSlideData[idx].backgroundImage = ev.target.result; renderSlideInputs(); notifyChange(`Slide ${idx+1} image`); }; reader.readAsDataURL(e.target.files[0]); }
         });
     }
 
+    function createSlide(overrides = {}) { return { id: ProjectModule.generateId(), text: '', backgroundType: 'color', backgroundColor: elements.backgroundColor.value || '#211D58', backgroundImage: null, autoFit: false, template: TemplateModule.DEFAULT_TEMPLATE, slots: {}, positions: {}, backgroundStyle: {}, gradient: null, pattern: {}, chrome: {}, altText: '', ...overrides }; }
+
+    function moveSlide(from, to) {
+        if (to < 0 || to >= currentSlideData.length || from === to) return;
+        const [slide] = currentSlideData.splice(from, 1);
+        currentSlideData.splice(to, 0, slide);
+        commitSlideStructure(`Move slide ${from+1} to ${to+1}`);
+    }
+
+    function handleSlideAction(action, idx) {
+        const canAdd = currentSlideData.length < MAX_SLIDES;
+        if (action === 'move-up') moveSlide(idx, idx - 1);
+        else if (action === 'move-down') moveSlide(idx, idx + 1);
+        else if (action === 'insert-before' && canAdd) { currentSlideData.splice(idx, 0, createSlide()); commitSlideStructure(`Insert slide before ${idx+1}`); }
+        else if (action === 'insert-after' && canAdd) { currentSlideData.splice(idx + 1, 0, createSlide()); commitSlideStructure(`Insert slide after ${idx+1}`); }
+        else if (action === 'duplicate' && canAdd) { currentSlideData.splice(idx + 1, 0, createSlide({ ...currentSlideData[idx], id: ProjectModule.generateId() })); commitSlideStructure(`Duplicate slide ${idx+1}`); }
+        else if (action === 'delete' && currentSlideData.length > 1) { currentSlideData.splice(idx, 1); commitSlideStructure(`Delete slide ${idx+1}`); }
+    }
+
+    function commitSlideStructure(label) { elements.slideCount.value = currentSlideData.length; renderSlideInputs(); notifyChange(label); }
+
+    function setupSlideDragging() {
+        let dragIndex = null;
+        const clearDropMarkers = () => elements.slidesEditor.querySelectorAll('.drop-before, .drop-after, .dragging').forEach(c => c.classList.remove('drop-before', 'drop-after', 'dragging'));
+        const isAfter = (card, e) => e.clientY > card.getBoundingClientRect().top + card.offsetHeight / 2;
+        elements.slidesEditor?.addEventListener('dragstart', e => {
+            const handle = e.target.closest?.('.slide-drag-handle');
+            if (!handle) return;
+            const card = handle.closest('.slide-card');
+            dragIndex = parseInt(card.dataset.slideIndex);
+            card.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(dragIndex));
+            e.dataTransfer.setDragImage(card, 24, 24);
+        });
+        elements.slidesEditor?.addEventListener('dragover', e => {
+            const card = dragIndex !== null && e.target.closest('.slide-card');
+            if (!card) return;
+            e.preventDefault();
+            elements.slidesEditor.querySelectorAll('.drop-before, .drop-after').forEach(c => c.classList.remove('drop-before', 'drop-after'));
+            card.classList.add(isAfter(card, e) ? 'drop-after' : 'drop-before');
+        });
+        elements.slidesEditor?.addEventListener('drop', e => {
+            const card = dragIndex !== null && e.target.closest('.slide-card');
+            if (!card) return;
+            e.preventDefault();
+            const position = parseInt(card.dataset.slideIndex) + (isAfter(card, e) ? 1 : 0);
+            const from = dragIndex;
+            dragIndex = null;
+            clearDropMarkers();
+            moveSlide(from, position > from ? position - 1 : position);
+        });
+        elements.slidesEditor?.addEventListener('dragend', () => { dragIndex = null; clearDropMarkers(); });
+    }
+
+    function slideActionButton(action, idx, title, icon, disabled = false) { return `<button type="button" class="slide-action-btn ${action==='delete'?'danger':''}" data-slide-action="${action}" data-slide-index="${idx}" title="${title}" ${disabled?'disabled':''}><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${icon}</svg></button>`; }
+
+    function renderSlideActions(i) {
+        const count = currentSlideData.length, full = count >= MAX_SLIDES;
+        return `<div class="slide-card-actions">${[
+            slideActionButton('move-up', i, 'Move up', '<polyline points="18 15 12 9 6 15"/>', i === 0),
+            slideActionButton('move-down', i, 'Move down', '<polyline points="6 9 12 15 18 9"/>', i === count - 1),
+            slideActionButton('insert-before', i, 'Insert slide before', '<line x1="12" y1="11" x2="12" y2="21"/><line x1="7" y1="16" x2="17" y2="16"/><line x1="4" y1="4" x2="20" y2="4"/>', full),
+            slideActionButton('insert-after', i, 'Insert slide after', '<line x1="12" y1="3" x2="12" y2="13"/><line x1="7" y1="8" x2="17" y2="8"/><line x1="4" y1="20" x2="20" y2="20"/>', full),
+            slideActionButton('duplicate', i, 'Duplicate slide', '<rect x="9" y="9" width="13" height="13" rx="2"/><path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>', full),
+            slideActionButton('delete', i, 'Delete slide', '<polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 01-2 2H8a2 2 0 01-2-2L5 6"/><path d="M10 11v6M14 11v6"/><path d="M9 6V4a1 1 0 011-1h4a1 1 0 011 1v2"/>', count <= 1)
+        ].join('')}</div>`;
+    }
+
+    function renderTemplateOptions(selected) { return TemplateModule.listTemplates().map(t => `<option value="${t.id}" ${t.id===selected?'selected':''}>${t.name}</option>`).join(''); }
+    function renderSlotField(s, i, slot) {
+        if (slot.id === 'text') return `<div class="slide-form-group"><div class="slide-text-header"><label>${slot.label}</label><label class="slide-autofit"><input type="checkbox" class="slide-autofit-input" data-slide-index="${i}" ${s.autoFit?'checked':''}>Auto-fit</label></div><textarea class="slide-text-input" data-slide-index="${i}" placeholder="Enter slide text..." ${rewritingSlides.has(s.id)?'readonly':''}>${escapeHtml(s.text)}</textarea>${renderRewriteBar(s, i)}<p class="slide-text-hint"><code># Headline</code> <code>**bold**</code> <code>==highlight==</code> · line breaks are kept</p><p class="slide-text-status hidden" data-slide-index="${i}"></p></div>`;
+        const value = s.slots?.[slot.id] || '';
+        if (slot.type === 'image') return `<div class="slide-form-group"><label>${slot.label}</label>${value?`<div class="image-preview-container"><img src="${value}" alt="${slot.label}"><button type="button" class="remove-image" data-slide-index="${i}" data-slot="${slot.id}"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button></div>`:`<div class="image-upload-area"><div class="upload-text"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg><span>Upload image</span></div><input type="file" class="slide-slot-image-input" data-slide-index="${i}" data-slot="${slot.id}" accept="image/*"></div>`}</div>`;
+        return `<div class="slide-form-group"><label>${slot.label}</label><input type="text" class="slide-slot-input" data-slide-index="${i}" data-slot="${slot.id}" value="${escapeHtml(value)}"></div>`;
+    }
+    // Rewrites send the whole carousel as context but only replace this slide's text
+    function renderRewriteBar(s, i) { const busy = rewritingSlides.has(s.id), btn = mode => `<button type="button" class="slide-rewrite-btn" data-rewrite="${mode}" data-slide-index="${i}" ${busy?'disabled':''}>${REWRITE_LABELS[mode]}</button>`; return `<div class="slide-rewrite ${busy?'busy':''}" data-slide-id="${s.id}">${btn('regenerate')}<span class="slide-rewrite-label">Rewrite:</span>${btn('shorter')}${btn('punchier')}${btn('stat')}${busy?`<span class="slide-rewrite-status">Rewriting...</span><button type="button" class="btn-link" data-rewrite="cancel" data-slide-index="${i}">Cancel</button>`:''}</div>`; }
+    function setSlideRewriting(slideId, busy) {
+        if (busy) rewritingSlides.add(slideId); else rewritingSlides.delete(slideId);
+        const idx = currentSlideData.findIndex(s => s.id === slideId), bar = elements.slidesEditor.querySelector(`.slide-rewrite[data-slide-id="${slideId}"]`); if (idx === -1 || !bar) return;
+        bar.outerHTML = renderRewriteBar(currentSlideData[idx], idx);
+        const input = elements.slidesEditor.querySelector(`.slide-text-input[data-slide-index="${idx}"]`); if (input) input.readOnly = busy;
+    }
+    // The slide may have moved while the rewrite ran, so it is found by id; false once it is gone
+    function replaceSlideText(slideId, { text, altText = '' }, mode) { const idx = currentSlideData.findIndex(s => s.id === slideId); if (idx === -1) return false; Object.assign(currentSlideData[idx], { text, altText }); renderSlideInputs(); notifyChange(`Rewrite slide ${idx+1} (${REWRITE_LABELS[mode].toLowerCase()})`); return true; }
+    // An empty alt text falls back to the slide text, which the placeholder previews
+    function renderAltTextField(s, i) { return `<div class="slide-form-group"><label>Alt text</label><textarea class="slide-alt-input" data-slide-index="${i}" rows="2" placeholder="${escapeHtml(TemplateModule.getAutoAltText(s) || 'Describe this slide for screen readers')}">${escapeHtml(s.altText || '')}</textarea><p class="slide-text-hint">Read aloud by screen readers. Leave empty to use the slide text.</p></div>`; }
+    function updateAltTextPlaceholder(idx) { const input = elements.slidesEditor.querySelector(`.slide-alt-input[data-slide-index="${idx}"]`); if (input) input.placeholder = TemplateModule.getAutoAltText(currentSlideData[idx]) || 'Describe this slide for screen readers'; updateCarouselAltText(idx); }
+    function setSlot(idx, slot, value) { currentSlideData[idx].slots = { ...currentSlideData[idx].slots, [slot]: value }; }
+
+    // Percent controls store fractions (`data-scale`); overlay opacity shows the template's scrim until it is set
+    const BG_STYLE_LABELS = { fit: 'image fit', zoom: 'zoom', focus: 'focal point', overlayColor: 'overlay color', overlayOpacity: 'overlay opacity', overlayDirection: 'overlay direction', brightness: 'brightness', contrast: 'contrast', saturation: 'saturation', blur: 'blur', grayscale: 'grayscale', duotone: 'duotone' };
+    function bgStyleRange(i, key, label, value, min, max, unit = '%', scale = 1) { const shown = Math.round(value * scale); return `<label class="bg-style-field"><span>${label}</span><input type="range" class="bg-style-input" data-slide-index="${i}" data-key="${key}" data-scale="${scale}" min="${min}" max="${max}" value="${shown}"><output>${shown}${unit}</output></label>`; }
+    function renderBackgroundStyle(s, i) {
+        const style = { ...CanvasModule.DEFAULT_BACKGROUND_STYLE, ...s.backgroundStyle }, scrim = TemplateModule.getTemplate(s.template).layers.find(l => l.type === 'background')?.scrim || 0;
+        const select = (key, options) => `<select class="bg-style-input" data-slide-index="${i}" data-key="${key}">${Object.entries(options).map(([v, l]) => `<option value="${v}" ${style[key]===v?'selected':''}>${l}</option>`).join('')}</select>`;
+        return `<details class="bg-style-editor" data-slide-id="${s.id}"><summary>Adjust image</summary><div class="bg-focus-picker" data-slide-index="${i}" title="Click to set the focal point"><img src="${s.backgroundImage}" alt="Focal point"><span class="bg-focus-marker" style="left:${style.focusX*100}%;top:${style.focusY*100}%"></span></div><div class="bg-style-grid"><label class="bg-style-field"><span>Fit</span>${select('fit', { cover: 'Cover (crop)', contain: 'Contain (blurred fill)' })}</label>${bgStyleRange(i, 'zoom', 'Zoom', style.zoom, 100, 300, '%', 100)}<label class="bg-style-field"><span>Overlay</span><input type="color" class="bg-style-input" data-slide-index="${i}" data-key="overlayColor" value="${style.overlayColor}"></label>${bgStyleRange(i, 'overlayOpacity', 'Overlay opacity', style.overlayOpacity ?? scrim, 0, 90, '%', 100)}<label class="bg-style-field"><span>Overlay direction</span>${select('overlayDirection', { flat: 'Flat', bottom: 'Fade to bottom', top: 'Fade to top', left: 'Fade to left', right: 'Fade to right' })}</label>${bgStyleRange(i, 'brightness', 'Brightness', style.brightness, 0, 200)}${bgStyleRange(i, 'contrast', 'Contrast', style.contrast, 0, 200)}${bgStyleRange(i, 'saturation', 'Saturation', style.saturation, 0, 200)}${bgStyleRange(i, 'blur', 'Blur', style.blur, 0, 20, 'px')}${bgStyleRange(i, 'grayscale', 'Grayscale', style.grayscale, 0, 100)}<label class="bg-style-check"><input type="checkbox" class="bg-style-input" data-slide-index="${i}" data-key="duotone" ${style.duotone?'checked':''}>Duotone in brand colors</label></div><button type="button" class="bg-style-reset" data-slide-index="${i}">Reset image adjustments</button></details>`;
+    }
+    function setBackgroundStyle(idx, changes, key) { const slide = currentSlideData[idx]; slide.backgroundStyle = { ...slide.backgroundStyle, ...changes }; notifyChange(`Slide ${idx+1} ${BG_STYLE_LABELS[key]}`, `bgstyle:${slide.id}:${key}`); }
+    function handleBackgroundStyleInput(input) {
+        const idx = parseInt(input.dataset.slideIndex), key = input.dataset.key;
+        if (input.type === 'checkbox') return setBackgroundStyle(idx, { [key]: input.checked }, key);
+        if (input.type !== 'range') return setBackgroundStyle(idx, { [key]: input.value }, key);
+        const scale = parseFloat(input.dataset.scale) || 1, output = input.nextElementSibling;
+        if (output) output.textContent = `${input.value}${key === 'blur' ? 'px' : '%'}`;
+        setBackgroundStyle(idx, { [key]: parseFloat(input.value) / scale }, key);
+    }
+    function handleFocusClick(picker, e) {
+        const rect = picker.getBoundingClientRect(), clamp = v => Math.round(Math.min(1, Math.max(0, v)) * 1000) / 1000;
+        const focusX = clamp((e.clientX - rect.left) / rect.width), focusY = clamp((e.clientY - rect.top) / rect.height), marker = picker.querySelector('.bg-focus-marker');
+        if (marker) { marker.style.left = `${focusX*100}%`; marker.style.top = `${focusY*100}%`; }
+        setBackgroundStyle(parseInt(picker.dataset.slideIndex), { focusX, focusY }, 'focus');
+    }
+
+    const BG_TYPES = { color: 'Color', gradient: 'Gradient', pattern: 'Pattern', image: 'Image' };
+    function renderBgColorPicker(s, i) { return `<div class="bg-color-picker"><input type="color" class="slide-bg-color" data-slide-index="${i}" value="${s.backgroundColor}"><input type="text" class="slide-bg-color-hex" data-slide-index="${i}" value="${s.backgroundColor}" maxlength="7"></div>`; }
+    function renderPatternEditor(s, i) {
+        const pattern = { ...CanvasModule.DEFAULT_PATTERN, ...s.pattern };
+        return `<div class="bg-style-grid pattern-editor"><label class="bg-style-field"><span>Pattern</span><select class="pattern-input" data-slide-index="${i}" data-key="type">${Object.entries({ dots: 'Dots', grid: 'Grid', noise: 'Noise' }).map(([v, l]) => `<option value="${v}" ${pattern.type===v?'selected':''}>${l}</option>`).join('')}</select></label><label class="bg-style-field"><span>Pattern color</span><input type="color" class="pattern-input" data-slide-index="${i}" data-key="color" value="${pattern.color}"></label><label class="bg-style-field"><span>Opacity</span><input type="range" class="pattern-input" data-slide-index="${i}" data-key="opacity" data-scale="100" min="5" max="100" value="${Math.round(pattern.opacity*100)}"><output>${Math.round(pattern.opacity*100)}%</output></label><label class="bg-style-field"><span>Spacing</span><input type="range" class="pattern-input" data-slide-index="${i}" data-key="size" min="10" max="160" value="${pattern.size}"><output>${pattern.size}px</output></label></div>`;
+    }
+    const CHROME_LABELS = { counter: 'Page counter', progress: 'Progress bar', swipe: 'Swipe hint', footer: 'Footer' };
+    function renderChromeToggles(s, i) { return `<div class="slide-form-group"><label>Carousel chrome</label><div class="slide-chrome-toggles">${Object.entries(CHROME_LABELS).map(([key, label]) => `<label><input type="checkbox" class="slide-chrome-input" data-slide-index="${i}" data-key="${key}" ${s.chrome?.[key]!==false?'checked':''}>${label}</label>`).join('')}</div></div>`; }
+    function renderBackgroundField(s, i, settings) {
+        const type = BG_TYPES[s.backgroundType] ? s.backgroundType : 'color', panoramaHint = panorama.enabled ? '<p class="slide-text-hint">Panorama background is on; this slide shows its slice of it.</p>' : '';
+        const options = {
+            color: renderBgColorPicker(s, i),
+            gradient: renderGradientEditor(CanvasModule.resolveGradient(s.gradient, s.backgroundColor, settings), i),
+            pattern: `<label class="bg-option-label">Base color</label>${renderBgColorPicker(s, i)}${renderPatternEditor(s, i)}`,
+            image: `${s.backgroundImage?`<div class="image-preview-container"><img src="${s.backgroundImage}" alt="Slide ${i+1}"><button type="button" class="remove-image" data-slide-index="${i}"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button></div>${renderBackgroundStyle(s, i)}`:`<div class="image-upload-area"><div class="upload-text"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg><span>Upload image</span></div><input type="file" class="slide-image-input" data-slide-index="${i}" accept="image/*"></div>`}<button type="button" class="ai-image-btn" data-slide-index="${i}"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/></svg>Generate with AI</button>`
+        };
+        return `<div class="slide-form-group"><label>Background</label>${panoramaHint}<div class="background-type-toggle">${Object.entries(BG_TYPES).map(([t, l]) => `<button type="button" class="bg-type-btn ${type===t?'active':''}" data-bg-type="${t}">${l}</button>`).join('')}</div><div class="background-options">${Object.entries(options).map(([t, html]) => `<div class="bg-option ${type===t?'active':''}" data-bg-type="${t}">${html}</div>`).join('')}</div></div>`;
+    }
+
+    // Shared by slide gradients (scope = slide index) and the panorama (scope = 'panorama')
+    function gradientCss(gradient) { const stops = [...gradient.stops].sort((a, b) => a.offset - b.offset).map(s => `${s.color} ${Math.round(s.offset*100)}%`).join(', '); return gradient.type === 'radial' ? `radial-gradient(circle, ${stops})` : `linear-gradient(${gradient.angle}deg, ${stops})`; }
+    function renderGradientEditor(gradient, scope) {
+        const stops = gradient.stops;
+        return `<div class="gradient-editor" data-scope="${scope}"><div class="gradient-preview" style="background:${gradientCss(gradient)}"></div><div class="bg-style-grid"><label class="bg-style-field"><span>Type</span><select class="gradient-input" data-key="type"><option value="linear" ${gradient.type!=='radial'?'selected':''}>Linear</option><option value="radial" ${gradient.type==='radial'?'selected':''}>Radial</option></select></label><label class="bg-style-field gradient-angle ${gradient.type==='radial'?'disabled':''}"><span>Angle</span><input type="range" class="gradient-input" data-key="angle" min="0" max="360" value="${gradient.angle}"><output>${gradient.angle}°</output></label></div><div class="gradient-stops">${stops.map((stop, n) => `<div class="gradient-stop"><input type="color" class="gradient-stop-input" data-stop="${n}" data-key="color" value="${stop.color}"><input type="range" class="gradient-stop-input" data-stop="${n}" data-key="offset" min="0" max="100" value="${Math.round(stop.offset*100)}"><output>${Math.round(stop.offset*100)}%</output><button type="button" class="gradient-remove-stop" data-stop="${n}" title="Remove color stop" ${stops.length<=2?'disabled':''}>×</button></div>`).join('')}</div><button type="button" class="gradient-add-stop" ${stops.length>=CanvasModule.MAX_GRADIENT_STOPS?'disabled':''}>Add color stop</button></div>`;
+    }
+    function getScopeGradient(scope) { const settings = getGlobalSettings(); if (scope === 'panorama') return CanvasModule.resolveGradient(panorama.gradient, settings.backgroundColor, settings); const s = currentSlideData[scope]; return CanvasModule.resolveGradient(s.gradient, s.backgroundColor, settings); }
+    function setScopeGradient(scope, gradient, key) {
+        if (scope === 'panorama') { panorama = { ...panorama, gradient }; notifyChange(`Panorama gradient ${key}`, `panorama:gradient:${key}`); return; }
+        currentSlideData[scope].gradient = gradient; notifyChange(`Slide ${scope+1} gradient ${key}`, `gradient:${currentSlideData[scope].id}:${key}`);
+    }
+    function rerenderGradientScope(scope) { if (scope === 'panorama') renderPanoramaSettings(); else renderSlideInputs(); }
+    // Insert the new stop halfway across the widest gap, in the color on its left
+    function addGradientStop(gradient) { const sorted = [...gradient.stops].sort((a, b) => a.offset - b.offset); let at = 0; sorted.slice(1).forEach((stop, n) => { if (stop.offset - sorted[n].offset > sorted[at+1].offset - sorted[at].offset) at = n; }); return [...gradient.stops, { color: sorted[at].color, offset: Math.round((sorted[at].offset + sorted[at+1].offset) * 50) / 100 }]; }
+    function handleGradientClick(e) {
+        const btn = e.target.closest('.gradient-add-stop, .gradient-remove-stop'), editor = btn?.closest('.gradient-editor');
+        if (!btn || !editor || btn.disabled) return;
+        const scope = editor.dataset.scope === 'panorama' ? 'panorama' : parseInt(editor.dataset.scope), gradient = getScopeGradient(scope);
+        const stops = btn.classList.contains('gradient-add-stop') ? addGradientStop(gradient) : gradient.stops.filter((_, n) => n !== parseInt(btn.dataset.stop));
+        setScopeGradient(scope, { ...gradient, stops }, 'stops');
+        rerenderGradientScope(scope);
+    }
+    function handleGradientInput(input) {
+        const editor = input.closest('.gradient-editor'), scope = editor.dataset.scope === 'panorama' ? 'panorama' : parseInt(editor.dataset.scope), key = input.dataset.key;
+        let gradient = getScopeGradient(scope);
+        if (input.classList.contains('gradient-stop-input')) { const n = parseInt(input.dataset.stop), value = key === 'offset' ? parseInt(input.value) / 100 : input.value; gradient = { ...gradient, stops: gradient.stops.map((stop, m) => m === n ? { ...stop, [key]: value } : stop) }; }
+        else gradient = { ...gradient, [key]: key === 'angle' ? parseInt(input.value) : input.value };
+        if (input.type === 'range') input.nextElementSibling.textContent = key === 'angle' ? `${input.value}°` : `${input.value}%`;
+        editor.querySelector('.gradient-preview').style.background = gradientCss(gradient);
+        editor.querySelector('.gradient-angle').classList.toggle('disabled', gradient.type === 'radial');
+        setScopeGradient(scope, gradient, key === 'offset' || key === 'color' ? 'stops' : key);
+    }
+    function handlePatternInput(input) {
+        const idx = parseInt(input.dataset.slideIndex), key = input.dataset.key, slide = currentSlideData[idx];
+        const value = input.type === 'range' ? parseFloat(input.value) / (parseFloat(input.dataset.scale) || 1) : input.value;
+        if (input.type === 'range') input.nextElementSibling.textContent = `${input.value}${key === 'size' ? 'px' : '%'}`;
+        slide.pattern = { ...slide.pattern, [key]: value };
+        notifyChange(`Slide ${idx+1} pattern ${key}`, `pattern:${slide.id}:${key}`);
+    }
+
+    function renderPanoramaSettings() {
+        elements.panoramaEnabled.checked = panorama.enabled;
+        elements.panoramaContent.classList.toggle('hidden', !panorama.enabled);
+        elements.panoramaType.querySelectorAll('.bg-type-btn').forEach(b => b.classList.toggle('active', b.dataset.panoramaType === panorama.type));
+        const settings = getGlobalSettings();
+        elements.panoramaGradient.classList.toggle('hidden', panorama.type !== 'gradient');
+        elements.panoramaGradient.innerHTML = renderGradientEditor(CanvasModule.resolveGradient(panorama.gradient, settings.backgroundColor, settings), 'panorama');
+        elements.panoramaImage.classList.toggle('hidden', panorama.type !== 'image');
+        elements.panoramaImage.innerHTML = panorama.image ? `<div class="image-preview-container panorama-preview"><img src="${panorama.image}" alt="Panorama"><button type="button" class="remove-image" id="panoramaRemoveBtn"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button></div><label class="bg-style-field"><span>Vertical position</span><input type="range" id="panoramaFocusY" min="0" max="100" value="${Math.round(panorama.focusY*100)}"><output>${Math.round(panorama.focusY*100)}%</output></label>` : `<div class="image-upload-area"><div class="upload-text"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg><span>Upload a wide image</span></div><input type="file" id="panoramaFileInput" accept="image/*"></div>`;
+    }
+
+    function setupPanorama() {
+        const setPanorama = (changes, label) => { panorama = { ...panorama, ...changes }; notifyChange(label, label === 'Panorama position' ? 'panorama:focusY' : null); };
+        elements.panoramaEnabled?.addEventListener('change', () => { setPanorama({ enabled: elements.panoramaEnabled.checked }, 'Panorama on/off'); renderPanoramaSettings(); renderSlideInputs(); });
+        elements.panoramaType?.addEventListener('click', e => { const btn = e.target.closest('.bg-type-btn'); if (btn && btn.dataset.panoramaType !== panorama.type) { setPanorama({ type: btn.dataset.panoramaType }, 'Panorama type'); renderPanoramaSettings(); } });
+        elements.panoramaGradient?.addEventListener('click', handleGradientClick);
+        elements.panoramaGradient?.addEventListener('input', e => { if (e.target.closest('.gradient-editor')) handleGradientInput(e.target); });
+        elements.panoramaImage?.addEventListener('click', e => { if (e.target.closest('#panoramaRemoveBtn')) { setPanorama({ image: null }, 'Remove panorama image'); renderPanoramaSettings(); } });
+        elements.panoramaImage?.addEventListener('input', e => { if (e.target.id === 'panoramaFocusY') { e.target.nextElementSibling.textContent = `${e.target.value}%`; setPanorama({ focusY: parseInt(e.target.value) / 100 }, 'Panorama position'); } });
+        elements.panoramaImage?.addEventListener('change', e => { if (e.target.id !== 'panoramaFileInput' || !e.target.files[0]) return; const reader = new FileReader(); reader.onload = ev => { setPanorama({ image: ev.target.result }, 'Panorama image'); renderPanoramaSettings(); }; reader.readAsDataURL(e.target.files[0]); });
+    }
+
     function renderSlideInputs() {
-        const count = parseInt(elements.slideCount.value) || 3, defBg = elements.backgroundColor.value || '#211D58';
-        while (currentSlideData.length < count) currentSlideData.push({ text: '', backgroundType: 'color', backgroundColor: defBg, backgroundImage: null });
+        const count = parseInt(elements.slideCount.value) || 3, defBg = elements.backgroundColor.value || '#211D58', size = getGlobalSettings();
+        while (currentSlideData.length < count) currentSlideData.push(createSlide({ backgroundColor: defBg }));
         while (currentSlideData.length > count) currentSlideData.pop();
-        elements.slidesEditor.innerHTML = currentSlideData.map((s, i) => `<div class="slide-card" data-slide-index="${i}"><div class="slide-card-header"><h3>Slide ${i+1}</h3><span class="slide-dimensions">1080 × 1350</span></div><div class="slide-card-body"><div class="slide-form-group"><label>Text Content</label><textarea class="slide-text-input" data-slide-index="${i}" placeholder="Enter slide text...">${s.text}</textarea></div><div class="slide-form-group"><label>Background</label><div class="background-type-toggle"><button type="button" class="bg-type-btn ${s.backgroundType==='color'?'active':''}" data-bg-type="color">Color</button><button type="button" class="bg-type-btn ${s.backgroundType==='image'?'active':''}" data-bg-type="image">Image</button></div><div class="background-options"><div class="bg-option ${s.backgroundType==='color'?'active':''}" data-bg-type="color"><div class="bg-color-picker"><input type="color" class="slide-bg-color" data-slide-index="${i}" value="${s.backgroundColor}"><input type="text" class="slide-bg-color-hex" data-slide-index="${i}" value="${s.backgroundColor}" maxlength="7"></div></div><div class="bg-option ${s.backgroundType==='image'?'active':''}" data-bg-type="image">${s.backgroundImage?`<div class="image-preview-container"><img src="${s.backgroundImage}" alt="Slide ${i+1}"><button type="button" class="remove-image" data-slide-index="${i}"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></button></div>`:`<div class="image-upload-area"><div class="upload-text"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg><span>Upload image</span></div><input type="file" class="slide-image-input" data-slide-index="${i}" accept="image/*"></div>`}<button type="button" class="ai-image-btn" data-slide-index="${i}"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/></svg>Generate with AI</button></div></div></div></div></div>`).join('');
+        const openEditors = new Set([...elements.slidesEditor.querySelectorAll('.bg-style-editor[open]')].map(d => d.dataset.slideId));
+        elements.slidesEditor.innerHTML = currentSlideData.map((s, i) => `<div class="slide-card" data-slide-index="${i}" data-slide-id="${s.id}"><div class="slide-card-header"><div class="slide-card-title"><span class="slide-drag-handle" draggable="true" title="Drag to reorder"><svg viewBox="0 0 24 24" fill="currentColor"><circle cx="9" cy="6" r="1.5"/><circle cx="15" cy="6" r="1.5"/><circle cx="9" cy="12" r="1.5"/><circle cx="15" cy="12" r="1.5"/><circle cx="9" cy="18" r="1.5"/><circle cx="15" cy="18" r="1.5"/></svg></span><h3>Slide ${i+1}</h3></div>${renderSlideActions(i)}<span class="slide-dimensions">${size.width} × ${size.height}</span></div><div class="slide-card-body"><div class="slide-form-group"><label>Template</label><select class="slide-template-select" data-slide-index="${i}">${renderTemplateOptions(s.template)}</select></div>${TemplateModule.getTemplate(s.template).slots.map(slot => renderSlotField(s, i, slot)).join('')}${renderAltTextField(s, i)}${renderBackgroundField(s, i, size)}${renderChromeToggles(s, i)}</div></div>`).join('');
+        elements.slidesEditor.querySelectorAll('.bg-style-editor').forEach(d => { if (openEditors.has(d.dataset.slideId)) d.open = true; });
+        updateTextWarnings();
     }
 
-    function applyTextToSlides(option) { option.slides.forEach((s, i) => { if (currentSlideData[i]) currentSlideData[i].text = s.text; }); renderSlideInputs(); document.getElementById('slides')?.scrollIntoView({ behavior: 'smooth' }); showToast('Text applied!', 'success'); }
-    function setSlideImage(idx, img) { if (currentSlideData[idx]) { currentSlideData[idx].backgroundImage = img; currentSlideData[idx].backgroundType = 'image'; renderSlideInputs(); }}
+    // An AI caption only fills an empty composer; otherwise it waits in the suggestions list
+    function applyTextToSlides(option) { option.slides.forEach((s, i) => { if (currentSlideData[i]) Object.assign(currentSlideData[i], { text: s.text, altText: s.altText || '' }); }); if (option.caption && !elements.captionText.value.trim()) setCaptionFields({ text: option.caption, hashtags: (option.hashtags || []).join(' ') }); renderSlideInputs(); notifyChange(`Apply ${option.label || 'AI'} text`); document.getElementById('slides')?.scrollIntoView({ behavior: 'smooth' }); showToast('Text applied!', 'success'); }
+    function setSlideImage(idx, img) { if (currentSlideData[idx]) { currentSlideData[idx].backgroundImage = img; currentSlideData[idx].backgroundType = 'image'; renderSlideInputs(); notifyChange(`Slide ${idx+1} AI image`); }}
 
     function setupPreview(callbacks) {
         elements.generateCarouselBtn?.addEventListener('click', () => callbacks.onGenerateCarousel());
+        elements.editLayoutBtn?.addEventListener('click', () => callbacks.onToggleLayoutEditor());
+        elements.resetLayoutBtn?.addEventListener('click', () => callbacks.onResetSlideLayout());
         elements.downloadAllBtn?.addEventListener('click', () => callbacks.onDownloadAll());
+        elements.exportAllFormatsBtn?.addEventListener('click', () => callbacks.onExportAllFormats());
+        elements.exportPdfBtn?.addEventListener('click', () => callbacks.onExportPdf());
         elements.postNowBtn?.addEventListener('click', () => callbacks.onPostNow());
         elements.schedulePostBtn?.addEventListener('click', () => callbacks.onSchedulePost());
         elements.carouselPrev?.addEventListener('click', () => callbacks.onCarouselPrev());
@@ -285,36 +831,134 @@ const UIModule = (function() {
         elements.individualDownloads?.addEventListener('click', e => { const btn = e.target.closest('.download-slide-btn'); if (btn) callbacks.onDownloadSingle(parseInt(btn.dataset.index)); });
     }
 
-    function renderCarouselSlides(images) { elements.carouselTrack.innerHTML = images.length ? images.map((img, i) => `<div class="carousel-slide" data-index="${i}"><img src="${img}" alt="Slide ${i+1}"></div>`).join('') : '<div class="carousel-slide"><div class="empty-slide"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/></svg><span>Generate to preview</span></div></div>'; }
+    // Entries may be null while a slide is still rendering
+    function getCarouselAltText(i) { return (currentSlideData[i] && TemplateModule.getAltText(currentSlideData[i])) || `Slide ${i+1}`; }
+    function updateCarouselAltText(i) { const img = elements.carouselTrack.querySelector(`.carousel-slide[data-index="${i}"] img`); if (img) img.alt = getCarouselAltText(i); }
+    function carouselSlideContent(img, i) { return img ? `<img src="${img}" alt="${escapeHtml(getCarouselAltText(i))}">` : '<div class="empty-slide rendering"><div class="spinner"></div><span>Rendering…</span></div>'; }
+    function renderCarouselSlides(images) { elements.carouselTrack.innerHTML = images.length ? images.map((img, i) => `<div class="carousel-slide" data-index="${i}">${carouselSlideContent(img, i)}</div>`).join('') : '<div class="carousel-slide"><div class="empty-slide"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/></svg><span>Generate to preview</span></div></div>'; }
+    function setCarouselSlide(index, img) { const slide = elements.carouselTrack.querySelector(`.carousel-slide[data-index="${index}"]`); if (slide) slide.innerHTML = carouselSlideContent(img, index); }
+    // Shows render progress on the generate button, which cancels while it runs; pass null when done
+    function setLayoutEditing(active) { elements.editLayoutBtn?.classList.toggle('active', active); const label = elements.editLayoutBtn?.querySelector('span'); if (label) label.textContent = active ? 'Done Editing' : 'Edit Layout'; }
+    function setRenderProgress(done, total) { const btn = elements.generateCarouselBtn; if (!btn) return; if (!btn.dataset.label) btn.dataset.label = btn.innerHTML; const active = done !== null; btn.classList.toggle('rendering', active); btn.style.setProperty('--render-progress', active && total ? `${Math.round(done / total * 100)}%` : '0%'); btn.innerHTML = active ? `<span>Rendering ${done} / ${total} · Cancel</span>` : btn.dataset.label; }
     function renderCarouselDots(count, active = 0) { elements.carouselDots.innerHTML = Array.from({length: count}, (_, i) => `<button class="carousel-dot ${i===active?'active':''}" data-index="${i}"></button>`).join(''); }
     function updateCarouselDots(active) { elements.carouselDots.querySelectorAll('.carousel-dot').forEach((d, i) => d.classList.toggle('active', i === active)); }
-    function renderDownloadButtons(images) { elements.individualDownloads.innerHTML = images.map((_, i) => `<button class="download-slide-btn" data-index="${i}">Slide ${i+1}</button>`).join(''); }
+    function renderDownloadButtons(images) { elements.individualDownloads.innerHTML = images.map((image, i) => `<button class="download-slide-btn" data-index="${i}">Slide ${i+1} <span>${ExportModule.getExtension(image).toUpperCase()} · ${Math.ceil(ExportModule.getByteSize(image) / 1024)} KB</span></button>`).join(''); }
+
+    function setupCaption(callbacks) {
+        const fields = { captionText: ['Caption', 'text'], captionHashtags: ['Hashtags', 'hashtags'], captionFirstComment: ['First comment', 'firstComment'] };
+        Object.entries(fields).forEach(([id, [label, key]]) => elements[id]?.addEventListener('input', () => { updateCaptionStats(); notifyChange(label, `caption:${key}`); }));
+        elements.captionFromSlidesBtn?.addEventListener('click', () => { const text = currentSlideData.map(s => TextLayoutModule.toPlainText(s.text)).filter(Boolean).join('\n\n'); if (!text) { showToast('Add slide text first', 'error'); return; } if (elements.captionText.value.trim() && !confirm('Replace the caption with the slide text?')) return; setCaptionFields({ text }); notifyChange('Caption from slides'); });
+        elements.insertHashtagGroupBtn?.addEventListener('click', () => { const group = hashtagGroups.find(g => g.id === elements.hashtagGroupSelect.value); if (!group) return; setCaptionFields({ hashtags: CaptionModule.normalizeHashtags([...CaptionModule.normalizeHashtags(elements.captionHashtags.value), ...group.hashtags]).join(' ') }); notifyChange(`Insert hashtag group "${group.name}"`); });
+        elements.saveHashtagGroupBtn?.addEventListener('click', () => callbacks.onSaveHashtagGroup());
+        elements.deleteHashtagGroupBtn?.addEventListener('click', () => { if (elements.hashtagGroupSelect.value) callbacks.onDeleteHashtagGroup(elements.hashtagGroupSelect.value); });
+        elements.captionSuggestions?.addEventListener('click', e => { const btn = e.target.closest('[data-suggestion]'); const option = btn && captionSuggestions[parseInt(btn.dataset.suggestion)]; if (!option) return; setCaptionFields({ text: option.caption, hashtags: (option.hashtags || []).join(' ') }); notifyChange(`Use ${option.label || 'AI'} caption`); showToast('Caption applied', 'success'); });
+    }
+    function getCaption() { return CaptionModule.createCaption({ text: elements.captionText?.value || '', hashtags: elements.captionHashtags?.value || '', firstComment: elements.captionFirstComment?.value || '' }); }
+    function setCaptionFields(caption) { if (caption.text !== undefined) elements.captionText.value = caption.text; if (caption.hashtags !== undefined) elements.captionHashtags.value = caption.hashtags; if (caption.firstComment !== undefined) elements.captionFirstComment.value = caption.firstComment; updateCaptionStats(); }
+    function renderCaptionStats(el, stats) { const L = CaptionModule.LIMITS, part = (key, noun) => `<span class="${stats[key] > L[key] ? 'over' : ''}">${stats[key].toLocaleString('en-US')} / ${L[key].toLocaleString('en-US')} ${noun}</span>`; el.innerHTML = [part('characters', 'characters'), part('hashtags', 'hashtags'), part('mentions', 'mentions')].join(' · '); }
+    function updateCaptionStats() { const caption = getCaption(); if (elements.captionStats) renderCaptionStats(elements.captionStats, CaptionModule.validate(CaptionModule.compose(caption))); if (elements.firstCommentStats) renderCaptionStats(elements.firstCommentStats, CaptionModule.validate(caption.firstComment)); }
+    function renderHashtagGroups(groups, selectedId = elements.hashtagGroupSelect?.value) { hashtagGroups = groups; elements.hashtagGroupSelect.innerHTML = groups.length ? groups.map(g => `<option value="${g.id}" ${g.id===selectedId?'selected':''} title="${escapeHtml(g.hashtags.join(' '))}">${escapeHtml(g.name)} (${g.hashtags.length})</option>`).join('') : '<option value="">No saved groups</option>'; elements.insertHashtagGroupBtn.disabled = elements.deleteHashtagGroupBtn.disabled = !groups.length; }
+    function renderCaptionSuggestions(options = []) { captionSuggestions = options; const items = options.map((o, i) => o.caption || (o.hashtags || []).length ? `<div class="caption-suggestion"><h4>${escapeHtml(o.label || o.tone || `Option ${i+1}`)}</h4>${o.caption?`<p>${escapeHtml(o.caption)}</p>`:''}${(o.hashtags || []).length?`<p class="caption-suggestion-tags">${escapeHtml(o.hashtags.join(' '))}</p>`:''}<button type="button" class="btn btn-secondary" data-suggestion="${i}">Use this caption</button></div>` : '').join(''); elements.captionSuggestions.innerHTML = items || '<p class="caption-empty">Generate text options to get a caption and hashtags for each tone.</p>'; }
 
     function setupModals(callbacks) {
         // Schedule Modal
         elements.scheduleModalClose?.addEventListener('click', hideScheduleModal);
         elements.scheduleModalCancel?.addEventListener('click', hideScheduleModal);
-        elements.scheduleModalConfirm?.addEventListener('click', () => { const d = elements.scheduleDate.value, t = elements.scheduleTime.value; if (!d || !t) { showToast('Select date and time', 'error'); return; } callbacks.onConfirmSchedule({ scheduledTime: `${d}T${t}:00`, caption: elements.scheduleCaption.value }); hideScheduleModal(); });
+        elements.scheduleModalConfirm?.addEventListener('click', () => { const d = elements.scheduleDate.value, t = elements.scheduleTime.value; if (!d || !t) { showToast('Select date and time', 'error'); return; } callbacks.onConfirmSchedule({ scheduledTime: `${d}T${t}:00` }); hideScheduleModal(); });
         elements.scheduleModal?.addEventListener('click', e => { if (e.target === elements.scheduleModal) hideScheduleModal(); });
 
-        // AI Image Modal
-        elements.aiImageModalClose?.addEventListener('click', hideAiImageModal);
-        elements.aiImageModalCancel?.addEventListener('click', hideAiImageModal);
-        elements.aiImageGrid?.addEventListener('click', e => { const opt = e.target.closest('.ai-image-option'); if (opt && opt.querySelector('img')) { elements.aiImageGrid.querySelectorAll('.ai-image-option').forEach(o => o.classList.remove('selected')); opt.classList.add('selected'); elements.aiImageModalConfirm.disabled = false; }});
-        elements.aiImageModalConfirm?.addEventListener('click', () => { const sel = elements.aiImageGrid.querySelector('.ai-image-option.selected img'); if (sel) callbacks.onSelectAiImage(sel.src); hideAiImageModal(); });
-        elements.aiImageModal?.addEventListener('click', e => { if (e.target === elements.aiImageModal) hideAiImageModal(); });
+        // AI Image Modal; closing it cancels a request still running
+        const closeAiImageModal = () => { hideAiImageModal(); callbacks.onCancelAiImage(); };
+        elements.aiImageModalClose?.addEventListener('click', closeAiImageModal);
+        elements.aiImageModalCancel?.addEventListener('click', closeAiImageModal);
+        elements.aiImageStyle.innerHTML = Object.entries(GenerationModule.IMAGE_STYLES).map(([id, style]) => `<option value="${id}">${style.label}</option>`).join('');
+        elements.aiImageResetPrompt?.addEventListener('click', () => { elements.aiImagePrompt.value = aiImageDefaultPrompt; });
+        elements.aiImageGenerateBtn?.addEventListener('click', () => callbacks.onGenerateMoreAiImages({ prompt: elements.aiImagePrompt.value, style: elements.aiImageStyle.value }));
+        elements.aiImageHistory?.addEventListener('click', e => {
+            const variation = e.target.closest('[data-variation]'), reuse = e.target.closest('[data-reuse-prompt]'), opt = e.target.closest('.ai-image-option');
+            if (variation) { if (!variation.disabled) callbacks.onAiImageVariation(variation.dataset.batchId, parseInt(variation.dataset.variation)); return; }
+            if (reuse) { const batch = aiImageBatches.find(b => b.id === reuse.dataset.reusePrompt); if (batch) { elements.aiImagePrompt.value = batch.prompt || aiImageDefaultPrompt; elements.aiImageStyle.value = batch.style; } return; }
+            if (opt && opt.querySelector('img')) { elements.aiImageHistory.querySelectorAll('.ai-image-option').forEach(o => o.classList.remove('selected')); opt.classList.add('selected'); elements.aiImageModalConfirm.disabled = false; }
+        });
+        elements.aiImageModalConfirm?.addEventListener('click', () => { const sel = elements.aiImageHistory.querySelector('.ai-image-option.selected img'); if (sel) callbacks.onSelectAiImage(sel.src); hideAiImageModal(); });
+        elements.aiImageModal?.addEventListener('click', e => { if (e.target === elements.aiImageModal) closeAiImageModal(); });
     }
 
-    function showScheduleModal() { const now = new Date(); elements.scheduleDate.value = now.toISOString().split('T')[0]; elements.scheduleTime.value = now.toTimeString().slice(0,5); elements.scheduleCaption.value = ''; elements.scheduleModal.classList.remove('hidden'); }
+    function showScheduleModal(caption = '') { const now = new Date(); elements.scheduleDate.value = now.toISOString().split('T')[0]; elements.scheduleTime.value = now.toTimeString().slice(0,5); elements.scheduleCaption.textContent = caption || 'No caption'; elements.scheduleModal.classList.remove('hidden'); }
     function hideScheduleModal() { elements.scheduleModal.classList.add('hidden'); }
-    function showAiImageModal(idx) { elements.aiImageSlideNumber.textContent = `Slide ${idx+1}`; elements.aiImageGrid.querySelectorAll('.ai-image-option').forEach(o => { o.classList.remove('selected'); o.innerHTML = '<div class="image-placeholder"><div class="spinner"></div></div>'; }); elements.aiImageModalConfirm.disabled = true; elements.aiImageModal.classList.remove('hidden'); elements.aiImageModal.dataset.slideIndex = idx; }
+    // `contextSlides` are the numbers of the other slides whose text goes along with each request
+    function showAiImageModal(idx, { prompt = '', defaultPrompt = '', style = GenerationModule.DEFAULT_IMAGE_STYLE, contextSlides = [] } = {}) {
+        aiImageDefaultPrompt = defaultPrompt || prompt; aiImageBatches = [];
+        elements.aiImageSlideNumber.textContent = `Slide ${idx+1}`; elements.aiImagePrompt.value = prompt || aiImageDefaultPrompt; elements.aiImageStyle.value = style;
+        elements.aiImageContext.textContent = contextSlides.length ? `The text of ${contextSlides.length === 1 ? 'slide' : 'slides'} ${contextSlides.length > 1 ? `${contextSlides.slice(0, -1).join(', ')} and ${contextSlides.at(-1)}` : contextSlides[0]} is sent along, so the images match the rest of the carousel.` : '';
+        elements.aiImageHistory.innerHTML = ''; elements.aiImageModalConfirm.disabled = true; setAiImageGenerating(false); elements.aiImageModal.classList.remove('hidden'); elements.aiImageModal.dataset.slideIndex = idx;
+    }
     function hideAiImageModal() { elements.aiImageModal.classList.add('hidden'); }
-    function setAiImageOptions(images) { elements.aiImageGrid.querySelectorAll('.ai-image-option').forEach((o, i) => { if (images[i]) o.innerHTML = `<img src="${images[i]}" alt="Option ${i+1}">`; }); }
-    function showToast(msg, type = 'info') { const t = document.createElement('div'); t.className = `toast ${type}`; t.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${type==='success'?'<path d="M22 11.08V12a10 10 0 11-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>':type==='error'?'<circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/>':'<circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/>'}</svg><span>${msg}</span>`; elements.toastContainer.appendChild(t); setTimeout(() => t.remove(), 4000); }
+    function setAiImageGenerating(busy) { setButtonLoading(elements.aiImageGenerateBtn, busy); elements.aiImageHistory.querySelectorAll('[data-variation]').forEach(b => { b.disabled = busy; }); }
+    // Newest batch first; `pending` is the label of a batch still being generated. The selection survives re-rendering.
+    function renderAiImageHistory(batches, { pending = null } = {}) {
+        const selected = elements.aiImageHistory.querySelector('.ai-image-option.selected'), selectedKey = selected && `${selected.dataset.batchId}:${selected.dataset.imageIndex}`;
+        const numbers = new Map(batches.map((b, i) => [b.id, i + 1])); aiImageBatches = batches;
+        const placeholder = pending ? `<div class="ai-image-batch pending"><div class="ai-image-batch-header"><span>${escapeHtml(pending)}</span></div><div class="ai-image-grid">${'<div class="ai-image-option"><div class="image-placeholder"><div class="spinner"></div></div></div>'.repeat(3)}</div></div>` : '';
+        elements.aiImageHistory.innerHTML = placeholder + [...batches].reverse().map(b => { const origin = !b.variationOf ? '' : numbers.has(b.variationOf.batchId) ? ` · Variations of batch ${numbers.get(b.variationOf.batchId)}, image ${b.variationOf.index + 1}` : ' · Variations of an earlier image'; return `<div class="ai-image-batch"><div class="ai-image-batch-header"><span>Batch ${numbers.get(b.id)}${origin} · ${escapeHtml(GenerationModule.getImageStyle(b.style).label)}</span>${b.prompt ? `<button type="button" class="btn-link" data-reuse-prompt="${b.id}">Use this prompt</button>` : ''}</div>${b.prompt ? `<p class="ai-image-batch-prompt" title="${escapeHtml(b.prompt)}">${escapeHtml(b.prompt)}</p>` : ''}<div class="ai-image-grid">${b.images.map((image, i) => `<div class="ai-image-option${selectedKey === `${b.id}:${i}` ? ' selected' : ''}" data-batch-id="${b.id}" data-image-index="${i}"><img src="${image}" alt="Batch ${numbers.get(b.id)}, option ${i+1}"><button type="button" class="ai-image-variation" data-batch-id="${b.id}" data-variation="${i}"${pending ? ' disabled' : ''}>Variations</button></div>`).join('')}</div></div>`; }).join('');
+        elements.aiImageModalConfirm.disabled = !elements.aiImageHistory.querySelector('.ai-image-option.selected');
+    }
+    function showToast(msg, type = 'info') { const t = document.createElement('div'); t.className = `toast ${type}`; t.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${type==='success'?'<path d="M22 11.08V12a10 10 0 11-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>':type==='error'?'<circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/>':'<circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/>'}</svg><span>${escapeHtml(msg)}</span>`; elements.toastContainer.appendChild(t); setTimeout(() => t.remove(), 4000); }
     function setButtonLoading(btn, loading) { btn?.classList.toggle('loading', loading); if(btn) btn.disabled = loading; }
-    function getGlobalSettings() { let align = 'center'; elements.textAlign?.querySelectorAll('.btn-icon').forEach(b => { if (b.classList.contains('active')) align = b.dataset.align; }); return { slideCount: parseInt(elements.slideCount?.value)||3, fontFamily: elements.fontFamily?.value||'Montserrat', fontSize: parseInt(elements.fontSize?.value)||64, textColor: elements.textColor?.value||'#ffffff', textAlign: align, backgroundColor: elements.backgroundColor?.value||'#211D58' }; }
-    function getSlidesData() { return currentSlideData.map((s, i) => ({ index: i, text: s.text, backgroundType: s.backgroundType, backgroundColor: s.backgroundColor, backgroundImage: s.backgroundImage })); }
+    function clampSize(value, fallback) { const n = parseInt(value); return n ? Math.min(4096, Math.max(320, n)) : fallback; }
+    function getGlobalSettings() { let align = 'center'; elements.textAlign?.querySelectorAll('.btn-icon').forEach(b => { if (b.classList.contains('active')) align = b.dataset.align; }); const format = elements.outputFormat?.value || 'portrait', size = CanvasModule.getFormatSize({ format, width: clampSize(elements.customWidth?.value, 1080), height: clampSize(elements.customHeight?.value, 1350) }); return { slideCount: parseInt(elements.slideCount?.value)||3, format, width: size.width, height: size.height, imageType: elements.imageType?.value||'png', imageQuality: Math.min(100, Math.max(40, parseInt(elements.imageQuality?.value)||90)) / 100, maxSlideKB: Math.max(0, parseInt(elements.maxSlideKB?.value)||0), headingFontFamily: elements.headingFontFamily?.value||'Montserrat', fontFamily: elements.fontFamily?.value||'Montserrat', fontSize: parseInt(elements.fontSize?.value)||64, textColor: elements.textColor?.value||'#ffffff', highlightColor: elements.highlightColor?.value||'#8bc07c', textAlign: align, backgroundColor: elements.backgroundColor?.value||'#211D58', panorama: { ...panorama }, chrome: { counter: elements.chromeCounter?.value||'none', counterPosition: elements.chromeCounterPosition?.value||'top-right', progress: elements.chromeProgress?.value||'none', swipe: !!elements.chromeSwipe?.checked, swipeText: elements.chromeSwipeText?.value||'', footer: elements.chromeFooter?.value||'' }, brandKitId: elements.brandKitSelect?.value||null }; }
+    function getSlidesData() { return currentSlideData.map((s, i) => ({ index: i, id: s.id, text: s.text, backgroundType: s.backgroundType, backgroundColor: s.backgroundColor, backgroundImage: s.backgroundImage, autoFit: s.autoFit, template: s.template, slots: { ...s.slots }, positions: { ...s.positions }, backgroundStyle: { ...s.backgroundStyle }, gradient: s.gradient || null, pattern: { ...s.pattern }, chrome: { ...s.chrome }, altText: s.altText || '' })); }
+    // Positions are replaced, never mutated, so history snapshots keep their own copies
+    function setSlidePosition(idx, key, box) { const slide = currentSlideData[idx]; if (!slide) return; slide.positions = { ...slide.positions, [key]: box }; notifyChange(`Slide ${idx+1} ${key} position`); }
+    function resetSlidePositions(idx) { const slide = currentSlideData[idx]; if (!slide || !Object.keys(slide.positions || {}).length) return false; slide.positions = {}; notifyChange(`Reset slide ${idx+1} layout`); return true; }
+
+    function getTextIssues() { const settings = getGlobalSettings(); return currentSlideData.map((s, i) => ({ index: i, ...CanvasModule.analyzeSlideText(s, settings) })); }
+    function updateTextWarnings() {
+        getTextIssues().forEach(({ index, fontSize, overflow, tooSmall }) => {
+            const el = elements.slidesEditor.querySelector(`.slide-text-status[data-slide-index="${index}"]`), autoFit = currentSlideData[index].autoFit;
+            if (!el) return;
+            const message = overflow ? (autoFit ? `Text doesn't fit even at ${fontSize}px. Shorten it.` : 'Text overflows the slide. Shorten it or turn on auto-fit.') : tooSmall ? `Text is ${fontSize}px, below the ${CanvasModule.MIN_READABLE_SIZE}px readable minimum.` : autoFit ? `Auto-fit: ${fontSize}px` : '';
+            el.textContent = message; el.classList.toggle('hidden', !message); el.classList.toggle('warning', overflow || tooSmall);
+            el.closest('.slide-card')?.classList.toggle('has-text-warning', overflow || tooSmall);
+        });
+    }
     function getLogoSettings() { return { ...logoSettings }; }
 
-    return { init, renderUploadedFiles, setAiStatus, renderTextOptions, hideTextOptions, applyTextToSlides, renderSlideInputs, setSlideImage, renderCarouselSlides, renderCarouselDots, updateCarouselDots, renderDownloadButtons, showScheduleModal, hideScheduleModal, showAiImageModal, hideAiImageModal, setAiImageOptions, showToast, setButtonLoading, getGlobalSettings, getSlidesData, getLogoSettings, get currentSlideIndex() { return elements.aiImageModal?.dataset.slideIndex; } };
+    function setGlobalSettings(settings) {
+        if (settings.slideCount) elements.slideCount.value = settings.slideCount;
+        if (settings.format) elements.outputFormat.value = settings.format;
+        if (settings.format === 'custom') { elements.customWidth.value = settings.width; elements.customHeight.value = settings.height; }
+        if (settings.imageType) elements.imageType.value = settings.imageType;
+        if (settings.imageQuality) elements.imageQuality.value = elements.imageQualityRange.value = Math.round(settings.imageQuality * 100);
+        if (settings.maxSlideKB !== undefined) elements.maxSlideKB.value = settings.maxSlideKB;
+        if (settings.headingFontFamily) elements.headingFontFamily.value = settings.headingFontFamily;
+        if (settings.fontFamily) elements.fontFamily.value = settings.fontFamily;
+        if (settings.brandKitId !== undefined) { elements.brandKitSelect.value = brandKits.some(k => k.id === settings.brandKitId) ? settings.brandKitId : ''; renderBrandKitDetails(); }
+        if (settings.fontSize) elements.fontSize.value = elements.fontSizeRange.value = settings.fontSize;
+        if (settings.textColor) elements.textColor.value = elements.textColorHex.value = settings.textColor;
+        if (settings.highlightColor) elements.highlightColor.value = elements.highlightColorHex.value = settings.highlightColor;
+        if (settings.backgroundColor) elements.backgroundColor.value = elements.backgroundColorHex.value = settings.backgroundColor;
+        if (settings.chrome) { const chrome = { ...CanvasModule.DEFAULT_CHROME, ...settings.chrome }; elements.chromeCounter.value = chrome.counter; elements.chromeCounterPosition.value = chrome.counterPosition; elements.chromeProgress.value = chrome.progress; elements.chromeSwipe.checked = chrome.swipe; elements.chromeSwipeText.value = chrome.swipeText; elements.chromeFooter.value = chrome.footer; }
+        if (settings.panorama) { panorama = { ...CanvasModule.DEFAULT_PANORAMA, ...settings.panorama }; renderPanoramaSettings(); }
+        if (settings.textAlign) elements.textAlign.querySelectorAll('.btn-icon').forEach(b => b.classList.toggle('active', b.dataset.align === settings.textAlign));
+        updateFormatDisplay();
+        updateImageTypeDisplay();
+    }
+
+    function getSnapshot() { return { settings: getGlobalSettings(), slides: currentSlideData.map(s => ({ ...s })), logo: getLogoSettings(), caption: getCaption(), generation: getGenerationSettings() }; }
+
+    function restoreSnapshot({ settings = {}, slides = [], logo = {}, caption = {}, generation = {} }) {
+        const focused = document.activeElement?.classList.contains('slide-text-input') ? parseInt(document.activeElement.dataset.slideIndex) : null;
+        setGlobalSettings(settings);
+        logoSettings = { ...DEFAULT_LOGO_SETTINGS, ...logo };
+        renderLogoSettings();
+        setCaptionFields(CaptionModule.createCaption(caption));
+        setGenerationFields(GenerationModule.createSettings(generation));
+        currentSlideData = slides.map(s => createSlide(s));
+        if (currentSlideData.length) elements.slideCount.value = currentSlideData.length;
+        renderSlideInputs();
+        if (focused !== null) elements.slidesEditor.querySelector(`.slide-text-input[data-slide-index="${focused}"]`)?.focus();
+    }
+
+    return { init, renderBrandKits, applyBrandKit, getBrandKitHashtags, setProjectStatus, setProjectTitle, renderProjectLibrary, getLibraryProject, renderHistory, renderUploadedFiles, clearSourceInput, setAiStatus, startTextOptions, updateTextOption, renderTextOptions, hideTextOptions, getCaption, renderHashtagGroups, renderCaptionSuggestions, getGenerationSettings, renderPromptPresets, applyTextToSlides, setSlideRewriting, replaceSlideText, renderSlideInputs, setSlideImage, renderCarouselSlides, setCarouselSlide, setRenderProgress, renderCarouselDots, updateCarouselDots, renderDownloadButtons, showScheduleModal, hideScheduleModal, showAiImageModal, hideAiImageModal, setAiImageGenerating, renderAiImageHistory, showToast, setButtonLoading, getGlobalSettings, getSlidesData, setSlidePosition, resetSlidePositions, setLayoutEditing, getTextIssues, getLogoSettings, getSnapshot, restoreSnapshot, get currentSlideIndex() { return elements.aiImageModal?.dataset.slideIndex; } };
 })();
@@ -0,0 +1,219 @@
+/**
+ * Webhook Module - Shared request layer for the webhooks and AI provider APIs
+ *
+ * Every call gets a timeout, retries 5xx responses and network failures with
+ * exponential backoff, and can be cancelled through an AbortSignal, which
+ * rejects with an AbortError. Everything else fails with an Error named
+ * 'WebhookError' whose `code` says what went wrong, so callers never have to
+ * parse messages.
+ *
+ * Endpoints may answer with a stream instead of one JSON body: NDJSON (one
+ * JSON object per line) or server-sent events (one JSON object per `data:`
+ * line). Each object is handed to the caller's `onEvent` as it arrives.
+ */
+const WebhookModule = (function() {
+    'use strict';
+
+    const CODES = {
+        NOT_CONFIGURED: 'not-configured',
+        NETWORK: 'network',
+        TIMEOUT: 'timeout',
+        HTTP: 'http',
+        INVALID_RESPONSE: 'invalid-response'
+    };
+
+    // Per endpoint; posting twice is worse than failing once, so the scheduler never retries
+    const ENDPOINTS = {
+        text: { name: 'Text generation', timeout: 120000, retries: 2 },
+        image: { name: 'Image generation', timeout: 180000, retries: 2 },
+        schedule: { name: 'Schedule', timeout: 60000, retries: 0 }
+    };
+
+    const BACKOFF_BASE = 1000;
+    const BACKOFF_MAX = 15000;
+    const STREAM_TYPES = /^(text\/event-stream|application\/(x-)?ndjson|application\/jsonl)\b/i;
+    const STREAM_ACCEPT = 'application/x-ndjson, text/event-stream, application/json';
+
+    // Errors keep the plain Error shape; `code` is one of CODES and `status` the HTTP status, if any
+    function createError(code, message, { status = null, endpoint = null } = {}) {
+        const error = new Error(message);
+        error.name = 'WebhookError';
+        error.code = code;
+        error.status = status;
+        error.endpoint = endpoint;
+        return error;
+    }
+
+    function isWebhookError(error) {
+        return error?.name === 'WebhookError';
+    }
+
+    function createAbortError() {
+        return new DOMException('Request cancelled', 'AbortError');
+    }
+
+    function getEndpoint(endpoint) {
+        return ENDPOINTS[endpoint] || { name: 'Webhook', timeout: 60000, retries: 0 };
+    }
+
+    // What messages call the service: "Text generation webhook" unless the caller names it
+    function getServiceName(endpoint, service) {
+        return service || `${getEndpoint(endpoint).name} webhook`;
+    }
+
+    function notConfigured(endpoint, service = null) {
+        return createError(CODES.NOT_CONFIGURED, `${getServiceName(endpoint, service)} URL not configured.`, { endpoint });
+    }
+
+    function invalidResponse(endpoint, detail, service = null) {
+        return createError(CODES.INVALID_RESPONSE, `${getServiceName(endpoint, service)} returned an invalid response: ${detail}`, { endpoint });
+    }
+
+    // A timed-out run may still be busy in n8n, so only failures that never started work are retried
+    function isRetryable(error) {
+        return error.code === CODES.NETWORK || (error.code === CODES.HTTP && error.status >= 500);
+    }
+
+    // Doubles each attempt with up to 25% jitter so parallel slides don't retry in lockstep
+    function getBackoff(attempt) {
+        const delay = Math.min(BACKOFF_MAX, BACKOFF_BASE * (2 ** attempt));
+        return delay + Math.round(Math.random() * delay * 0.25);
+    }
+
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(createAbortError());
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createAbortError());
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // Parse a streamed body line by line; `onChunk` runs for every chunk received
+    async function readStream(response, endpoint, service, onEvent, onChunk) {
+        const sse = /event-stream/i.test(response.headers.get('Content-Type'));
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        const emit = line => {
+            let data = line.trim();
+            if (sse) {
+                if (!data.startsWith('data:')) return;
+                data = data.slice(5).trim();
+            }
+            if (!data || data === '[DONE]') return;
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch (e) {
+                throw invalidResponse(endpoint, 'a streamed event is not JSON.', service);
+            }
+            onEvent(event);
+        };
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            onChunk();
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(emit);
+        }
+        emit(buffer + decoder.decode());
+    }
+
+    // One attempt: the caller's signal cancels it, the endpoint timeout turns into a TIMEOUT error.
+    // While a stream is arriving the timeout counts from the last chunk, not from the request.
+    async function attempt(url, init, endpoint, signal, service, onEvent) {
+        const { timeout } = getEndpoint(endpoint);
+        const name = getServiceName(endpoint, service);
+        const controller = new AbortController();
+        let timedOut = false;
+        let timer = null;
+        const startTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+        };
+        const onAbort = () => controller.abort();
+        startTimer();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            let response;
+            try {
+                response = await fetch(url, { ...init, signal: controller.signal });
+            } catch (e) {
+                if (signal?.aborted) throw createAbortError();
+                if (timedOut) throw createError(CODES.TIMEOUT, `${name} did not answer within ${Math.round(timeout / 1000)} seconds.`, { endpoint });
+                throw createError(CODES.NETWORK, `${name} could not be reached.`, { endpoint });
+            }
+            if (!response.ok) throw createError(CODES.HTTP, `${name} returned status ${response.status}.`, { status: response.status, endpoint });
+            if (onEvent && response.body && STREAM_TYPES.test(response.headers.get('Content-Type') || '')) {
+                try {
+                    await readStream(response, endpoint, service, onEvent, startTimer);
+                    return null;
+                } catch (e) {
+                    if (isWebhookError(e)) throw e;
+                    if (signal?.aborted) throw createAbortError();
+                    if (timedOut) throw createError(CODES.TIMEOUT, `${name} stopped streaming for ${Math.round(timeout / 1000)} seconds.`, { endpoint });
+                    throw createError(CODES.NETWORK, `${name} closed the stream before it finished.`, { endpoint });
+                }
+            }
+            try {
+                return await response.json();
+            } catch (e) {
+                if (signal?.aborted) throw createAbortError();
+                if (timedOut) throw createError(CODES.TIMEOUT, `${name} did not finish its response within ${Math.round(timeout / 1000)} seconds.`, { endpoint });
+                throw invalidResponse(endpoint, 'the body is not JSON.', service);
+            }
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * POST to a webhook and resolve with the parsed JSON body. `endpoint` is a
+     * key of ENDPOINTS and picks the timeout and retry budget; `body` is sent
+     * as JSON unless it is FormData. `service` renames the service in error
+     * messages for endpoints that are not webhooks.
+     *
+     * With `onEvent` the request also accepts a streamed answer; events go to
+     * `onEvent` and the promise resolves with null once the stream ends. A
+     * stream that breaks off is not retried, since its events were delivered.
+     */
+    async function post(endpoint, url, body, { signal = null, headers = {}, service = null, onEvent = null } = {}) {
+        if (!url) throw notConfigured(endpoint, service);
+        if (onEvent) headers = { Accept: STREAM_ACCEPT, ...headers };
+        const init = body instanceof FormData
+            ? { method: 'POST', headers, body }
+            : { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) };
+        const { retries } = getEndpoint(endpoint);
+        let streamed = false;
+        const handleEvent = onEvent && (event => {
+            streamed = true;
+            onEvent(event);
+        });
+
+        for (let i = 0; ; i++) {
+            try {
+                return await attempt(url, init, endpoint, signal, service, handleEvent);
+            } catch (e) {
+                if (e.name === 'AbortError' || streamed || !isRetryable(e) || i >= retries) throw e;
+                await wait(getBackoff(i), signal);
+            }
+        }
+    }
+
+    return { CODES, ENDPOINTS, isWebhookError, notConfigured, invalidResponse, post };
+})();
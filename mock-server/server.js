@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/**
+ * Mock Server - Offline stand-in for the three n8n webhooks
+ *
+ * Answers the text, image and schedule webhook contracts with the scripted
+ * content from js/mock-ai.js, so the studio can be developed and tested with
+ * no network. Point the webhook URLs in Configuration at:
+ *
+ *   http://localhost:5679/webhook/carousel-text-generator
+ *   http://localhost:5679/webhook/carousel-image-generator
+ *   http://localhost:5679/webhook/carousel-schedule-post
+ *
+ * Usage: node mock-server/server.js [--port=5679] [--latency=800]
+ *                                   [--failure-rate=0] [--failure=http]
+ *
+ *   --latency       milliseconds before each answer, with up to 50% jitter
+ *   --failure-rate  share of requests (0-1) that fail
+ *   --failure       how they fail: http (503), network (connection dropped),
+ *                   timeout (never answers) or invalid (malformed JSON)
+ *
+ * A single request can be made to fail by adding `?fail=<kind>` to its URL,
+ * e.g. `.../carousel-text-generator?fail=timeout`. Posted carousels are kept
+ * in memory and listed at GET /posts.
+ *
+ * Text requests that accept `application/x-ndjson` or `text/event-stream`
+ * are answered as a stream of events, one every STREAM_INTERVAL milliseconds.
+ */
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const MockAIModule = require(path.join(__dirname, '..', 'js', 'mock-ai.js'));
+
+const FAILURES = ['http', 'network', 'timeout', 'invalid'];
+const MAX_BODY_BYTES = 100 * 1024 * 1024;
+const STREAM_INTERVAL = 150;
+
+function parseArgs(argv) {
+    const args = Object.fromEntries(argv
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [key, value = 'true'] = arg.slice(2).split('=');
+            return [key, value];
+        }));
+    const options = {
+        port: parseInt(args.port || process.env.MOCK_PORT) || 5679,
+        latency: Math.max(0, parseInt(args.latency ?? process.env.MOCK_LATENCY ?? 800) || 0),
+        failureRate: Math.min(1, Math.max(0, parseFloat(args['failure-rate'] ?? process.env.MOCK_FAILURE_RATE ?? 0) || 0)),
+        failure: args.failure || process.env.MOCK_FAILURE || 'http'
+    };
+    if (!FAILURES.includes(options.failure)) throw new Error(`Unknown --failure "${options.failure}". Use one of: ${FAILURES.join(', ')}.`);
+    return options;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large.'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Split a multipart body into `{ name, filename, type, data }` parts. Enough
+ * for the studio's own uploads; not a general-purpose parser.
+ */
+function parseMultipart(body, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!boundary) return [];
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+    const parts = [];
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const next = body.indexOf(delimiter, start + delimiter.length);
+        if (next === -1) break;
+        const part = body.subarray(start + delimiter.length + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString('utf8');
+            parts.push({
+                name: /name="([^"]*)"/i.exec(headers)?.[1] || '',
+                filename: /filename="([^"]*)"/i.exec(headers)?.[1] || null,
+                type: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1] || null,
+                data: part.subarray(headerEnd + 4)
+            });
+        }
+        start = next;
+    }
+    return parts;
+}
+
+function parseJson(body) {
+    try {
+        return JSON.parse(body.toString('utf8') || '{}');
+    } catch (e) {
+        return null;
+    }
+}
+
+// The scheduler takes multipart uploads from the studio and JSON from older clients
+function readSchedulePayload(body, contentType) {
+    if (!/multipart\/form-data/i.test(contentType)) return parseJson(body);
+    const parts = parseMultipart(body, contentType);
+    const payload = parseJson(parts.find(p => p.name === 'payload')?.data || Buffer.from('{}'));
+    if (!payload) return null;
+    const files = parts.filter(p => p.name.startsWith('slide_')).map(p => ({ field: p.name, filename: p.filename, type: p.type, bytes: p.data.length }));
+    return { ...payload, files };
+}
+
+function send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(typeof data === 'string' ? data : JSON.stringify(data));
+}
+
+// Events go out as NDJSON unless the client only takes server-sent events
+async function sendStream(res, events, accept) {
+    const sse = /text\/event-stream/i.test(accept) && !/ndjson/i.test(accept);
+    res.writeHead(200, { 'Content-Type': sse ? 'text/event-stream' : 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+    for (const event of events) {
+        if (res.destroyed) return;
+        res.write(sse ? `data: ${JSON.stringify(event)}\n\n` : `${JSON.stringify(event)}\n`);
+        await new Promise(resolve => setTimeout(resolve, STREAM_INTERVAL));
+    }
+    res.end();
+}
+
+function getLatency(options) {
+    return Math.round(options.latency * (1 + (Math.random() * 0.5)));
+}
+
+// Fail on `?fail=` or at the configured rate; true when the response has been dealt with
+function injectFailure(url, options, req, res) {
+    const requested = url.searchParams.get('fail');
+    const failure = FAILURES.includes(requested) ? requested : Math.random() < options.failureRate ? options.failure : null;
+    if (!failure) return false;
+    console.log(`  -> injected ${failure} failure`);
+    if (failure === 'http') send(res, 503, { error: true, message: 'Mock server: injected failure' });
+    else if (failure === 'network') req.socket.destroy();
+    else if (failure === 'invalid') send(res, 200, '{"options": [');
+    // timeout: leave the request open until the client gives up
+    return true;
+}
+
+function createServer(options) {
+    const posts = [];
+
+    const routes = {
+        // Slide rewrites share the text webhook, like in the n8n workflow
+        'carousel-text-generator': async (body, contentType, accept) => {
+            const request = parseJson(body);
+            if (!request) return null;
+            if (request.action === 'rewrite-slide') return MockAIModule.createRewriteResponse(request);
+            if (/ndjson|event-stream/i.test(accept)) return { stream: MockAIModule.createTextEvents(request) };
+            return MockAIModule.createTextResponse(request);
+        },
+        'carousel-image-generator': async body => {
+            const request = parseJson(body);
+            return request ? MockAIModule.createImageResponse({ ...request, imageCount: request.imageCount || 3 }) : null;
+        },
+        'carousel-schedule-post': async (body, contentType) => {
+            const payload = readSchedulePayload(body, contentType);
+            if (!payload) return null;
+            const result = MockAIModule.createPublishResponse(payload);
+            posts.push({ ...result, caption: payload.caption || '', firstComment: payload.firstComment || '', slides: payload.slides || [], files: payload.files || [] });
+            return result;
+        }
+    };
+
+    return http.createServer(async (req, res) => {
+        // The studio is usually opened from another origin or from file://
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        console.log(`${new Date().toISOString()} ${req.method} ${url.pathname}${url.search}`);
+        if (req.method === 'GET' && url.pathname === '/posts') return send(res, 200, { posts });
+
+        // n8n serves test runs under /webhook-test/; accept both
+        const route = routes[url.pathname.replace(/^\/webhook(-test)?\//, '')];
+        if (req.method !== 'POST' || !route) return send(res, 404, { error: true, message: `No mock webhook at ${req.method} ${url.pathname}` });
+
+        try {
+            const body = await readBody(req);
+            await new Promise(resolve => setTimeout(resolve, getLatency(options)));
+            if (injectFailure(url, options, req, res)) return;
+            const result = await route(body, req.headers['content-type'] || '', req.headers.accept || '');
+            if (!result) return send(res, 400, { error: true, message: 'Request body is not valid JSON.' });
+            if (result.stream) return sendStream(res, result.stream, req.headers.accept);
+            send(res, 200, result);
+        } catch (e) {
+            send(res, 500, { error: true, message: e.message });
+        }
+    });
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    createServer(options).listen(options.port, () => {
+        console.log(`Mock webhooks on http://localhost:${options.port}/webhook/ (latency ${options.latency}ms, failure rate ${options.failureRate}, failure ${options.failure})`);
+    });
+}
+
+module.exports = { createServer, parseArgs, parseMultipart };